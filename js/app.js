@@ -6,6 +6,164 @@
 const App = {
     currentPage: 'dashboard',
 
+    // Parsed platform export awaiting confirmation in the import dialog
+    receitaImport: null,
+
+    // Whether the dashboard shows the widget edit controls
+    dashboardEdicao: false,
+
+    // Booking platforms available for receitas
+    PLATAFORMAS: {
+        'airbnb': 'Airbnb',
+        'booking': 'Booking.com',
+        'direto': 'Reserva Direta',
+        'outro': 'Outro'
+    },
+
+    // Account types for contas
+    TIPOS_CONTA: {
+        'banco': 'Conta Bancária',
+        'plataforma': 'Saldo de Plataforma',
+        'caixa': 'Caixa'
+    },
+
+    // Recurrence options for despesas
+    RECORRENCIAS: {
+        'unica': 'Única',
+        'mensal': 'Mensal',
+        'bimestral': 'Bimestral',
+        'trimestral': 'Trimestral',
+        'anual': 'Anual',
+        'personalizada': 'A cada N meses'
+    },
+
+    // Dashboard widget catalog, in default order. KPIs fill a kpi-card;
+    // charts draw on their canvas with the matching Charts.create* function.
+    DASHBOARD_WIDGETS: {
+        'kpi-patrimonio': { titulo: 'Patrimônio Líquido', tipo: 'kpi', icone: 'fa-wallet', classe: 'primary', campo: 'patrimonio', tamanho: 4 },
+        'kpi-receita': { titulo: 'Receita', tipo: 'kpi', icone: 'fa-dollar-sign', classe: 'success', campo: 'receita', tamanho: 4 },
+        'kpi-ocupacao': { titulo: 'Ocupação Média', tipo: 'kpi', icone: 'fa-percentage', classe: 'info', campo: 'ocupacao', taxa: true, tamanho: 4 },
+        'kpi-adr': { titulo: 'ADR', tipo: 'kpi', icone: 'fa-chart-line', classe: 'warning', campo: 'adr', tamanho: 4 },
+        'kpi-revpar': { titulo: 'RevPAR', tipo: 'kpi', icone: 'fa-chart-area', classe: '', campo: 'revpar', tamanho: 4 },
+        'kpi-divida': { titulo: 'Dívida Total', tipo: 'kpi', icone: 'fa-landmark', classe: 'danger', campo: 'divida', tamanho: 4 },
+        'receita': { titulo: 'Evolução de Receita', tipo: 'grafico', icone: 'fa-chart-line', canvas: 'revenue-chart', tamanho: 6 },
+        'ocupacao': { titulo: 'Ocupação por Imóvel', tipo: 'grafico', icone: 'fa-chart-bar', canvas: 'occupancy-chart', tamanho: 6 },
+        'despesas': { titulo: 'Distribuição de Despesas', tipo: 'grafico', icone: 'fa-chart-pie', canvas: 'expenses-chart', tamanho: 6 },
+        'patrimonio': { titulo: 'Evolução do Patrimônio', tipo: 'grafico', icone: 'fa-chart-area', canvas: 'equity-chart', tamanho: 6 },
+        'receitas-despesas': { titulo: 'Receitas x Despesas', tipo: 'grafico', icone: 'fa-balance-scale', canvas: 'revenue-expenses-chart', tamanho: 6, opcional: true },
+        'mapa-ocupacao': { titulo: 'Mapa de Ocupação', tipo: 'grafico', icone: 'fa-calendar-alt', canvas: 'occupancy-heatmap', tamanho: 12 },
+        'atividades': { titulo: 'Atividades Recentes', tipo: 'atividades', icone: 'fa-history', tamanho: 12 }
+    },
+
+    // Widget widths (columns of the 12-column dashboard grid)
+    TAMANHOS_WIDGET: [3, 4, 6, 12],
+
+    // Dashboard activity feed entries by record type
+    TIPOS_ATIVIDADE: {
+        'imovel': {
+            icone: 'property',
+            fa: 'fa-building',
+            titulos: { criado: 'Imóvel cadastrado', atualizado: 'Imóvel atualizado' },
+            descricao: r => r.nome
+        },
+        'receita': {
+            icone: 'revenue',
+            fa: 'fa-dollar-sign',
+            titulos: { criado: 'Nova receita registrada', atualizado: 'Receita atualizada' },
+            descricao: r => r.hospede || r.plataforma,
+            valor: r => r.valorBruto || 0
+        },
+        'despesa': {
+            icone: 'expense',
+            fa: 'fa-receipt',
+            titulos: { criado: 'Despesa lançada', atualizado: 'Despesa atualizada' },
+            descricao: r => r.descricao,
+            valor: r => -(r.valor || 0)
+        },
+        'reforma': {
+            icone: 'property',
+            fa: 'fa-hammer',
+            titulos: { criado: 'Reforma cadastrada', atualizado: 'Reforma atualizada' },
+            descricao: r => r.descricao
+        },
+        'aporte': {
+            icone: 'revenue',
+            fa: 'fa-hand-holding-usd',
+            titulos: { criado: 'Movimentação de capital registrada', atualizado: 'Movimentação de capital atualizada' },
+            descricao: r => r.tipo === 'distribuicao' ? 'Distribuição de lucros' : 'Aporte de capital',
+            valor: r => r.tipo === 'distribuicao' ? -(r.valor || 0) : r.valor || 0
+        },
+        'financiamento': {
+            icone: 'expense',
+            fa: 'fa-landmark',
+            titulos: { criado: 'Financiamento cadastrado', atualizado: 'Financiamento atualizado' },
+            descricao: r => r.banco,
+            valor: r => r.valorFinanciado || 0
+        },
+        'consorcio': {
+            icone: 'property',
+            fa: 'fa-users',
+            titulos: { criado: 'Consórcio cadastrado', atualizado: 'Consórcio atualizado' },
+            descricao: r => r.administradora,
+            valor: r => r.valorCredito || 0
+        }
+    },
+
+    // Allocation keys for portfolio-wide despesas
+    RATEIOS: {
+        'receita': 'Receita bruta do período',
+        'quartos': 'Número de quartos',
+        'noites': 'Noites ocupadas no período',
+        'percentual': 'Percentuais fixos'
+    },
+
+    // Valuation snapshot types
+    TIPOS_AVALIACAO: {
+        'laudo': 'Laudo de avaliação',
+        'corretor': 'Opinião de corretor',
+        'indice': 'Atualização por índice'
+    },
+
+    // Reforma categories
+    CATEGORIAS_REFORMA: {
+        'reforma': 'Reforma',
+        'benfeitoria': 'Benfeitoria',
+        'mobilia': 'Mobília/Equipamentos',
+        'decoracao': 'Decoração',
+        'manutencao': 'Manutenção Estrutural'
+    },
+
+    // Reforma workflow: each status and the one that follows it
+    STATUS_REFORMA: {
+        'planejada': { label: 'Planejada', badge: 'secondary', next: 'em-andamento' },
+        'em-andamento': { label: 'Em Andamento', badge: 'warning', next: 'concluida' },
+        'concluida': { label: 'Concluída', badge: 'success', next: null }
+    },
+
+    // Obligation types shown on the calendar
+    TIPOS_OBRIGACAO: {
+        'financiamento': { label: 'Financiamento', badge: 'info' },
+        'consorcio': { label: 'Consórcio', badge: 'info' },
+        'despesa': { label: 'Despesa Recorrente', badge: 'secondary' },
+        'imposto': { label: 'Imposto', badge: 'warning' },
+        'documento': { label: 'Documento', badge: 'secondary' }
+    },
+
+    STATUS_OBRIGACAO: {
+        'pago': { label: 'Pago', badge: 'success' },
+        'pendente': { label: 'Pendente', badge: 'warning' },
+        'atrasado': { label: 'Atrasado', badge: 'danger' }
+    },
+
+    // Yearly projection assumptions: [key, label, percent]
+    PREMISSAS_ANUAIS: [
+        ['taxaOcupacao', 'Taxa de Ocupação', true],
+        ['crescimentoDiaria', 'Crescimento da Diária', true],
+        ['inflacaoCustos', 'Inflação de Custos', true],
+        ['valorizacaoImobiliaria', 'Valorização Imobiliária', true],
+        ['novosImoveis', 'Novos Imóveis', false]
+    ],
+
     /**
      * Initialize application
      */
@@ -288,6 +446,8 @@ const App = {
             'dre': this.getDREPage(),
             'balanco': this.getBalancoPage(),
             'fluxo-caixa': this.getFluxoCaixaPage(),
+            'contas': this.getContasPage(),
+            'conciliacao': this.getConciliacaoPage(),
             'valorizacao': this.getValorizacaoPage(),
             'projecao': this.getProjecaoPage(),
             'valuation': this.getValuationPage(),
@@ -318,6 +478,8 @@ const App = {
             'dre': () => this.initDRE(),
             'balanco': () => this.initBalanco(),
             'fluxo-caixa': () => this.initFluxoCaixa(),
+            'contas': () => this.initContas(),
+            'conciliacao': () => this.initConciliacao(),
             'valorizacao': () => this.initValorizacao(),
             'projecao': () => this.initProjecao(),
             'valuation': () => this.initValuation(),
@@ -510,78 +672,38 @@ const App = {
      */
     getDashboardPage() {
         return `
-            <div class="page-header">
-                <h1><i class="fas fa-chart-line"></i> Dashboard</h1>
-                <p class="text-muted">Visão geral do seu portfólio</p>
-            </div>
-
-            <!-- KPIs -->
-            <div class="kpi-grid" id="kpi-grid"></div>
-
-            <!-- Charts -->
-            <div class="dashboard-grid">
-                <div class="col-6">
-                    <div class="card">
-                        <div class="card-header">
-                            <h3 class="card-title"><i class="fas fa-chart-line"></i> Evolução de Receita</h3>
-                        </div>
-                        <div class="card-body">
-                            <div class="chart-container">
-                                <canvas id="revenue-chart"></canvas>
-                            </div>
-                        </div>
-                    </div>
-                </div>
-
-                <div class="col-6">
-                    <div class="card">
-                        <div class="card-header">
-                            <h3 class="card-title"><i class="fas fa-chart-bar"></i> Ocupação por Imóvel</h3>
-                        </div>
-                        <div class="card-body">
-                            <div class="chart-container">
-                                <canvas id="occupancy-chart"></canvas>
-                            </div>
-                        </div>
-                    </div>
-                </div>
-
-                <div class="col-6">
-                    <div class="card">
-                        <div class="card-header">
-                            <h3 class="card-title"><i class="fas fa-chart-pie"></i> Distribuição de Despesas</h3>
-                        </div>
-                        <div class="card-body">
-                            <div class="chart-container">
-                                <canvas id="expenses-chart"></canvas>
-                            </div>
-                        </div>
-                    </div>
+            <div class="page-header flex-between">
+                <div>
+                    <h1><i class="fas fa-chart-line"></i> Dashboard</h1>
+                    <p class="text-muted">Visão geral do seu portfólio</p>
                 </div>
-
-                <div class="col-6">
-                    <div class="card">
-                        <div class="card-header">
-                            <h3 class="card-title"><i class="fas fa-chart-area"></i> Evolução do Patrimônio</h3>
-                        </div>
-                        <div class="card-body">
-                            <div class="chart-container">
-                                <canvas id="equity-chart"></canvas>
-                            </div>
-                        </div>
-                    </div>
+                <div class="flex gap-2">
+                    <select id="dashboard-periodo" class="form-select" style="width: 180px;">
+                        <option value="mes">Mês</option>
+                        <option value="trimestre">Trimestre</option>
+                        <option value="ytd">Acumulado no ano</option>
+                        <option value="12m">Últimos 12 meses</option>
+                        <option value="personalizado">Personalizado</option>
+                    </select>
+                    <input type="month" id="dashboard-month" class="form-input" style="width: 180px;">
+                    <input type="date" id="dashboard-start" class="form-input" style="width: 170px; display: none;">
+                    <input type="date" id="dashboard-end" class="form-input" style="width: 170px; display: none;">
+                    <button class="btn btn-secondary" id="dashboard-editar">
+                        <i class="fas fa-th-large"></i> Personalizar
+                    </button>
                 </div>
             </div>
 
-            <!-- Recent Activity -->
-            <div class="card">
-                <div class="card-header">
-                    <h3 class="card-title"><i class="fas fa-history"></i> Atividades Recentes</h3>
-                </div>
-                <div class="card-body">
-                    <ul class="activity-list" id="recent-activity"></ul>
-                </div>
+            <div class="flex gap-2 mb-3" id="dashboard-edicao" style="display: none;">
+                <button class="btn btn-primary" id="dashboard-adicionar">
+                    <i class="fas fa-plus"></i> Adicionar Widget
+                </button>
+                <button class="btn btn-secondary" id="dashboard-restaurar">
+                    <i class="fas fa-undo"></i> Restaurar Padrão
+                </button>
             </div>
+
+            <div class="dashboard-grid" id="dashboard-widgets"></div>
         `;
     },
 
@@ -697,6 +819,9 @@ const App = {
                 </button>
             </div>
 
+            <!-- Budget vs actual by property -->
+            <div class="metrics-row" id="reformas-summary"></div>
+
             <div class="card">
                 <div class="card-header">
                     <h3 class="card-title">Lista de Reformas</h3>
@@ -724,6 +849,7 @@ const App = {
                                     <th>Conclusão</th>
                                     <th>Orçado</th>
                                     <th>Realizado</th>
+                                    <th>Variação</th>
                                     <th>Status</th>
                                     <th>Ações</th>
                                 </tr>
@@ -746,9 +872,14 @@ const App = {
                     <h1><i class="fas fa-dollar-sign"></i> Receitas Operacionais</h1>
                     <p class="text-muted">Registre reservas e receitas de hospedagem</p>
                 </div>
-                <button class="btn btn-primary" id="add-receita">
-                    <i class="fas fa-plus"></i> Adicionar Receita
-                </button>
+                <div class="flex gap-2">
+                    <button class="btn btn-secondary" id="import-receitas">
+                        <i class="fas fa-file-import"></i> Importar CSV
+                    </button>
+                    <button class="btn btn-primary" id="add-receita">
+                        <i class="fas fa-plus"></i> Adicionar Receita
+                    </button>
+                </div>
             </div>
 
             <!-- Summary Cards -->
@@ -855,7 +986,18 @@ const App = {
                 <div class="card-header flex-between">
                     <h3 class="card-title">Período de Análise</h3>
                     <div class="flex gap-2">
+                        <select id="dre-periodo" class="form-select" style="width: 160px;">
+                            <option value="mes">Mês</option>
+                            <option value="trimestre">Trimestre</option>
+                            <option value="ano">Ano</option>
+                            <option value="personalizado">Personalizado</option>
+                        </select>
                         <input type="month" id="dre-month" class="form-input" style="width: 200px;">
+                        <input type="date" id="dre-start" class="form-input" style="width: 170px; display: none;">
+                        <input type="date" id="dre-end" class="form-input" style="width: 170px; display: none;">
+                        <select id="dre-imovel" class="form-select" style="width: 220px;">
+                            <option value="">Consolidado</option>
+                        </select>
                         <button class="btn btn-primary" id="calc-dre">
                             <i class="fas fa-calculator"></i> Calcular
                         </button>
@@ -879,6 +1021,24 @@ const App = {
                     </div>
                 </div>
             </div>
+
+            <div class="card">
+                <div class="card-header">
+                    <h3 class="card-title">DRE por Imóvel</h3>
+                </div>
+                <div class="card-body">
+                    <div id="dre-matrix"></div>
+                </div>
+            </div>
+
+            <div class="card">
+                <div class="card-header">
+                    <h3 class="card-title">Desempenho por Imóvel</h3>
+                </div>
+                <div class="card-body">
+                    <div id="dre-desempenho"></div>
+                </div>
+            </div>
         `;
     },
 
@@ -920,6 +1080,32 @@ const App = {
                     <div id="balanco-validation" class="mt-4"></div>
                 </div>
             </div>
+
+            <div class="card">
+                <div class="card-header flex-between">
+                    <h3 class="card-title">Aportes e Distribuições</h3>
+                    <button class="btn btn-primary" id="add-aporte">
+                        <i class="fas fa-plus"></i> Novo Lançamento
+                    </button>
+                </div>
+                <div class="card-body">
+                    <div class="table-container">
+                        <table id="aportes-table">
+                            <thead>
+                                <tr>
+                                    <th>Data</th>
+                                    <th>Tipo</th>
+                                    <th>Sócio</th>
+                                    <th>Descrição</th>
+                                    <th>Valor</th>
+                                    <th>Ações</th>
+                                </tr>
+                            </thead>
+                            <tbody id="aportes-tbody"></tbody>
+                        </table>
+                    </div>
+                </div>
+            </div>
         `;
     },
 
@@ -938,6 +1124,10 @@ const App = {
                     <h3 class="card-title">Período de Análise</h3>
                     <div class="flex gap-2">
                         <input type="month" id="fluxo-month" class="form-input" style="width: 200px;">
+                        <select id="fluxo-metodo" class="form-select" style="width: 160px;">
+                            <option value="direto">Método Direto</option>
+                            <option value="indireto">Método Indireto</option>
+                        </select>
                         <button class="btn btn-primary" id="calc-fluxo">
                             <i class="fas fa-calculator"></i> Calcular
                         </button>
@@ -950,7 +1140,7 @@ const App = {
 
             <div class="card">
                 <div class="card-header">
-                    <h3 class="card-title">Gráfico de Fluxo de Caixa</h3>
+                    <h3 class="card-title">Gráfico de Fluxo de Caixa (12 meses)</h3>
                 </div>
                 <div class="card-body">
                     <div class="chart-container">
@@ -958,105 +1148,174 @@ const App = {
                     </div>
                 </div>
             </div>
+
+            <div class="card">
+                <div class="card-header">
+                    <h3 class="card-title">Previsão de Caixa (próximos 12 meses)</h3>
+                </div>
+                <div class="card-body">
+                    <div class="table-container">
+                        <table id="previsao-table">
+                            <thead>
+                                <tr>
+                                    <th>Mês</th>
+                                    <th class="text-right">Saldo Inicial</th>
+                                    <th class="text-right">Repasses</th>
+                                    <th class="text-right">Despesas</th>
+                                    <th class="text-right">Financiamentos e Consórcios</th>
+                                    <th class="text-right">Impostos</th>
+                                    <th class="text-right">Saldo Final</th>
+                                </tr>
+                            </thead>
+                            <tbody id="previsao-tbody"></tbody>
+                        </table>
+                    </div>
+                    <p class="text-muted mt-2" style="font-size: 0.875rem;">
+                        <i class="fas fa-info-circle"></i>
+                        Inclui despesas recorrentes geradas, reservas já registradas e parcelas em aberto; impostos estimados pelas receitas de cada mês.
+                    </p>
+                </div>
+            </div>
         `;
     },
 
     /**
-     * Get Valorizacao page content
+     * Get Contas page content
      */
-    getValorizacaoPage() {
+    getContasPage() {
         return `
-            <div class="page-header">
-                <h1><i class="fas fa-chart-area"></i> Valorização do Patrimônio Imobiliário</h1>
-                <p class="text-muted">Acompanhe a valorização dos seus imóveis</p>
+            <div class="page-header flex-between">
+                <div>
+                    <h1><i class="fas fa-wallet"></i> Contas</h1>
+                    <p class="text-muted">Onde o dinheiro está: bancos, saldos de plataforma e caixa</p>
+                </div>
+                <div class="flex gap-2">
+                    <button class="btn btn-secondary" id="add-transferencia">
+                        <i class="fas fa-exchange-alt"></i> Transferência
+                    </button>
+                    <button class="btn btn-primary" id="add-conta">
+                        <i class="fas fa-plus"></i> Adicionar Conta
+                    </button>
+                </div>
             </div>
 
             <!-- Summary Cards -->
-            <div class="financial-summary">
-                <h2>Resumo da Carteira</h2>
-                <div class="financial-grid" id="valorizacao-summary"></div>
-            </div>
+            <div class="metrics-row" id="contas-summary"></div>
 
             <div class="card">
                 <div class="card-header">
-                    <h3 class="card-title">Valorização por Imóvel</h3>
+                    <h3 class="card-title">Contas</h3>
                 </div>
                 <div class="card-body">
                     <div class="table-container">
-                        <table id="valorizacao-table">
+                        <table id="contas-table">
                             <thead>
                                 <tr>
-                                    <th>Imóvel</th>
-                                    <th>Custo Total</th>
-                                    <th>Valor Mercado</th>
-                                    <th>Valorização R$</th>
-                                    <th>Valorização %</th>
-                                    <th>Anualizado %</th>
-                                    <th>Saldo Devedor</th>
-                                    <th>Equity</th>
-                                    <th>LTV</th>
+                                    <th>Nome</th>
+                                    <th>Tipo</th>
+                                    <th>Instituição</th>
+                                    <th class="text-right">Saldo Inicial</th>
+                                    <th class="text-right">Saldo Atual</th>
+                                    <th>Ações</th>
                                 </tr>
                             </thead>
-                            <tbody id="valorizacao-tbody"></tbody>
+                            <tbody id="contas-tbody"></tbody>
                         </table>
                     </div>
                 </div>
             </div>
+
+            <div class="card">
+                <div class="card-header flex-between">
+                    <h3 class="card-title">Extrato</h3>
+                    <div class="flex gap-2">
+                        <select id="extrato-conta" class="form-select" style="width: 250px;"></select>
+                        <input type="month" id="extrato-month" class="form-input" style="width: 200px;">
+                    </div>
+                </div>
+                <div class="card-body">
+                    <div id="extrato-result"></div>
+                </div>
+            </div>
         `;
     },
 
     /**
-     * Get Projecao page content
+     * Get Conciliacao page content
      */
-    getProjecaoPage() {
+    getConciliacaoPage() {
         return `
-            <div class="page-header">
-                <h1><i class="fas fa-crystal-ball"></i> Projeção 5 Anos</h1>
-                <p class="text-muted">Projeções financeiras para os próximos 5 anos</p>
-            </div>
-
-            <div class="card">
-                <div class="card-header">
-                    <h3 class="card-title">Premissas de Projeção</h3>
-                    <button class="btn btn-primary" id="update-premissas">
-                        <i class="fas fa-save"></i> Salvar Premissas
-                    </button>
+            <div class="page-header flex-between">
+                <div>
+                    <h1><i class="fas fa-university"></i> Conciliação Bancária</h1>
+                    <p class="text-muted">Confronte o extrato do banco com receitas e despesas</p>
                 </div>
-                <div class="card-body">
-                    <div id="premissas-form"></div>
+                <div class="flex gap-2">
+                    <button class="btn btn-secondary" id="regras-categoria">
+                        <i class="fas fa-tags"></i> Regras de Categoria
+                    </button>
+                    <button class="btn btn-primary" id="import-extrato">
+                        <i class="fas fa-file-import"></i> Importar Extrato
+                    </button>
+                    <input type="file" id="extrato-file" accept=".ofx,.csv,text/csv" style="display: none;">
                 </div>
             </div>
 
             <div class="card">
                 <div class="card-header">
-                    <h3 class="card-title">Projeção Anual</h3>
+                    <h3 class="card-title">Status por Mês</h3>
                 </div>
                 <div class="card-body">
                     <div class="table-container">
-                        <table id="projecao-table">
+                        <table>
                             <thead>
                                 <tr>
-                                    <th>Métrica</th>
-                                    <th>Ano 1</th>
-                                    <th>Ano 2</th>
-                                    <th>Ano 3</th>
-                                    <th>Ano 4</th>
-                                    <th>Ano 5</th>
+                                    <th>Mês</th>
+                                    <th>Transações</th>
+                                    <th>Créditos</th>
+                                    <th>Débitos</th>
+                                    <th>Conciliadas</th>
+                                    <th>Ignoradas</th>
+                                    <th>Pendentes</th>
+                                    <th>Status</th>
                                 </tr>
                             </thead>
-                            <tbody id="projecao-tbody"></tbody>
+                            <tbody id="conciliacao-status-tbody"></tbody>
                         </table>
                     </div>
                 </div>
             </div>
 
             <div class="card">
-                <div class="card-header">
-                    <h3 class="card-title">Gráfico de Projeção</h3>
+                <div class="card-header flex-between">
+                    <h3 class="card-title">Transações do Extrato</h3>
+                    <div class="flex gap-2">
+                        <input type="month" id="conciliacao-month" class="form-input" style="width: 200px;">
+                        <select id="conciliacao-status" class="form-select" style="width: 180px;">
+                            <option value="pendente">Pendentes</option>
+                            <option value="conciliado">Conciliadas</option>
+                            <option value="ignorado">Ignoradas</option>
+                            <option value="">Todas</option>
+                        </select>
+                        <button class="btn btn-secondary" id="aplicar-regras">
+                            <i class="fas fa-magic"></i> Aplicar Regras
+                        </button>
+                    </div>
                 </div>
                 <div class="card-body">
-                    <div class="chart-container">
-                        <canvas id="projecao-chart"></canvas>
+                    <div class="table-container">
+                        <table id="conciliacao-table">
+                            <thead>
+                                <tr>
+                                    <th>Data</th>
+                                    <th>Descrição</th>
+                                    <th class="text-right">Valor</th>
+                                    <th>Lançamento</th>
+                                    <th>Ações</th>
+                                </tr>
+                            </thead>
+                            <tbody id="conciliacao-tbody"></tbody>
+                        </table>
                     </div>
                 </div>
             </div>
@@ -1064,37 +1323,231 @@ const App = {
     },
 
     /**
-     * Get Valuation page content
+     * Get Valorizacao page content
      */
-    getValuationPage() {
+    getValorizacaoPage() {
         return `
-            <div class="page-header">
-                <h1><i class="fas fa-gem"></i> Preparação para Valuation</h1>
-                <p class="text-muted">Métricas e cálculos para valuation da empresa</p>
+            <div class="page-header flex-between">
+                <div>
+                    <h1><i class="fas fa-chart-area"></i> Valorização do Patrimônio Imobiliário</h1>
+                    <p class="text-muted">Acompanhe a valorização dos seus imóveis</p>
+                </div>
+                <button class="btn btn-primary" id="add-avaliacao">
+                    <i class="fas fa-plus"></i> Registrar Avaliação
+                </button>
+            </div>
+
+            <!-- Summary Cards -->
+            <div class="financial-summary">
+                <h2>Resumo da Carteira</h2>
+                <div class="financial-grid" id="valorizacao-summary"></div>
             </div>
 
             <div class="card">
                 <div class="card-header">
-                    <h3 class="card-title">Parâmetros de Valuation</h3>
-                    <button class="btn btn-primary" id="calc-valuation">
-                        <i class="fas fa-calculator"></i> Calcular Valuation
-                    </button>
+                    <h3 class="card-title">Valorização por Imóvel</h3>
                 </div>
                 <div class="card-body">
-                    <div id="valuation-params"></div>
-                </div>
-            </div>
-
-            <div class="dashboard-grid">
-                <div class="col-4">
-                    <div class="card">
-                        <div class="card-header">
-                            <h3 class="card-title">DCF - Fluxo de Caixa Descontado</h3>
-                        </div>
-                        <div class="card-body">
-                            <div id="valuation-dcf"></div>
-                        </div>
-                    </div>
+                    <div class="table-container">
+                        <table id="valorizacao-table">
+                            <thead>
+                                <tr>
+                                    <th>Imóvel</th>
+                                    <th>Custo Total</th>
+                                    <th>Valor Mercado</th>
+                                    <th>Valor Estimado</th>
+                                    <th>Valorização R$</th>
+                                    <th>Valorização %</th>
+                                    <th>Anualizado %</th>
+                                    <th>Saldo Devedor</th>
+                                    <th>Equity</th>
+                                    <th>LTV</th>
+                                </tr>
+                            </thead>
+                            <tbody id="valorizacao-tbody"></tbody>
+                        </table>
+                    </div>
+                    <p class="text-muted mt-2">
+                        Valor de mercado pela avaliação mais recente (ou pelo valor informado no cadastro do imóvel).
+                        Valorização sobre o custo total (compra + reformas concluídas).
+                        Valor estimado: avaliação mais recente (ou valor de compra) atualizada pelo índice do imóvel —
+                        é uma estimativa e não entra nas colunas de valorização, equity e LTV.
+                    </p>
+                </div>
+            </div>
+
+            <div class="card">
+                <div class="card-header">
+                    <h3 class="card-title"><i class="fas fa-chart-line"></i> Evolução do Valor por Imóvel</h3>
+                </div>
+                <div class="card-body">
+                    <div class="chart-container">
+                        <canvas id="valorizacao-chart"></canvas>
+                    </div>
+                </div>
+            </div>
+
+            <div class="card">
+                <div class="card-header">
+                    <h3 class="card-title">Histórico de Avaliações</h3>
+                    <select id="avaliacoes-imovel" class="form-select" style="width: 220px;">
+                        <option value="">Todos os imóveis</option>
+                    </select>
+                </div>
+                <div class="card-body">
+                    <div class="table-container">
+                        <table>
+                            <thead>
+                                <tr>
+                                    <th>Data</th>
+                                    <th>Imóvel</th>
+                                    <th>Tipo</th>
+                                    <th>Fonte</th>
+                                    <th>Valor</th>
+                                    <th>Variação</th>
+                                    <th>Ações</th>
+                                </tr>
+                            </thead>
+                            <tbody id="avaliacoes-tbody"></tbody>
+                        </table>
+                    </div>
+                </div>
+            </div>
+
+            <div class="card">
+                <div class="card-header">
+                    <h3 class="card-title">Índices de Atualização</h3>
+                    <div class="flex gap-2">
+                        <select id="indice-serie" class="form-select" style="width: 180px;">
+                            ${Object.entries(DataManager.INDICES).map(([key, indice]) => `
+                                <option value="${key}">${indice.label}</option>
+                            `).join('')}
+                        </select>
+                        <input type="text" id="indice-cidade" class="form-input" placeholder="Cidade" list="indice-cidades" style="width: 180px;">
+                        <datalist id="indice-cidades"></datalist>
+                        <button class="btn btn-secondary" id="import-indices">
+                            <i class="fas fa-file-import"></i> Importar CSV
+                        </button>
+                        <input type="file" id="indices-file" accept=".csv,text/csv" style="display: none;">
+                        <button class="btn btn-primary" id="add-indice">
+                            <i class="fas fa-plus"></i> Adicionar Mês
+                        </button>
+                    </div>
+                </div>
+                <div class="card-body">
+                    <div class="table-container">
+                        <table>
+                            <thead>
+                                <tr>
+                                    <th>Mês</th>
+                                    <th>Variação Mensal</th>
+                                    <th>Acumulado 12 Meses</th>
+                                    <th>Ações</th>
+                                </tr>
+                            </thead>
+                            <tbody id="indices-tbody"></tbody>
+                        </table>
+                    </div>
+                    <p class="text-muted mt-2">
+                        O CSV precisa de uma coluna de mês (AAAA-MM ou MM/AAAA) e da variação mensal (%) ou do número-índice.
+                        Colunas opcionais "índice" e "cidade" permitem importar várias séries de uma vez; sem elas, vale a série selecionada.
+                    </p>
+                </div>
+            </div>
+        `;
+    },
+
+    /**
+     * Get Projecao page content
+     */
+    getProjecaoPage() {
+        return `
+            <div class="page-header">
+                <h1><i class="fas fa-crystal-ball"></i> Projeção 5 Anos</h1>
+                <p class="text-muted">Projeções financeiras para os próximos 5 anos</p>
+            </div>
+
+            <div class="card">
+                <div class="card-header">
+                    <h3 class="card-title">Premissas de Projeção</h3>
+                    <button class="btn btn-primary" id="update-premissas">
+                        <i class="fas fa-save"></i> Salvar Premissas
+                    </button>
+                </div>
+                <div class="card-body">
+                    <div id="premissas-form"></div>
+                </div>
+            </div>
+
+            <div class="card">
+                <div class="card-header">
+                    <h3 class="card-title">Projeção Anual</h3>
+                </div>
+                <div class="card-body">
+                    <div class="table-container">
+                        <table id="projecao-table">
+                            <thead>
+                                <tr>
+                                    <th>Métrica</th>
+                                    <th>Últimos 12m</th>
+                                    <th>Ano 1</th>
+                                    <th>Ano 2</th>
+                                    <th>Ano 3</th>
+                                    <th>Ano 4</th>
+                                    <th>Ano 5</th>
+                                </tr>
+                            </thead>
+                            <tbody id="projecao-tbody"></tbody>
+                        </table>
+                    </div>
+                </div>
+            </div>
+
+            <div class="card">
+                <div class="card-header">
+                    <h3 class="card-title">Gráfico de Projeção</h3>
+                </div>
+                <div class="card-body">
+                    <div class="chart-container">
+                        <canvas id="projecao-chart"></canvas>
+                    </div>
+                </div>
+            </div>
+        `;
+    },
+
+    /**
+     * Get Valuation page content
+     */
+    getValuationPage() {
+        return `
+            <div class="page-header">
+                <h1><i class="fas fa-gem"></i> Preparação para Valuation</h1>
+                <p class="text-muted">Métricas e cálculos para valuation da empresa</p>
+            </div>
+
+            <div class="card">
+                <div class="card-header">
+                    <h3 class="card-title">Parâmetros de Valuation</h3>
+                    <button class="btn btn-primary" id="calc-valuation">
+                        <i class="fas fa-calculator"></i> Calcular Valuation
+                    </button>
+                </div>
+                <div class="card-body">
+                    <div id="valuation-params"></div>
+                </div>
+            </div>
+
+            <div class="dashboard-grid">
+                <div class="col-4">
+                    <div class="card">
+                        <div class="card-header">
+                            <h3 class="card-title">DCF - Fluxo de Caixa Descontado</h3>
+                        </div>
+                        <div class="card-body">
+                            <div id="valuation-dcf"></div>
+                        </div>
+                    </div>
                 </div>
 
                 <div class="col-4">
@@ -1119,6 +1572,41 @@ const App = {
                     </div>
                 </div>
             </div>
+
+            <div class="card">
+                <div class="card-header">
+                    <h3 class="card-title">Faixa de Valuation (Equity)</h3>
+                </div>
+                <div class="card-body">
+                    <div id="valuation-range"></div>
+                </div>
+            </div>
+
+            <div class="dashboard-grid">
+                <div class="col-6">
+                    <div class="card">
+                        <div class="card-header">
+                            <h3 class="card-title">Sensibilidade do DCF (WACC × Crescimento)</h3>
+                        </div>
+                        <div class="card-body">
+                            <div id="valuation-sensitivity"></div>
+                        </div>
+                    </div>
+                </div>
+
+                <div class="col-6">
+                    <div class="card">
+                        <div class="card-header">
+                            <h3 class="card-title">Principais Drivers (Tornado)</h3>
+                        </div>
+                        <div class="card-body">
+                            <div class="chart-container">
+                                <canvas id="valuation-tornado"></canvas>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+            </div>
         `;
     },
 
@@ -1135,7 +1623,12 @@ const App = {
             <div class="card">
                 <div class="card-header flex-between">
                     <h3 class="card-title">Próximos Vencimentos</h3>
-                    <input type="month" id="calendario-month" class="form-input" style="width: 200px;">
+                    <div class="flex gap-2">
+                        <input type="month" id="calendario-month" class="form-input" style="width: 200px;">
+                        <button class="btn btn-secondary" id="export-ics">
+                            <i class="fas fa-calendar-plus"></i> Exportar .ics
+                        </button>
+                    </div>
                 </div>
                 <div class="card-body">
                     <div id="calendario-list"></div>
@@ -1381,170 +1874,456 @@ const App = {
      * Initialize Dashboard
      */
     initDashboard() {
-        // Load KPIs
-        this.loadDashboardKPIs();
-
-        // Load charts
-        this.loadDashboardCharts();
-
-        // Load recent activity
-        this.loadRecentActivity();
-    },
-
-    /**
-     * Load Dashboard KPIs
-     */
-    loadDashboardKPIs() {
-        const grid = document.getElementById('kpi-grid');
-        if (!grid) return;
-
-        const imoveis = DataManager.getImoveisAtivos();
-        const totalValue = DataManager.getTotalPropertyValue();
-        const totalDebt = DataManager.getTotalDebt();
-        const equity = DataManager.getTotalEquity();
-
-        const now = new Date();
-        const currentMonth = now.getMonth();
-        const currentYear = now.getFullYear();
-
-        const monthlyRevenue = DataManager.getMonthlyRevenue(currentYear, currentMonth);
-        const occupancy = DataManager.getOccupancyRate(currentYear, currentMonth);
-        const adr = DataManager.getADR(currentYear, currentMonth);
-        const revpar = DataManager.getRevPAR(currentYear, currentMonth);
+        const monthInput = document.getElementById('dashboard-month');
+        if (monthInput) {
+            monthInput.value = Utils.getCurrentDate().slice(0, 7);
+        }
 
-        grid.innerHTML = `
-            <div class="kpi-card primary">
-                <div class="kpi-label"><i class="fas fa-wallet"></i> Patrimônio Líquido</div>
-                <div class="kpi-value">${Utils.formatCurrency(equity)}</div>
-                <div class="kpi-change">${imoveis.length} imóveis ativos</div>
-            </div>
+        // Custom range uses start/end dates instead of the reference month
+        const periodoSelect = document.getElementById('dashboard-periodo');
+        if (periodoSelect) {
+            periodoSelect.addEventListener('change', () => {
+                const custom = periodoSelect.value === 'personalizado';
+                document.getElementById('dashboard-month').style.display = custom ? 'none' : '';
+                document.getElementById('dashboard-start').style.display = custom ? '' : 'none';
+                document.getElementById('dashboard-end').style.display = custom ? '' : 'none';
+                this.refreshDashboard();
+            });
+        }
 
-            <div class="kpi-card success">
-                <div class="kpi-label"><i class="fas fa-dollar-sign"></i> Receita Mensal</div>
-                <div class="kpi-value">${Utils.formatCurrency(monthlyRevenue)}</div>
-                <div class="kpi-change">Mês atual</div>
-            </div>
+        ['dashboard-month', 'dashboard-start', 'dashboard-end'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) input.addEventListener('change', () => this.refreshDashboard());
+        });
 
-            <div class="kpi-card info">
-                <div class="kpi-label"><i class="fas fa-percentage"></i> Ocupação Média</div>
-                <div class="kpi-value">${Utils.formatPercent(occupancy)}</div>
-                <div class="kpi-change">Taxa mensal</div>
-            </div>
+        const editarBtn = document.getElementById('dashboard-editar');
+        if (editarBtn) {
+            editarBtn.addEventListener('click', () => {
+                this.dashboardEdicao = !this.dashboardEdicao;
+                this.reloadDashboardWidgets();
+            });
+        }
 
-            <div class="kpi-card warning">
-                <div class="kpi-label"><i class="fas fa-chart-line"></i> ADR</div>
-                <div class="kpi-value">${Utils.formatCurrency(adr)}</div>
-                <div class="kpi-change">Diária média</div>
-            </div>
+        const adicionarBtn = document.getElementById('dashboard-adicionar');
+        if (adicionarBtn) {
+            adicionarBtn.addEventListener('click', () => this.showAddWidgetForm());
+        }
 
-            <div class="kpi-card">
-                <div class="kpi-label"><i class="fas fa-chart-area"></i> RevPAR</div>
-                <div class="kpi-value">${Utils.formatCurrency(revpar)}</div>
-                <div class="kpi-change">Por quarto disponível</div>
-            </div>
+        const restaurarBtn = document.getElementById('dashboard-restaurar');
+        if (restaurarBtn) {
+            restaurarBtn.addEventListener('click', () => this.resetDashboardLayout());
+        }
 
-            <div class="kpi-card danger">
-                <div class="kpi-label"><i class="fas fa-landmark"></i> Dívida Total</div>
-                <div class="kpi-value">${Utils.formatCurrency(totalDebt)}</div>
-                <div class="kpi-change">LTV: ${Utils.formatPercent(totalValue > 0 ? totalDebt / totalValue : 0)}</div>
-            </div>
-        `;
+        this.reloadDashboardWidgets();
     },
 
     /**
-     * Load Dashboard Charts
+     * Get the current user's dashboard widgets (the catalog defaults when
+     * the layout was never customized)
+     * @returns {Array} [{id, tamanho}]
      */
-    loadDashboardCharts() {
-        // Revenue chart - last 12 months
-        const revenueData = [];
-        for (let i = 11; i >= 0; i--) {
-            const date = new Date();
-            date.setMonth(date.getMonth() - i);
-            const revenue = DataManager.getMonthlyRevenue(date.getFullYear(), date.getMonth());
-            revenueData.push({ month: date.getMonth(), revenue });
-        }
-        Charts.createMonthlyRevenueChart('revenue-chart', revenueData);
-
-        // Occupancy chart by property
-        const imoveis = DataManager.getImoveisAtivos();
-        const now = new Date();
-        const occupancyData = imoveis.map(imovel => ({
-            name: imovel.nome,
-            occupancy: 0.75 // Placeholder - would need actual calculation
-        }));
-        if (occupancyData.length > 0) {
-            Charts.createOccupancyChart('occupancy-chart', occupancyData);
-        }
-
-        // Expense distribution - placeholder
-        const expensesByCategory = {
-            'Limpeza': 5000,
-            'Condomínio': 3000,
-            'IPTU': 2000,
-            'Manutenção': 4000,
-            'Outros': 2000
-        };
-        Charts.createExpenseDistributionChart('expenses-chart', expensesByCategory);
+    getDashboardWidgets() {
+        const user = Auth.getCurrentUser();
+        const salvo = user ? DataManager.getDashboardLayout(user.id) : null;
 
-        // Equity evolution - placeholder
-        const equityData = [];
-        for (let i = 11; i >= 0; i--) {
-            const date = new Date();
-            date.setMonth(date.getMonth() - i);
-            equityData.push({
-                month: date.getMonth(),
-                value: DataManager.getTotalPropertyValue(),
-                debt: DataManager.getTotalDebt(),
-                equity: DataManager.getTotalEquity()
-            });
+        if (!salvo) {
+            return Object.entries(this.DASHBOARD_WIDGETS)
+                .filter(([, widget]) => !widget.opcional)
+                .map(([id, widget]) => ({ id, tamanho: widget.tamanho }));
         }
-        Charts.createEquityEvolutionChart('equity-chart', equityData);
+        return salvo.filter(w => this.DASHBOARD_WIDGETS[w.id]);
     },
 
     /**
-     * Load Recent Activity
+     * Save the current user's dashboard widgets and redraw the dashboard
+     * @param {Array} widgets - [{id, tamanho}]
      */
-    loadRecentActivity() {
-        const container = document.getElementById('recent-activity');
-        if (!container) return;
+    saveDashboardWidgets(widgets) {
+        const user = Auth.getCurrentUser();
+        if (user) DataManager.saveDashboardLayout(user.id, widgets);
+        this.reloadDashboardWidgets();
+    },
 
-        // Placeholder activity
-        container.innerHTML = `
-            <li class="activity-item">
-                <div class="activity-icon revenue">
-                    <i class="fas fa-dollar-sign"></i>
-                </div>
-                <div class="activity-content">
-                    <div class="activity-title">Nova receita registrada</div>
-                    <div class="activity-description">Reserva confirmada - Apto Centro</div>
-                    <div class="activity-time">Há 2 horas</div>
-                </div>
-                <div class="activity-value">${Utils.formatCurrency(1500)}</div>
-            </li>
-            <li class="activity-item">
-                <div class="activity-icon expense">
-                    <i class="fas fa-receipt"></i>
-                </div>
-                <div class="activity-content">
-                    <div class="activity-title">Despesa lançada</div>
-                    <div class="activity-description">Condomínio - Apto Jardins</div>
-                    <div class="activity-time">Há 5 horas</div>
-                </div>
-                <div class="activity-value">${Utils.formatCurrency(-800)}</div>
-            </li>
-        `;
+    /**
+     * Render the widget grid, then fill it for the selected period
+     */
+    reloadDashboardWidgets() {
+        this.renderDashboardWidgets();
+        this.refreshDashboard();
+        this.loadRecentActivity();
     },
 
     /**
-     * Initialize Imoveis page
+     * Render the empty widget grid (with edit controls in edit mode)
      */
-    initImoveis() {
-        this.loadImoveisList();
+    renderDashboardWidgets() {
+        const container = document.getElementById('dashboard-widgets');
+        if (!container) return;
 
-        // Add button
-        const addBtn = document.getElementById('add-imovel');
-        if (addBtn) {
-            addBtn.addEventListener('click', () => this.showImovelForm());
+        const edicao = this.dashboardEdicao;
+        const widgets = this.getDashboardWidgets();
+
+        container.classList.toggle('editing', edicao);
+        document.getElementById('dashboard-edicao').style.display = edicao ? '' : 'none';
+        document.getElementById('dashboard-editar').innerHTML = edicao
+            ? '<i class="fas fa-check"></i> Concluir'
+            : '<i class="fas fa-th-large"></i> Personalizar';
+
+        if (widgets.length === 0) {
+            container.innerHTML = '<p class="col-12 text-muted text-center">Nenhum widget no dashboard. Use "Personalizar" para adicionar.</p>';
+            return;
+        }
+
+        container.innerHTML = widgets.map((w, index) => {
+            const widget = this.DASHBOARD_WIDGETS[w.id];
+            const toolbar = edicao ? `
+                <div class="widget-toolbar">
+                    <button class="btn btn-sm btn-secondary" onclick="App.moveDashboardWidget(${index}, -1)" title="Mover para trás" ${index === 0 ? 'disabled' : ''}>
+                        <i class="fas fa-arrow-left"></i>
+                    </button>
+                    <button class="btn btn-sm btn-secondary" onclick="App.moveDashboardWidget(${index}, 1)" title="Mover para frente" ${index === widgets.length - 1 ? 'disabled' : ''}>
+                        <i class="fas fa-arrow-right"></i>
+                    </button>
+                    <button class="btn btn-sm btn-secondary" onclick="App.resizeDashboardWidget(${index})" title="Alterar largura">
+                        <i class="fas fa-arrows-alt-h"></i>
+                    </button>
+                    <button class="btn btn-sm btn-danger" onclick="App.removeDashboardWidget(${index})" title="Remover">
+                        <i class="fas fa-times"></i>
+                    </button>
+                </div>
+            ` : '';
+
+            let corpo;
+            if (widget.tipo === 'kpi') {
+                corpo = `<div class="kpi-card ${widget.classe}" id="widget-${w.id}"></div>`;
+            } else {
+                corpo = `
+                    <div class="card">
+                        <div class="card-header">
+                            <h3 class="card-title"><i class="fas ${widget.icone}"></i> ${widget.titulo} <span id="widget-${w.id}-detalhe"></span></h3>
+                        </div>
+                        <div class="card-body">
+                            ${widget.tipo === 'atividades'
+                                ? '<ul class="activity-list" id="recent-activity"></ul>'
+                                : `<div class="chart-container" id="${widget.canvas}-container"><canvas id="${widget.canvas}"></canvas></div>`}
+                        </div>
+                    </div>
+                `;
+            }
+
+            return `<div class="col-${w.tamanho} dashboard-widget" data-widget="${w.id}">${toolbar}${corpo}</div>`;
+        }).join('');
+    },
+
+    /**
+     * Move a dashboard widget one position
+     * @param {number} index - Widget position
+     * @param {number} direcao - -1 (back) or 1 (forward)
+     */
+    moveDashboardWidget(index, direcao) {
+        const widgets = this.getDashboardWidgets();
+        const destino = index + direcao;
+        if (destino < 0 || destino >= widgets.length) return;
+
+        [widgets[index], widgets[destino]] = [widgets[destino], widgets[index]];
+        this.saveDashboardWidgets(widgets);
+    },
+
+    /**
+     * Cycle a dashboard widget through the available widths
+     * @param {number} index - Widget position
+     */
+    resizeDashboardWidget(index) {
+        const widgets = this.getDashboardWidgets();
+        const atual = this.TAMANHOS_WIDGET.indexOf(widgets[index].tamanho);
+        widgets[index].tamanho = this.TAMANHOS_WIDGET[(atual + 1) % this.TAMANHOS_WIDGET.length];
+        this.saveDashboardWidgets(widgets);
+    },
+
+    /**
+     * Remove a widget from the dashboard
+     * @param {number} index - Widget position
+     */
+    removeDashboardWidget(index) {
+        const widgets = this.getDashboardWidgets();
+        widgets.splice(index, 1);
+        this.saveDashboardWidgets(widgets);
+    },
+
+    /**
+     * Show the catalog of widgets not on the dashboard
+     */
+    showAddWidgetForm() {
+        const usados = new Set(this.getDashboardWidgets().map(w => w.id));
+        const disponiveis = Object.entries(this.DASHBOARD_WIDGETS).filter(([id]) => !usados.has(id));
+
+        const content = disponiveis.length === 0
+            ? '<p class="text-muted">Todos os widgets já estão no dashboard.</p>'
+            : `
+                <div class="table-container">
+                    <table>
+                        <tbody>
+                            ${disponiveis.map(([id, widget]) => `
+                                <tr>
+                                    <td><i class="fas ${widget.icone}"></i> ${widget.titulo}</td>
+                                    <td>${widget.tipo === 'kpi' ? 'Indicador' : widget.tipo === 'grafico' ? 'Gráfico' : 'Lista'}</td>
+                                    <td class="table-actions">
+                                        <button class="btn btn-sm btn-primary" onclick="App.addDashboardWidget('${id}')">
+                                            <i class="fas fa-plus"></i> Adicionar
+                                        </button>
+                                    </td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            `;
+
+        Utils.showModal('Adicionar Widget', content, [
+            { text: 'Fechar', class: 'btn-secondary' }
+        ]);
+    },
+
+    /**
+     * Append a catalog widget to the dashboard
+     * @param {string} id - Widget ID
+     */
+    addDashboardWidget(id) {
+        const widget = this.DASHBOARD_WIDGETS[id];
+        if (!widget) return;
+
+        Utils.closeModal();
+        this.saveDashboardWidgets([...this.getDashboardWidgets(), { id, tamanho: widget.tamanho }]);
+    },
+
+    /**
+     * Go back to the default dashboard widgets
+     */
+    resetDashboardLayout() {
+        Utils.showConfirm(
+            'Restaurar Padrão',
+            'Deseja voltar ao dashboard padrão? Sua personalização será descartada.',
+            () => {
+                const user = Auth.getCurrentUser();
+                if (user) DataManager.deleteDashboardLayout(user.id);
+                this.reloadDashboardWidgets();
+            }
+        );
+    },
+
+    /**
+     * Get the period selected on the dashboard
+     * @returns {Object|null} {periodo, startDate, endDate} or null if incomplete
+     */
+    getDashboardPeriod() {
+        const periodoSelect = document.getElementById('dashboard-periodo');
+        const periodo = periodoSelect ? periodoSelect.value : 'mes';
+
+        if (periodo === 'personalizado') {
+            const startDate = document.getElementById('dashboard-start').value;
+            const endDate = document.getElementById('dashboard-end').value;
+            if (!startDate || !endDate || startDate > endDate) return null;
+            return { periodo, startDate, endDate };
+        }
+
+        const monthInput = document.getElementById('dashboard-month');
+        const month = monthInput && monthInput.value ? monthInput.value : Utils.getCurrentDate().slice(0, 7);
+
+        // Year to date runs up to today in the current month
+        let referencia = `${month}-01`;
+        if (periodo === 'ytd') {
+            const fimMes = Utils.getPeriodRange('mes', referencia).endDate;
+            referencia = fimMes < Utils.getCurrentDate() ? fimMes : Utils.getCurrentDate();
+        }
+
+        return { periodo, ...Utils.getPeriodRange(periodo, referencia) };
+    },
+
+    /**
+     * Recalculate dashboard KPIs and charts for the selected period
+     */
+    refreshDashboard() {
+        const period = this.getDashboardPeriod();
+        if (!period) return;
+
+        this.loadDashboardKPIs(period);
+        this.loadDashboardCharts(period);
+    },
+
+    /**
+     * Render the change of a KPI against a comparison period
+     * @param {number} atual - Value in the selected period
+     * @param {number} anterior - Value in the comparison period
+     * @param {boolean} pontos - Show the difference in percentage points (for rates)
+     * @returns {string} HTML
+     */
+    formatKPIDelta(atual, anterior, pontos = false) {
+        const delta = pontos ? atual - anterior : Utils.percentageChange(anterior, atual);
+        const icon = delta > 0 ? 'fa-arrow-up' : delta < 0 ? 'fa-arrow-down' : 'fa-minus';
+        const valor = pontos
+            ? `${Utils.formatNumber(Math.abs(delta) * 100, 1)} p.p.`
+            : Utils.formatPercent(Math.abs(delta), 1);
+
+        return `<i class="fas ${icon}"></i> ${valor}`;
+    },
+
+    /**
+     * Load Dashboard KPIs
+     * @param {Object} period - {periodo, startDate, endDate}
+     */
+    loadDashboardKPIs(period) {
+        const cards = Object.entries(this.DASHBOARD_WIDGETS)
+            .filter(([, widget]) => widget.tipo === 'kpi')
+            .map(([id, widget]) => ({ ...widget, element: document.getElementById(`widget-${id}`) }))
+            .filter(card => card.element);
+        if (cards.length === 0) return;
+
+        const { anterior, anoAnterior } = Utils.getComparisonRanges(period.periodo, period);
+        const atual = DataManager.getDashboardKPIs(period.startDate, period.endDate);
+        const kpisAnterior = DataManager.getDashboardKPIs(anterior.startDate, anterior.endDate);
+        const kpisAnoAnterior = DataManager.getDashboardKPIs(anoAnterior.startDate, anoAnterior.endDate);
+
+        const notas = {
+            patrimonio: `${atual.imoveisAtivos} ${atual.imoveisAtivos === 1 ? 'imóvel' : 'imóveis'}`,
+            receita: 'Diárias do período (bruto)',
+            ocupacao: 'Noites disponíveis',
+            adr: 'Diária média',
+            revpar: 'Por noite disponível',
+            divida: `LTV: ${Utils.formatPercent(atual.ltv)}`
+        };
+
+        cards.forEach(card => {
+            card.element.innerHTML = `
+                <div class="kpi-label"><i class="fas ${card.icone}"></i> ${card.titulo}</div>
+                <div class="kpi-value">${card.taxa ? Utils.formatPercent(atual[card.campo]) : Utils.formatCurrency(atual[card.campo])}</div>
+                <div class="kpi-change">${notas[card.campo]}</div>
+                <div class="kpi-change" title="${Utils.formatDate(anterior.startDate)} a ${Utils.formatDate(anterior.endDate)}">
+                    ${this.formatKPIDelta(atual[card.campo], kpisAnterior[card.campo], card.taxa)} vs período anterior
+                </div>
+                <div class="kpi-change" title="${Utils.formatDate(anoAnterior.startDate)} a ${Utils.formatDate(anoAnterior.endDate)}">
+                    ${this.formatKPIDelta(atual[card.campo], kpisAnoAnterior[card.campo], card.taxa)} vs ano anterior
+                </div>
+            `;
+        });
+    },
+
+    /**
+     * Load Dashboard Charts
+     * @param {Object} period - {periodo, startDate, endDate}
+     */
+    loadDashboardCharts(period) {
+        const { startDate, endDate } = period;
+        const fim = Utils.parseDate(endDate);
+        const ultimoMes = new Date(fim.getFullYear(), fim.getMonth(), 1);
+        const presente = canvasId => !!document.getElementById(canvasId);
+
+        // 12 months up to the period end
+        const meses = [];
+        for (let i = 11; i >= 0; i--) {
+            meses.push(Utils.addMonths(ultimoMes, -i));
+        }
+
+        if (presente('revenue-chart')) {
+            Charts.createMonthlyRevenueChart('revenue-chart', meses.map(date => ({
+                month: date.getMonth(),
+                revenue: DataManager.getMonthlyRevenue(date.getFullYear(), date.getMonth())
+            })));
+        }
+
+        if (presente('revenue-expenses-chart')) {
+            Charts.createRevenueExpensesChart('revenue-expenses-chart', meses.map(date => ({
+                month: date.getMonth(),
+                revenue: DataManager.getMonthlyRevenue(date.getFullYear(), date.getMonth()),
+                expenses: DataManager.getMonthlyExpenses(date.getFullYear(), date.getMonth())
+            })));
+        }
+
+        // Occupancy by property over the period
+        if (presente('occupancy-chart')) {
+            const occupancyData = DataManager.getPortfolioOccupancy(startDate, endDate).imoveis.map(o => ({
+                name: o.imovel.nome,
+                occupancy: o.taxa
+            }));
+            if (occupancyData.length > 0) {
+                Charts.createOccupancyChart('occupancy-chart', occupancyData);
+            }
+        }
+
+        // Occupancy heatmap - year of the period end, one row per imóvel
+        if (presente('occupancy-heatmap')) {
+            const ano = Utils.getPeriodRange('ano', fim);
+            const heatmapRows = DataManager.getOccupancyHeatmap(ano.startDate, ano.endDate)
+                .map(row => ({ name: row.imovel.nome, noites: row.noites }));
+            document.getElementById('occupancy-heatmap-container').style.height = `${Math.max(160, heatmapRows.length * 40 + 90)}px`;
+            document.getElementById('widget-mapa-ocupacao-detalhe').textContent = ano.startDate.slice(0, 4);
+            Charts.createOccupancyHeatmap('occupancy-heatmap', heatmapRows);
+        }
+
+        // Expense distribution - despesas of the period, by category label
+        if (presente('expenses-chart')) {
+            const expensesByCategory = {};
+            Object.entries(DataManager.getExpensesByCategory(DataManager.getDespesasByPeriodo(startDate, endDate)))
+                .sort((a, b) => b[1] - a[1])
+                .forEach(([key, total]) => {
+                    const categoria = DataManager.CATEGORIAS_DESPESA[key];
+                    expensesByCategory[categoria ? categoria.label : key] = total;
+                });
+            Charts.createExpenseDistributionChart('expenses-chart', expensesByCategory);
+        }
+
+        // Equity evolution - value and debt rebuilt at each month end
+        if (presente('equity-chart')) {
+            Charts.createEquityEvolutionChart('equity-chart', DataManager.getEquityHistory(12, fim));
+        }
+    },
+
+    /**
+     * Load Recent Activity
+     */
+    loadRecentActivity() {
+        const container = document.getElementById('recent-activity');
+        if (!container) return;
+
+        const atividades = DataManager.getRecentActivity(10);
+        if (atividades.length === 0) {
+            container.innerHTML = '<li class="activity-item text-muted">Nenhuma atividade registrada</li>';
+            return;
+        }
+
+        container.innerHTML = atividades.map(atividade => {
+            const tipo = this.TIPOS_ATIVIDADE[atividade.tipo];
+            const { registro, imovel } = atividade;
+            const valor = tipo.valor ? tipo.valor(registro) : null;
+            const descricao = [tipo.descricao(registro), imovel ? imovel.nome : '']
+                .filter(Boolean)
+                .join(' - ');
+
+            return `
+                <li class="activity-item">
+                    <div class="activity-icon ${tipo.icone}">
+                        <i class="fas ${tipo.fa}"></i>
+                    </div>
+                    <div class="activity-content">
+                        <div class="activity-title">${tipo.titulos[atividade.acao]}</div>
+                        <div class="activity-description">${Utils.escapeHtml(descricao)}</div>
+                        <div class="activity-time">${Utils.formatRelativeTime(atividade.timestamp)}</div>
+                    </div>
+                    ${valor !== null ? `<div class="activity-value">${Utils.formatCurrency(valor)}</div>` : ''}
+                </li>
+            `;
+        }).join('');
+    },
+
+    /**
+     * Initialize Imoveis page
+     */
+    initImoveis() {
+        this.loadImoveisList();
+
+        // Add button
+        const addBtn = document.getElementById('add-imovel');
+        if (addBtn) {
+            addBtn.addEventListener('click', () => this.showImovelForm());
         }
 
         // Search
@@ -1598,6 +2377,9 @@ const App = {
                         </span>
                     </td>
                     <td class="table-actions">
+                        <button class="btn btn-sm btn-secondary" onclick="App.gerenciarCalendariosImovel('${imovel.id}')" title="Calendários iCal">
+                            <i class="fas fa-calendar-check"></i>
+                        </button>
                         <button class="btn btn-sm btn-secondary" onclick="App.editImovel('${imovel.id}')">
                             <i class="fas fa-edit"></i>
                         </button>
@@ -1629,6 +2411,23 @@ const App = {
                 </div>
             </div>
 
+            <div class="form-row">
+                <div class="form-group">
+                    <label class="form-label">Cidade</label>
+                    <input type="text" name="cidade" class="form-input" value="${Utils.escapeHtml(imovel.cidade || '')}">
+                </div>
+                <div class="form-group">
+                    <label class="form-label">Índice de Atualização</label>
+                    <select name="indiceAtualizacao" class="form-select">
+                        <option value="">Nenhum</option>
+                        ${Object.entries(DataManager.INDICES).map(([key, indice]) => `
+                            <option value="${key}" ${imovel.indiceAtualizacao === key ? 'selected' : ''}>${indice.label}</option>
+                        `).join('')}
+                    </select>
+                    <small class="text-muted">Estima o valor atual entre avaliações (FipeZap usa a cidade)</small>
+                </div>
+            </div>
+
             <div class="form-row">
                 <div class="form-group">
                     <label class="form-label required">Data de Aquisição</label>
@@ -1651,7 +2450,8 @@ const App = {
                 </div>
                 <div class="form-group">
                     <label class="form-label">Valor Investido em Reforma</label>
-                    <input type="number" name="valorReforma" class="form-input" value="${imovel.valorReforma || 0}" min="0" step="0.01">
+                    <input type="text" class="form-input" value="${Utils.formatCurrency(imovel.valorReforma || 0)}" readonly>
+                    <small class="text-muted">Calculado a partir das reformas concluídas</small>
                 </div>
             </div>
 
@@ -1705,7 +2505,7 @@ const App = {
             ...formData,
             id: imovelId,
             valorCompra: parseFloat(formData.valorCompra) || 0,
-            valorReforma: parseFloat(formData.valorReforma) || 0,
+            valorReforma: imovelId ? DataManager.getValorReformaByImovel(imovelId) : 0,
             valorMercadoAtual: parseFloat(formData.valorMercadoAtual) || 0,
             numQuartos: parseInt(formData.numQuartos) || 0
         };
@@ -1739,52 +2539,295 @@ const App = {
     },
 
     /**
-     * Filter imoveis
+     * Manage the iCal availability feeds of an imóvel and show how they
+     * reconcile with its receitas
      */
-    filterImoveis(searchTerm) {
-        // Implement search filtering
-        this.loadImoveisList();
-    },
+    gerenciarCalendariosImovel(id) {
+        const imovel = DataManager.getImovelById(id);
+        if (!imovel) return;
 
-    /**
-     * Initialize other pages (simplified implementations)
-     */
-    initFinanciamentos() {
-        this.loadFinanciamentosList();
+        const calendarios = DataManager.getCalendariosByImovel(id);
 
-        // Add button
-        const addBtn = document.getElementById('add-financiamento');
-        if (addBtn) {
-            addBtn.addEventListener('click', () => this.showFinanciamentoForm());
-        }
+        const html = `
+            <div class="form">
+                <div class="table-responsive">
+                    <table class="table">
+                        <thead>
+                            <tr>
+                                <th>Plataforma</th>
+                                <th>Origem</th>
+                                <th>Atualizado em</th>
+                                <th>Ações</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${calendarios.length === 0 ? '<tr><td colspan="4" class="text-center text-muted">Nenhum calendário vinculado</td></tr>' : ''}
+                            ${calendarios.map(c => `
+                                <tr>
+                                    <td>${this.PLATAFORMAS[c.plataforma] || '-'}</td>
+                                    <td>${Utils.escapeHtml(c.url || c.arquivo || '-')}</td>
+                                    <td>${Utils.formatDate(c.atualizadoEm)}</td>
+                                    <td class="table-actions">
+                                        ${c.url ? `
+                                            <button class="btn btn-sm btn-secondary" onclick="App.atualizarCalendarioImovel('${c.id}')" title="Atualizar">
+                                                <i class="fas fa-sync"></i>
+                                            </button>
+                                        ` : ''}
+                                        <button class="btn btn-sm btn-danger" onclick="App.removerCalendarioImovel('${c.id}')">
+                                            <i class="fas fa-trash"></i>
+                                        </button>
+                                    </td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+
+                <div id="ical-reconciliation"></div>
+
+                <div class="card" style="margin-top: 1rem; padding: 1rem; background: var(--card-background);">
+                    <h4 style="margin-bottom: 1rem;">Vincular Calendário</h4>
+                    <form id="add-ical-form">
+                        <div class="form-group">
+                            <label class="form-label required">Plataforma</label>
+                            <select name="plataforma" class="form-select">
+                                ${Object.entries(this.PLATAFORMAS).map(([value, label]) => `
+                                    <option value="${value}">${label}</option>
+                                `).join('')}
+                            </select>
+                        </div>
+                        <div class="form-group">
+                            <label class="form-label">URL do arquivo .ics</label>
+                            <input type="url" name="url" class="form-input" placeholder="http://localhost/calendarios/loft-airbnb.ics">
+                            <small class="text-muted">Precisa estar acessível pelo navegador (ex: servido localmente)</small>
+                        </div>
+                        <div class="form-group">
+                            <label class="form-label">Ou arquivo .ics salvo</label>
+                            <input type="file" id="add-ical-file" class="form-input" accept=".ics,text/calendar">
+                        </div>
+                        <button type="submit" class="btn btn-primary" style="width: 100%;">
+                            <i class="fas fa-plus"></i> Vincular Calendário
+                        </button>
+                    </form>
+                </div>
+            </div>
+        `;
+
+        Utils.showModal(
+            `Calendários iCal - ${Utils.escapeHtml(imovel.nome)}`,
+            html,
+            [{ text: 'Fechar', class: 'btn-secondary' }]
+        );
+
+        this.renderCalendarReconciliation(id);
+
+        // Add form handler
+        setTimeout(() => {
+            const form = document.getElementById('add-ical-form');
+            if (form) {
+                form.onsubmit = (e) => {
+                    e.preventDefault();
+                    const formData = Forms.getFormData('add-ical-form');
+                    const file = document.getElementById('add-ical-file').files[0];
+
+                    if (!file && !formData.url) {
+                        Utils.showToast('Informe a URL ou selecione um arquivo .ics', 'error');
+                        return;
+                    }
+
+                    const calendario = {
+                        imovelId: id,
+                        plataforma: formData.plataforma,
+                        url: file ? '' : formData.url,
+                        arquivo: file ? file.name : ''
+                    };
+
+                    if (file) {
+                        const reader = new FileReader();
+                        reader.onload = (event) => this.saveCalendarioImovel(calendario, event.target.result);
+                        reader.readAsText(file);
+                    } else {
+                        this.fetchCalendario(formData.url, conteudo => this.saveCalendarioImovel(calendario, conteudo));
+                    }
+                };
+            }
+        }, 100);
     },
 
     /**
-     * Load financiamentos list
+     * Render the reconciliation of an imóvel's feeds against its receitas
+     * inside the calendars modal
      */
-    loadFinanciamentosList() {
-        const container = document.getElementById('financiamentos-list');
-        if (!container) return;
+    renderCalendarReconciliation(imovelId) {
+        const container = document.getElementById('ical-reconciliation');
+        if (!container || DataManager.getCalendariosByImovel(imovelId).length === 0) return;
+
+        let resultado;
+        try {
+            resultado = DataManager.getCalendarReconciliation(imovelId);
+        } catch (error) {
+            container.innerHTML = `<p class="text-danger">${Utils.escapeHtml(error.message)}</p>`;
+            return;
+        }
 
-        const financiamentos = DataManager.getFinanciamentos();
+        const { bloqueiosSemReceita, receitasSemBloqueio, inicio, fim } = resultado;
+        const formatNoites = noites => `${noites.length} noite${noites.length === 1 ? '' : 's'} (${Utils.formatDate(noites[0])} a ${Utils.formatDate(noites[noites.length - 1])})`;
 
-        if (financiamentos.length === 0) {
+        if (bloqueiosSemReceita.length === 0 && receitasSemBloqueio.length === 0) {
             container.innerHTML = `
-                <div class="empty-state">
-                    <div class="empty-state-icon"><i class="fas fa-landmark"></i></div>
-                    <h3 class="empty-state-title">Nenhum financiamento cadastrado</h3>
-                    <p class="empty-state-description">Clique em "Adicionar Financiamento" para começar</p>
-                </div>
+                <p class="text-success" style="margin-top: 1rem;">
+                    <i class="fas fa-check-circle"></i> Calendários e receitas conferem
+                    ${inicio ? `de ${Utils.formatDate(inicio)} a ${Utils.formatDate(fim)}` : ''}
+                </p>
             `;
             return;
         }
 
-        container.innerHTML = financiamentos.map(fin => {
-            const imovel = DataManager.getImovelById(fin.imovelId);
-            const imovelNome = imovel ? imovel.nome : 'Imóvel não encontrado';
-
-            const totalPago = (fin.parcelasPagas || 0) * (fin.valorParcela || 0);
-            const progresso = fin.prazoTotal > 0 ? (fin.parcelasPagas || 0) / fin.prazoTotal * 100 : 0;
+        container.innerHTML = `
+            <h4 style="margin: 1rem 0;">Divergências (${Utils.formatDate(inicio)} a ${Utils.formatDate(fim)})</h4>
+            <div class="table-responsive">
+                <table class="table">
+                    <thead>
+                        <tr>
+                            <th>Tipo</th>
+                            <th>Descrição</th>
+                            <th>Noites sem correspondência</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${bloqueiosSemReceita.map(({ evento, noites }) => `
+                            <tr>
+                                <td><span class="badge badge-warning">Bloqueio sem receita</span></td>
+                                <td>${this.PLATAFORMAS[evento.plataforma] || '-'}: ${Utils.escapeHtml(evento.resumo || evento.uid || '-')}</td>
+                                <td>${formatNoites(noites)}</td>
+                            </tr>
+                        `).join('')}
+                        ${receitasSemBloqueio.map(({ receita, noites }) => `
+                            <tr>
+                                <td><span class="badge badge-danger">Receita sem bloqueio</span></td>
+                                <td>${Utils.escapeHtml(receita.hospede || '-')} (${Utils.formatDate(receita.dataCheckIn)} a ${Utils.formatDate(receita.dataCheckOut)})</td>
+                                <td>${formatNoites(noites)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    },
+
+    /**
+     * Download an .ics feed from a URL the browser can reach
+     * @param {string} url - Feed URL
+     * @param {Function} onLoad - Called with the feed content
+     */
+    fetchCalendario(url, onLoad) {
+        fetch(url)
+            .then(response => {
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                return response.text();
+            })
+            .then(onLoad)
+            .catch(error => {
+                console.error('Error fetching calendar:', error);
+                Utils.showToast('Não foi possível baixar o calendário. Verifique a URL.', 'error');
+            });
+    },
+
+    /**
+     * Validate and store feed content, then reload the calendars modal
+     */
+    saveCalendarioImovel(calendario, conteudo) {
+        try {
+            Importers.parseICS(conteudo);
+        } catch (error) {
+            Utils.showToast(error.message, 'error');
+            return;
+        }
+
+        DataManager.saveCalendario({ ...calendario, conteudo, atualizadoEm: Utils.getCurrentDate() });
+        Utils.showToast('Calendário vinculado!', 'success');
+
+        // Reload modal
+        Utils.closeModal();
+        setTimeout(() => this.gerenciarCalendariosImovel(calendario.imovelId), 300);
+    },
+
+    /**
+     * Download a URL feed again
+     */
+    atualizarCalendarioImovel(id) {
+        const calendario = DataManager.getCalendarioById(id);
+        if (!calendario || !calendario.url) return;
+
+        this.fetchCalendario(calendario.url, conteudo => this.saveCalendarioImovel(calendario, conteudo));
+    },
+
+    /**
+     * Unlink a feed from its imóvel
+     */
+    removerCalendarioImovel(id) {
+        const calendario = DataManager.getCalendarioById(id);
+        if (!calendario) return;
+
+        Utils.showConfirm(
+            'Remover Calendário',
+            'Tem certeza que deseja desvincular este calendário?',
+            () => {
+                DataManager.deleteCalendario(id);
+                Utils.showToast('Calendário removido!', 'success');
+                setTimeout(() => this.gerenciarCalendariosImovel(calendario.imovelId), 300);
+            },
+            () => setTimeout(() => this.gerenciarCalendariosImovel(calendario.imovelId), 300)
+        );
+    },
+
+    /**
+     * Filter imoveis
+     */
+    filterImoveis(searchTerm) {
+        // Implement search filtering
+        this.loadImoveisList();
+    },
+
+    /**
+     * Initialize other pages (simplified implementations)
+     */
+    initFinanciamentos() {
+        this.loadFinanciamentosList();
+
+        // Add button
+        const addBtn = document.getElementById('add-financiamento');
+        if (addBtn) {
+            addBtn.addEventListener('click', () => this.showFinanciamentoForm());
+        }
+    },
+
+    /**
+     * Load financiamentos list
+     */
+    loadFinanciamentosList() {
+        const container = document.getElementById('financiamentos-list');
+        if (!container) return;
+
+        const financiamentos = DataManager.getFinanciamentos();
+
+        if (financiamentos.length === 0) {
+            container.innerHTML = `
+                <div class="empty-state">
+                    <div class="empty-state-icon"><i class="fas fa-landmark"></i></div>
+                    <h3 class="empty-state-title">Nenhum financiamento cadastrado</h3>
+                    <p class="empty-state-description">Clique em "Adicionar Financiamento" para começar</p>
+                </div>
+            `;
+            return;
+        }
+
+        container.innerHTML = financiamentos.map(fin => {
+            const imovel = DataManager.getImovelById(fin.imovelId);
+            const imovelNome = imovel ? imovel.nome : 'Imóvel não encontrado';
+
+            const totalPago = (fin.parcelasPagas || 0) * (fin.valorParcela || 0);
+            const progresso = fin.prazoTotal > 0 ? (fin.parcelasPagas || 0) / fin.prazoTotal * 100 : 0;
 
             return `
                 <div class="card mb-3" style="border-left: 4px solid var(--primary-color);">
@@ -1917,6 +2960,8 @@ const App = {
                 <label class="form-label required">Data de Início</label>
                 <input type="date" name="dataInicio" class="form-input" value="${Utils.formatDateInput(fin.dataInicio || new Date())}" required>
             </div>
+
+            ${this.getContaField(fin.contaId)}
         `;
 
         Utils.showModal(
@@ -2008,12 +3053,7 @@ const App = {
 
         const imovel = DataManager.getImovelById(fin.imovelId);
 
-        let tabela = [];
-        if (fin.sistema === 'PRICE') {
-            tabela = Calculations.generatePRICETable(fin.valorFinanciado, fin.taxaJuros, fin.prazoTotal, new Date(fin.dataInicio));
-        } else {
-            tabela = Calculations.generateSACTable(fin.valorFinanciado, fin.taxaJuros, fin.prazoTotal, new Date(fin.dataInicio));
-        }
+        const tabela = DataManager.getAmortizationTable(fin);
 
         const tabelaHtml = `
             <div style="max-height: 500px; overflow-y: auto;">
@@ -2295,6 +3335,8 @@ const App = {
                     </div>
                 </div>
 
+                ${this.getContaField(consorcio ? consorcio.contaId : '')}
+
                 <div class="form-row">
                     <div class="form-group">
                         <label class="form-label">
@@ -2353,6 +3395,7 @@ const App = {
             valorParcela: parseFloat(formData.valorParcela || 0),
             prazoTotal: parseInt(formData.prazoTotal),
             dataInicio: formData.dataInicio,
+            contaId: formData.contaId || '',
             contemplado: formData.contemplado === 'on',
             observacoes: formData.observacoes || '',
             // Preserve existing history
@@ -2676,91 +3719,4225 @@ const App = {
         );
     },
 
+    /**
+     * Initialize Reformas page
+     */
     initReformas() {
-        const tbody = document.getElementById('reformas-tbody');
-        if (tbody) {
-            tbody.innerHTML = '<tr><td colspan="9" class="text-center text-muted">Nenhuma reforma cadastrada</td></tr>';
+        // Populate property filter
+        const imovelFilter = document.getElementById('filter-imovel-reforma');
+        if (imovelFilter) {
+            DataManager.getImoveis().forEach(imovel => {
+                const option = document.createElement('option');
+                option.value = imovel.id;
+                option.textContent = imovel.nome;
+                imovelFilter.appendChild(option);
+            });
+            imovelFilter.addEventListener('change', () => this.loadReformasList());
         }
-    },
 
-    initReceitas() {
-        const tbody = document.getElementById('receitas-tbody');
-        if (tbody) {
-            tbody.innerHTML = '<tr><td colspan="11" class="text-center text-muted">Nenhuma receita cadastrada</td></tr>';
+        const statusFilter = document.getElementById('filter-status-reforma');
+        if (statusFilter) {
+            statusFilter.addEventListener('change', () => this.loadReformasList());
         }
-    },
 
-    initDespesas() {
-        const tbody = document.getElementById('despesas-tbody');
-        if (tbody) {
-            tbody.innerHTML = '<tr><td colspan="8" class="text-center text-muted">Nenhuma despesa cadastrada</td></tr>';
+        const addBtn = document.getElementById('add-reforma');
+        if (addBtn) {
+            addBtn.addEventListener('click', () => this.showReformaForm());
         }
+
+        this.loadReformasList();
     },
 
-    initDRE() {
-        const result = document.getElementById('dre-result');
-        if (result) {
-            result.innerHTML = '<p class="text-muted">Selecione um período e clique em "Calcular" para visualizar a DRE.</p>';
+    /**
+     * Load reformas list
+     */
+    loadReformasList() {
+        const tbody = document.getElementById('reformas-tbody');
+        if (!tbody) return;
+
+        const imovelFilter = document.getElementById('filter-imovel-reforma');
+        const statusFilter = document.getElementById('filter-status-reforma');
+        const imovelId = imovelFilter ? imovelFilter.value : '';
+        const status = statusFilter ? statusFilter.value : '';
+
+        const reformas = DataManager.getReformas()
+            .filter(r => (!imovelId || r.imovelId === imovelId) && (!status || r.status === status))
+            .sort((a, b) => (b.dataInicio || '').localeCompare(a.dataInicio || ''));
+
+        this.loadReformasSummary(reformas);
+
+        if (reformas.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="10" class="text-center text-muted">Nenhuma reforma cadastrada</td></tr>';
+            return;
         }
+
+        const imoveisMap = {};
+        DataManager.getImoveis().forEach(im => {
+            imoveisMap[im.id] = im;
+        });
+
+        tbody.innerHTML = reformas.map(reforma => {
+            const imovel = imoveisMap[reforma.imovelId];
+            const totals = DataManager.getReformaTotals(reforma);
+            const status = this.STATUS_REFORMA[reforma.status] || this.STATUS_REFORMA.planejada;
+            const next = status.next ? this.STATUS_REFORMA[status.next] : null;
+
+            return `
+                <tr>
+                    <td><strong>${imovel ? Utils.escapeHtml(imovel.nome) : '-'}</strong></td>
+                    <td>${Utils.escapeHtml(reforma.descricao || '-')}</td>
+                    <td>${this.CATEGORIAS_REFORMA[reforma.categoria] || '-'}</td>
+                    <td>${Utils.formatDate(reforma.dataInicio) || '-'}</td>
+                    <td>${Utils.formatDate(reforma.dataConclusao) || '-'}</td>
+                    <td>${Utils.formatCurrency(totals.orcado)}</td>
+                    <td>${Utils.formatCurrency(totals.realizado)}</td>
+                    <td class="${totals.variacao > 0 ? 'text-danger' : 'text-success'}">
+                        ${Utils.formatCurrency(totals.variacao)}
+                        <small>(${Utils.formatPercent(totals.variacaoPercent, 1)})</small>
+                    </td>
+                    <td><span class="badge badge-${status.badge}">${status.label}</span></td>
+                    <td class="table-actions">
+                        ${next ? `
+                            <button class="btn btn-sm btn-success" onclick="App.advanceReformaStatus('${reforma.id}')" title="Mover para ${next.label}">
+                                <i class="fas fa-forward"></i>
+                            </button>
+                        ` : ''}
+                        <button class="btn btn-sm btn-secondary" onclick="App.editReforma('${reforma.id}')">
+                            <i class="fas fa-edit"></i>
+                        </button>
+                        <button class="btn btn-sm btn-danger" onclick="App.deleteReforma('${reforma.id}')">
+                            <i class="fas fa-trash"></i>
+                        </button>
+                    </td>
+                </tr>
+            `;
+        }).join('');
     },
 
-    initBalanco() {
-        const ativo = document.getElementById('balanco-ativo');
-        const passivo = document.getElementById('balanco-passivo');
-        if (ativo) ativo.innerHTML = '<p class="text-muted">Selecione uma data e clique em "Calcular".</p>';
-        if (passivo) passivo.innerHTML = '<p class="text-muted">Selecione uma data e clique em "Calcular".</p>';
+    /**
+     * Load budget vs actual summary per property
+     * @param {Array} reformas - Reformas currently listed
+     */
+    loadReformasSummary(reformas) {
+        const container = document.getElementById('reformas-summary');
+        if (!container) return;
+
+        const byImovel = {};
+        reformas.forEach(reforma => {
+            const totals = DataManager.getReformaTotals(reforma);
+            if (!byImovel[reforma.imovelId]) {
+                byImovel[reforma.imovelId] = { orcado: 0, realizado: 0 };
+            }
+            byImovel[reforma.imovelId].orcado += totals.orcado;
+            byImovel[reforma.imovelId].realizado += totals.realizado;
+        });
+
+        container.innerHTML = Object.entries(byImovel).map(([imovelId, totals]) => {
+            const imovel = DataManager.getImovelById(imovelId);
+            const variacao = totals.realizado - totals.orcado;
+            const variacaoPercent = totals.orcado > 0 ? variacao / totals.orcado : 0;
+
+            return `
+                <div class="metric-card">
+                    <div class="metric-label"><i class="fas fa-home"></i> ${imovel ? Utils.escapeHtml(imovel.nome) : '-'}</div>
+                    <div class="metric-value" style="font-size: 1.5rem;">${Utils.formatCurrency(totals.realizado)}</div>
+                    <div class="metric-subtitle">Orçado: ${Utils.formatCurrency(totals.orcado)}</div>
+                    <div class="metric-subtitle ${variacao > 0 ? 'text-danger' : 'text-success'}">
+                        Variação: ${Utils.formatCurrency(variacao)} (${Utils.formatPercent(variacaoPercent, 1)})
+                    </div>
+                </div>
+            `;
+        }).join('');
     },
 
-    initFluxoCaixa() {
-        const result = document.getElementById('fluxo-result');
-        if (result) {
-            result.innerHTML = '<p class="text-muted">Selecione um período e clique em "Calcular".</p>';
+    /**
+     * Render one line item row of the reforma form
+     */
+    getReformaItemRow(item = {}) {
+        return `
+            <div class="form-row reforma-item">
+                <div class="form-group">
+                    <input type="text" class="form-input item-descricao" placeholder="Descrição do item" value="${Utils.escapeHtml(item.descricao || '')}">
+                </div>
+                <div class="form-group">
+                    <input type="number" class="form-input item-orcado" placeholder="Orçado" value="${item.valorOrcado || ''}" min="0" step="0.01">
+                </div>
+                <div class="form-group">
+                    <input type="number" class="form-input item-realizado" placeholder="Realizado" value="${item.valorRealizado || ''}" min="0" step="0.01">
+                </div>
+                <div class="form-group">
+                    <button type="button" class="btn btn-sm btn-danger" onclick="this.closest('.reforma-item').remove()">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </div>
+            </div>
+        `;
+    },
+
+    /**
+     * Show reforma form
+     */
+    showReformaForm(reformaId = null) {
+        const reforma = reformaId ? DataManager.getReformaById(reformaId) : {};
+        const isEdit = !!reformaId;
+        const imoveis = DataManager.getImoveis();
+        const itens = reforma.itens && reforma.itens.length > 0 ? reforma.itens : [{}];
+
+        const formHtml = `
+            <div class="form-row">
+                <div class="form-group">
+                    <label class="form-label required">Imóvel</label>
+                    <select name="imovelId" class="form-select" required>
+                        <option value="">Selecione um imóvel</option>
+                        ${imoveis.map(i => `
+                            <option value="${i.id}" ${reforma.imovelId === i.id ? 'selected' : ''}>${Utils.escapeHtml(i.nome)}</option>
+                        `).join('')}
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label class="form-label">Categoria</label>
+                    <select name="categoria" class="form-select">
+                        ${Object.entries(this.CATEGORIAS_REFORMA).map(([value, label]) => `
+                            <option value="${value}" ${reforma.categoria === value ? 'selected' : ''}>${label}</option>
+                        `).join('')}
+                    </select>
+                </div>
+            </div>
+
+            <div class="form-group">
+                <label class="form-label required">Descrição</label>
+                <input type="text" name="descricao" class="form-input" value="${Utils.escapeHtml(reforma.descricao || '')}" required>
+            </div>
+
+            <div class="form-row">
+                <div class="form-group">
+                    <label class="form-label">Data de Início</label>
+                    <input type="date" name="dataInicio" class="form-input" value="${Utils.formatDateInput(reforma.dataInicio)}">
+                </div>
+                <div class="form-group">
+                    <label class="form-label">Data de Conclusão</label>
+                    <input type="date" name="dataConclusao" class="form-input" value="${Utils.formatDateInput(reforma.dataConclusao)}">
+                </div>
+                <div class="form-group">
+                    <label class="form-label">Status</label>
+                    <select name="status" class="form-select">
+                        ${Object.entries(this.STATUS_REFORMA).map(([value, status]) => `
+                            <option value="${value}" ${(reforma.status || 'planejada') === value ? 'selected' : ''}>${status.label}</option>
+                        `).join('')}
+                    </select>
+                </div>
+            </div>
+
+            <div class="form-group">
+                <label class="form-label">Itens (Orçado × Realizado)</label>
+                <div id="reforma-itens">
+                    ${itens.map(item => this.getReformaItemRow(item)).join('')}
+                </div>
+                <button type="button" class="btn btn-sm btn-outline" id="add-reforma-item">
+                    <i class="fas fa-plus"></i> Adicionar Item
+                </button>
+            </div>
+
+            <div class="form-group">
+                <label class="form-label">Observações</label>
+                <textarea name="observacoes" class="form-textarea">${Utils.escapeHtml(reforma.observacoes || '')}</textarea>
+            </div>
+        `;
+
+        Utils.showModal(
+            isEdit ? 'Editar Reforma' : 'Adicionar Reforma',
+            `<form id="reforma-form">${formHtml}</form>`,
+            [
+                { text: 'Cancelar', class: 'btn-secondary' },
+                {
+                    text: 'Salvar',
+                    class: 'btn-primary',
+                    closeOnClick: false,
+                    onClick: () => this.saveReforma(reformaId)
+                }
+            ]
+        );
+
+        const addItemBtn = document.getElementById('add-reforma-item');
+        if (addItemBtn) {
+            addItemBtn.addEventListener('click', () => {
+                document.getElementById('reforma-itens').insertAdjacentHTML('beforeend', this.getReformaItemRow());
+            });
         }
     },
 
-    initValorizacao() {
-        const tbody = document.getElementById('valorizacao-tbody');
-        if (tbody) {
-            const imoveis = DataManager.getImoveis();
-            if (imoveis.length === 0) {
-                tbody.innerHTML = '<tr><td colspan="9" class="text-center text-muted">Nenhum imóvel cadastrado</td></tr>';
-            } else {
-                tbody.innerHTML = imoveis.map(imovel => `
-                    <tr>
-                        <td>${imovel.nome}</td>
-                        <td>${Utils.formatCurrency(imovel.valorCompra + (imovel.valorReforma || 0))}</td>
-                        <td>${Utils.formatCurrency(imovel.valorMercadoAtual || imovel.valorCompra)}</td>
-                        <td class="text-success">${Utils.formatCurrency((imovel.valorMercadoAtual || imovel.valorCompra) - imovel.valorCompra)}</td>
-                        <td class="text-success">-</td>
-                        <td class="text-success">-</td>
-                        <td>${Utils.formatCurrency(0)}</td>
-                        <td class="text-success">${Utils.formatCurrency(imovel.valorMercadoAtual || imovel.valorCompra)}</td>
-                        <td>-</td>
-                    </tr>
-                `).join('');
+    /**
+     * Read line items from the reforma form
+     */
+    getReformaItensFromForm() {
+        return Array.from(document.querySelectorAll('#reforma-itens .reforma-item'))
+            .map(row => ({
+                descricao: row.querySelector('.item-descricao').value.trim(),
+                valorOrcado: parseFloat(row.querySelector('.item-orcado').value) || 0,
+                valorRealizado: parseFloat(row.querySelector('.item-realizado').value) || 0
+            }))
+            .filter(item => item.descricao || item.valorOrcado || item.valorRealizado);
+    },
+
+    /**
+     * Save reforma
+     */
+    saveReforma(reformaId) {
+        const formData = Forms.getFormData('reforma-form');
+
+        const validation = Forms.validate(formData, {
+            imovelId: { required: true },
+            descricao: { required: true },
+            dataConclusao: {
+                custom: (value, data) => !data.dataInicio || value >= data.dataInicio || 'Conclusão anterior ao início'
             }
+        });
+
+        if (!validation.valid) {
+            Forms.showErrors('reforma-form', validation.errors);
+            return;
         }
-    },
 
-    initProjecao() {
-        const tbody = document.getElementById('projecao-tbody');
-        if (tbody) {
-            tbody.innerHTML = '<tr><td colspan="6" class="text-center text-muted">Configure as premissas e visualize a projeção</td></tr>';
+        const existing = reformaId ? DataManager.getReformaById(reformaId) : {};
+        const reforma = {
+            ...existing,
+            ...formData,
+            id: reformaId,
+            itens: this.getReformaItensFromForm()
+        };
+
+        if (reforma.status === 'concluida' && !reforma.dataConclusao) {
+            reforma.dataConclusao = Utils.getCurrentDate();
         }
+
+        DataManager.saveReforma(reforma);
+        Utils.showToast('Reforma salva com sucesso!', 'success');
+        Utils.closeModal();
+        this.loadReformasList();
     },
 
-    initValuation() {
-        const dcf = document.getElementById('valuation-dcf');
-        if (dcf) {
-            dcf.innerHTML = '<p class="text-muted">Clique em "Calcular Valuation" para ver os resultados.</p>';
+    /**
+     * Move reforma to the next workflow status
+     */
+    advanceReformaStatus(id) {
+        const reforma = DataManager.getReformaById(id);
+        if (!reforma) return;
+
+        const status = this.STATUS_REFORMA[reforma.status] || this.STATUS_REFORMA.planejada;
+        if (!status.next) return;
+
+        reforma.status = status.next;
+        if (reforma.status === 'em-andamento' && !reforma.dataInicio) {
+            reforma.dataInicio = Utils.getCurrentDate();
         }
+        if (reforma.status === 'concluida' && !reforma.dataConclusao) {
+            reforma.dataConclusao = Utils.getCurrentDate();
+        }
+
+        DataManager.saveReforma(reforma);
+        Utils.showToast(`Reforma movida para "${this.STATUS_REFORMA[reforma.status].label}"`, 'success');
+        this.loadReformasList();
+    },
+
+    /**
+     * Edit reforma
+     */
+    editReforma(id) {
+        this.showReformaForm(id);
+    },
+
+    /**
+     * Delete reforma
+     */
+    deleteReforma(id) {
+        const reforma = DataManager.getReformaById(id);
+        if (!reforma) return;
+
+        Utils.showConfirm(
+            'Excluir Reforma',
+            `Tem certeza que deseja excluir a reforma "${Utils.escapeHtml(reforma.descricao || '')}"?`,
+            () => {
+                DataManager.deleteReforma(id);
+                Utils.showToast('Reforma excluída com sucesso!', 'success');
+                this.loadReformasList();
+            }
+        );
+    },
+
+    /**
+     * Initialize Receitas page
+     */
+    initReceitas() {
+        // Populate property filter
+        const imovelFilter = document.getElementById('filter-imovel-receita');
+        if (imovelFilter) {
+            DataManager.getImoveis().forEach(imovel => {
+                const option = document.createElement('option');
+                option.value = imovel.id;
+                option.textContent = imovel.nome;
+                imovelFilter.appendChild(option);
+            });
+            imovelFilter.addEventListener('change', () => this.loadReceitasList());
+        }
+
+        const monthFilter = document.getElementById('filter-month');
+        if (monthFilter) {
+            monthFilter.addEventListener('change', () => this.loadReceitasList());
+        }
+
+        const addBtn = document.getElementById('add-receita');
+        if (addBtn) {
+            addBtn.addEventListener('click', () => this.showReceitaForm());
+        }
+
+        const importBtn = document.getElementById('import-receitas');
+        if (importBtn) {
+            importBtn.addEventListener('click', () => this.showReceitaImportForm());
+        }
+
+        this.loadReceitasList();
+    },
+
+    /**
+     * Get receitas matching the current page filters
+     */
+    getFilteredReceitas() {
+        const monthFilter = document.getElementById('filter-month');
+        const imovelFilter = document.getElementById('filter-imovel-receita');
+        const month = monthFilter ? monthFilter.value : '';
+        const imovelId = imovelFilter ? imovelFilter.value : '';
+
+        return DataManager.getReceitas().filter(r => {
+            if (month && !(r.dataCheckIn || '').startsWith(month)) return false;
+            if (imovelId && r.imovelId !== imovelId) return false;
+            return true;
+        });
+    },
+
+    /**
+     * Load receitas list
+     */
+    loadReceitasList() {
+        const tbody = document.getElementById('receitas-tbody');
+        if (!tbody) return;
+
+        const receitas = this.getFilteredReceitas()
+            .sort((a, b) => (b.dataCheckIn || '').localeCompare(a.dataCheckIn || ''));
+
+        this.loadReceitasSummary(receitas);
+
+        if (receitas.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="11" class="text-center text-muted">Nenhuma receita cadastrada</td></tr>';
+            return;
+        }
+
+        const imoveisMap = {};
+        DataManager.getImoveis().forEach(im => {
+            imoveisMap[im.id] = im;
+        });
+
+        const statusBadges = {
+            'confirmada': '<span class="badge badge-info">Confirmada</span>',
+            'concluida': '<span class="badge badge-success">Concluída</span>',
+            'cancelada': '<span class="badge badge-danger">Cancelada</span>'
+        };
+
+        tbody.innerHTML = receitas.map(receita => {
+            const imovel = imoveisMap[receita.imovelId];
+
+            return `
+                <tr>
+                    <td><strong>${imovel ? Utils.escapeHtml(imovel.nome) : '-'}</strong></td>
+                    <td>${Utils.escapeHtml(receita.hospede || '-')}</td>
+                    <td>${Utils.formatDate(receita.dataCheckIn)}</td>
+                    <td>${Utils.formatDate(receita.dataCheckOut)}</td>
+                    <td>${receita.numeroDiarias || 0}</td>
+                    <td>${this.PLATAFORMAS[receita.plataforma] || '-'}</td>
+                    <td>${Utils.formatCurrency(receita.valorBruto)}</td>
+                    <td class="text-danger">${Utils.formatCurrency(receita.taxas)}</td>
+                    <td class="text-success">${Utils.formatCurrency(receita.valorLiquido)}</td>
+                    <td>${statusBadges[receita.status] || statusBadges.confirmada}</td>
+                    <td class="table-actions">
+                        <button class="btn btn-sm btn-secondary" onclick="App.editReceita('${receita.id}')">
+                            <i class="fas fa-edit"></i>
+                        </button>
+                        <button class="btn btn-sm btn-danger" onclick="App.deleteReceita('${receita.id}')">
+                            <i class="fas fa-trash"></i>
+                        </button>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+    },
+
+    /**
+     * Load receitas summary cards
+     * @param {Array} receitas - Receitas currently listed
+     */
+    loadReceitasSummary(receitas) {
+        const container = document.getElementById('receitas-summary');
+        if (!container) return;
+
+        const validas = receitas.filter(r => r.status !== 'cancelada');
+        const totalBruto = validas.reduce((sum, r) => sum + (r.valorBruto || 0), 0);
+        const totalTaxas = validas.reduce((sum, r) => sum + (r.taxas || 0), 0);
+        const totalLiquido = validas.reduce((sum, r) => sum + (r.valorLiquido || 0), 0);
+        const totalDiarias = validas.reduce((sum, r) => sum + (r.numeroDiarias || 0), 0);
+        const adr = totalDiarias > 0 ? totalBruto / totalDiarias : 0;
+
+        container.innerHTML = `
+            <div class="metric-card">
+                <div class="metric-label">Receita Bruta</div>
+                <div class="metric-value" style="font-size: 1.5rem;">${Utils.formatCurrency(totalBruto)}</div>
+                <div class="metric-subtitle">${validas.length} reservas</div>
+            </div>
+            <div class="metric-card">
+                <div class="metric-label">Taxas de Plataforma</div>
+                <div class="metric-value text-danger" style="font-size: 1.5rem;">${Utils.formatCurrency(totalTaxas)}</div>
+                <div class="metric-subtitle">${Utils.formatPercent(totalBruto > 0 ? totalTaxas / totalBruto : 0)} da receita bruta</div>
+            </div>
+            <div class="metric-card">
+                <div class="metric-label">Receita Líquida</div>
+                <div class="metric-value text-success" style="font-size: 1.5rem;">${Utils.formatCurrency(totalLiquido)}</div>
+                <div class="metric-subtitle">Após taxas</div>
+            </div>
+            <div class="metric-card">
+                <div class="metric-label">Diárias Vendidas</div>
+                <div class="metric-value" style="font-size: 1.5rem;">${totalDiarias}</div>
+                <div class="metric-subtitle">ADR: ${Utils.formatCurrency(adr)}</div>
+            </div>
+        `;
+    },
+
+    /**
+     * Show receita form
+     */
+    showReceitaForm(receitaId = null) {
+        const receita = receitaId ? DataManager.getReceitaById(receitaId) : {};
+        const isEdit = !!receitaId;
+        const imoveis = DataManager.getImoveis();
+
+        const formHtml = `
+            <div class="form-row">
+                <div class="form-group">
+                    <label class="form-label required">Imóvel</label>
+                    <select name="imovelId" class="form-select" required>
+                        <option value="">Selecione um imóvel</option>
+                        ${imoveis.map(i => `
+                            <option value="${i.id}" ${receita.imovelId === i.id ? 'selected' : ''}>${Utils.escapeHtml(i.nome)}</option>
+                        `).join('')}
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label class="form-label required">Hóspede</label>
+                    <input type="text" name="hospede" class="form-input" value="${Utils.escapeHtml(receita.hospede || '')}" required>
+                </div>
+            </div>
+
+            <div class="form-row">
+                <div class="form-group">
+                    <label class="form-label required">Check-in</label>
+                    <input type="date" name="dataCheckIn" class="form-input" value="${Utils.formatDateInput(receita.dataCheckIn)}" required>
+                </div>
+                <div class="form-group">
+                    <label class="form-label required">Check-out</label>
+                    <input type="date" name="dataCheckOut" class="form-input" value="${Utils.formatDateInput(receita.dataCheckOut)}" required>
+                </div>
+            </div>
+
+            <div class="form-row">
+                <div class="form-group">
+                    <label class="form-label required">Plataforma</label>
+                    <select name="plataforma" class="form-select" required>
+                        ${Object.entries(this.PLATAFORMAS).map(([value, label]) => `
+                            <option value="${value}" ${receita.plataforma === value ? 'selected' : ''}>${label}</option>
+                        `).join('')}
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label class="form-label">Status</label>
+                    <select name="status" class="form-select">
+                        <option value="confirmada" ${receita.status === 'confirmada' || !receita.status ? 'selected' : ''}>Confirmada</option>
+                        <option value="concluida" ${receita.status === 'concluida' ? 'selected' : ''}>Concluída</option>
+                        <option value="cancelada" ${receita.status === 'cancelada' ? 'selected' : ''}>Cancelada</option>
+                    </select>
+                </div>
+            </div>
+
+            <div class="form-row">
+                <div class="form-group">
+                    <label class="form-label required">Valor Bruto</label>
+                    <input type="number" name="valorBruto" class="form-input" value="${receita.valorBruto || ''}" min="0" step="0.01" required>
+                </div>
+                <div class="form-group">
+                    <label class="form-label">Taxas (plataforma, limpeza)</label>
+                    <input type="number" name="taxas" class="form-input" value="${receita.taxas || 0}" min="0" step="0.01">
+                </div>
+            </div>
+
+            <div class="form-row">
+                <div class="form-group">
+                    <label class="form-label">Número de Diárias</label>
+                    <input type="number" name="numeroDiarias" class="form-input" value="${receita.numeroDiarias || 0}" readonly>
+                </div>
+                <div class="form-group">
+                    <label class="form-label">Valor Líquido</label>
+                    <input type="number" name="valorLiquido" class="form-input" value="${receita.valorLiquido || 0}" step="0.01" readonly>
+                </div>
+            </div>
+
+            <div class="form-group">
+                <label class="form-label">Data do Repasse</label>
+                <input type="date" name="dataRepasse" class="form-input" value="${Utils.formatDateInput(receita.dataRepasse)}">
+                <small class="text-muted">Quando o valor líquido entra na conta (padrão: data do check-in)</small>
+            </div>
+
+            ${this.getContaField(receita.contaId)}
+
+            <div class="form-group">
+                <label class="form-label">Observações</label>
+                <textarea name="observacoes" class="form-textarea">${Utils.escapeHtml(receita.observacoes || '')}</textarea>
+            </div>
+        `;
+
+        Utils.showModal(
+            isEdit ? 'Editar Receita' : 'Adicionar Receita',
+            `<form id="receita-form">${formHtml}</form>`,
+            [
+                { text: 'Cancelar', class: 'btn-secondary' },
+                {
+                    text: 'Salvar',
+                    class: 'btn-primary',
+                    closeOnClick: false,
+                    onClick: () => this.saveReceita(receitaId)
+                }
+            ]
+        );
+
+        Forms.setupAutoCalculation(['dataCheckIn', 'dataCheckOut'], 'numeroDiarias', (checkIn, checkOut) => {
+            return this.calculateNumeroDiarias(checkIn, checkOut);
+        });
+
+        Forms.setupAutoCalculation(['valorBruto', 'taxas'], 'valorLiquido', (valorBruto, taxas) => {
+            return (valorBruto - taxas).toFixed(2);
+        });
+    },
+
+    /**
+     * Number of nights between check-in and check-out
+     */
+    calculateNumeroDiarias(checkIn, checkOut) {
+        if (!checkIn || !checkOut || checkOut <= checkIn) return 0;
+        return Utils.daysBetween(checkIn, checkOut);
+    },
+
+    /**
+     * Save receita
+     */
+    saveReceita(receitaId) {
+        const formData = Forms.getFormData('receita-form');
+
+        const validation = Forms.validate(formData, {
+            imovelId: { required: true },
+            hospede: { required: true },
+            dataCheckIn: { required: true, type: 'date' },
+            dataCheckOut: {
+                required: true,
+                type: 'date',
+                custom: (value, data) => value > data.dataCheckIn || 'Check-out deve ser posterior ao check-in'
+            },
+            valorBruto: { required: true, type: 'number', min: 0 },
+            taxas: { type: 'number', min: 0 },
+            dataRepasse: { type: 'date' }
+        });
+
+        if (!validation.valid) {
+            Forms.showErrors('receita-form', validation.errors);
+            return;
+        }
+
+        const existing = receitaId ? DataManager.getReceitaById(receitaId) : {};
+        const valorBruto = parseFloat(formData.valorBruto) || 0;
+        const taxas = parseFloat(formData.taxas) || 0;
+
+        const receita = {
+            ...existing,
+            ...formData,
+            id: receitaId,
+            numeroDiarias: this.calculateNumeroDiarias(formData.dataCheckIn, formData.dataCheckOut),
+            valorBruto,
+            taxas,
+            valorLiquido: valorBruto - taxas
+        };
+
+        DataManager.saveReceita(receita);
+        Utils.showToast('Receita salva com sucesso!', 'success');
+        Utils.closeModal();
+        this.loadReceitasList();
+    },
+
+    /**
+     * Show the Airbnb / Booking.com CSV import dialog
+     */
+    showReceitaImportForm() {
+        this.receitaImport = null;
+
+        const formHtml = `
+            <div class="form-group">
+                <label class="form-label required">Arquivo CSV</label>
+                <input type="file" id="receita-import-file" class="form-input" accept=".csv,text/csv">
+                <small class="text-muted">Histórico de transações do Airbnb ou exportação de reservas do Booking.com</small>
+            </div>
+            <div id="receita-import-mapping"></div>
+            <div id="receita-import-preview"></div>
+        `;
+
+        Utils.showModal(
+            'Importar Reservas',
+            `<form id="receita-import-form">${formHtml}</form>`,
+            [
+                { text: 'Cancelar', class: 'btn-secondary' },
+                {
+                    text: 'Importar',
+                    class: 'btn-primary',
+                    closeOnClick: false,
+                    onClick: () => this.importReceitas()
+                }
+            ]
+        );
+
+        document.getElementById('receita-import-file').addEventListener('change', (e) => {
+            this.readReceitaImportFile(e.target.files[0]);
+        });
+    },
+
+    /**
+     * Parse the selected export and render listing mapping and preview
+     * @param {File} file - Selected CSV file
+     */
+    readReceitaImportFile(file) {
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            try {
+                this.receitaImport = Importers.parseReservations(e.target.result);
+            } catch (error) {
+                this.receitaImport = null;
+                document.getElementById('receita-import-mapping').innerHTML = '';
+                document.getElementById('receita-import-preview').innerHTML = '';
+                Utils.showToast(error.message, 'error');
+                return;
+            }
+
+            this.renderReceitaImportMapping();
+            this.renderReceitaImportPreview();
+        };
+        reader.readAsText(file);
+    },
+
+    /**
+     * Render one imóvel select per listing found in the file, prefilled with
+     * the remembered mapping
+     */
+    renderReceitaImportMapping() {
+        const container = document.getElementById('receita-import-mapping');
+        if (!container || !this.receitaImport) return;
+
+        const imoveis = DataManager.getImoveis();
+        const mapeamento = DataManager.getMapeamentoAnuncios();
+        const anuncios = [...new Set(this.receitaImport.reservas.map(r => Importers.getListingKey(r)))];
+
+        container.innerHTML = `
+            <h4 class="mb-2">Anúncios (${this.PLATAFORMAS[this.receitaImport.plataforma]})</h4>
+            ${anuncios.map(chave => `
+                <div class="form-group">
+                    <label class="form-label">${Utils.escapeHtml(chave.slice(chave.indexOf(':') + 1))}</label>
+                    <select class="form-select receita-import-anuncio" data-anuncio="${Utils.escapeHtml(chave)}">
+                        <option value="">Não importar</option>
+                        ${imoveis.map(i => `
+                            <option value="${i.id}" ${mapeamento[chave] === i.id ? 'selected' : ''}>${Utils.escapeHtml(i.nome)}</option>
+                        `).join('')}
+                    </select>
+                </div>
+            `).join('')}
+        `;
+
+        container.querySelectorAll('.receita-import-anuncio').forEach(select => {
+            select.addEventListener('change', () => this.renderReceitaImportPreview());
+        });
+    },
+
+    /**
+     * Read the listing to imóvel mapping chosen in the import dialog
+     * @returns {Object} Map {"plataforma:anuncio": imovelId}
+     */
+    getReceitaImportMapping() {
+        const mapeamento = {};
+        document.querySelectorAll('.receita-import-anuncio').forEach(select => {
+            if (select.value) {
+                mapeamento[select.dataset.anuncio] = select.value;
+            }
+        });
+        return mapeamento;
+    },
+
+    /**
+     * Render the import preview: what would be created, updated or skipped
+     */
+    renderReceitaImportPreview() {
+        const container = document.getElementById('receita-import-preview');
+        if (!container || !this.receitaImport) return;
+
+        const itens = Importers.diffReservations(
+            this.receitaImport.reservas,
+            this.getReceitaImportMapping(),
+            DataManager.getReceitas()
+        );
+
+        const acaoBadges = {
+            'novo': '<span class="badge badge-success">Nova</span>',
+            'atualizar': '<span class="badge badge-warning">Atualizar</span>',
+            'duplicado': '<span class="badge badge-secondary">Já importada</span>',
+            'sem-imovel': '<span class="badge badge-danger">Sem imóvel</span>'
+        };
+        const formatCampo = (campo, valor) => {
+            if (typeof valor === 'number') return campo === 'numeroDiarias' ? valor : Utils.formatCurrency(valor);
+            if (campo.startsWith('data')) return Utils.formatDate(valor);
+            return Utils.escapeHtml(valor || '-');
+        };
+        const count = acao => itens.filter(i => i.acao === acao).length;
+
+        container.innerHTML = `
+            <p class="text-muted">
+                ${count('novo')} novas, ${count('atualizar')} a atualizar,
+                ${count('duplicado')} já importadas, ${count('sem-imovel')} sem imóvel
+            </p>
+            <div class="table-container">
+                <table>
+                    <thead>
+                        <tr>
+                            <th>Código</th>
+                            <th>Hóspede</th>
+                            <th>Check-in</th>
+                            <th>Noites</th>
+                            <th>Bruto</th>
+                            <th>Taxas</th>
+                            <th>Líquido</th>
+                            <th>Ação</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${itens.map(({ reserva, acao, alteracoes }) => `
+                            <tr>
+                                <td>${Utils.escapeHtml(reserva.codigoConfirmacao)}</td>
+                                <td>${Utils.escapeHtml(reserva.hospede || '-')}</td>
+                                <td>${Utils.formatDate(reserva.dataCheckIn)}</td>
+                                <td>${reserva.numeroDiarias}</td>
+                                <td>${Utils.formatCurrency(reserva.valorBruto)}</td>
+                                <td class="text-danger">${Utils.formatCurrency(reserva.taxas)}</td>
+                                <td class="text-success">${Utils.formatCurrency(reserva.valorLiquido)}</td>
+                                <td>
+                                    ${acaoBadges[acao]}
+                                    ${alteracoes.map(a => `
+                                        <div class="text-muted"><small>${a.campo}: ${formatCampo(a.campo, a.de)} → ${formatCampo(a.campo, a.para)}</small></div>
+                                    `).join('')}
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    },
+
+    /**
+     * Save new and changed reservations from the import preview
+     */
+    importReceitas() {
+        if (!this.receitaImport) {
+            Utils.showToast('Selecione um arquivo CSV', 'warning');
+            return;
+        }
+
+        const mapeamento = this.getReceitaImportMapping();
+        const itens = Importers.diffReservations(this.receitaImport.reservas, mapeamento, DataManager.getReceitas())
+            .filter(i => i.acao === 'novo' || i.acao === 'atualizar');
+
+        DataManager.saveMapeamentoAnuncios(mapeamento);
+
+        if (itens.length === 0) {
+            Utils.showToast('Nenhuma reserva nova ou alterada para importar', 'info');
+            return;
+        }
+
+        itens.forEach(i => DataManager.saveReceita(i.receita));
+
+        this.receitaImport = null;
+        Utils.showToast(`${itens.length} reservas importadas com sucesso!`, 'success');
+        Utils.closeModal();
+        this.loadReceitasList();
+    },
+
+    /**
+     * Edit receita
+     */
+    editReceita(id) {
+        this.showReceitaForm(id);
+    },
+
+    /**
+     * Delete receita
+     */
+    deleteReceita(id) {
+        const receita = DataManager.getReceitaById(id);
+        if (!receita) return;
+
+        Utils.showConfirm(
+            'Excluir Receita',
+            `Tem certeza que deseja excluir a reserva de "${Utils.escapeHtml(receita.hospede || '')}" (${Utils.formatDate(receita.dataCheckIn)})?`,
+            () => {
+                DataManager.deleteReceita(id);
+                Utils.showToast('Receita excluída com sucesso!', 'success');
+                this.loadReceitasList();
+            }
+        );
+    },
+
+    /**
+     * Initialize Despesas page
+     */
+    initDespesas() {
+        // Populate category filter
+        const categoriaFilter = document.getElementById('filter-categoria');
+        if (categoriaFilter) {
+            Object.entries(DataManager.CATEGORIAS_DESPESA).forEach(([value, cat]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = cat.label;
+                categoriaFilter.appendChild(option);
+            });
+            categoriaFilter.addEventListener('change', () => this.loadDespesasList());
+        }
+
+        const monthFilter = document.getElementById('filter-month-despesa');
+        if (monthFilter) {
+            monthFilter.addEventListener('change', () => this.loadDespesasList());
+        }
+
+        const addBtn = document.getElementById('add-despesa');
+        if (addBtn) {
+            addBtn.addEventListener('click', () => this.showDespesaForm());
+        }
+
+        this.loadDespesasList();
+    },
+
+    /**
+     * Get despesas matching the current page filters
+     */
+    getFilteredDespesas() {
+        const monthFilter = document.getElementById('filter-month-despesa');
+        const categoriaFilter = document.getElementById('filter-categoria');
+        const month = monthFilter ? monthFilter.value : '';
+        const categoria = categoriaFilter ? categoriaFilter.value : '';
+
+        return DataManager.getDespesas().filter(d => {
+            if (month && !(d.data || '').startsWith(month)) return false;
+            if (categoria && d.categoria !== categoria) return false;
+            return true;
+        });
+    },
+
+    /**
+     * Load despesas list
+     */
+    loadDespesasList() {
+        const tbody = document.getElementById('despesas-tbody');
+        if (!tbody) return;
+
+        const despesas = this.getFilteredDespesas()
+            .sort((a, b) => (b.data || '').localeCompare(a.data || ''));
+
+        this.loadDespesasSummary(despesas);
+
+        if (despesas.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="8" class="text-center text-muted">Nenhuma despesa cadastrada</td></tr>';
+            return;
+        }
+
+        const imoveisMap = {};
+        DataManager.getImoveis().forEach(im => {
+            imoveisMap[im.id] = im;
+        });
+
+        const hoje = Utils.getCurrentDate();
+
+        tbody.innerHTML = despesas.map(despesa => {
+            const imovel = imoveisMap[despesa.imovelId];
+            const categoria = DataManager.CATEGORIAS_DESPESA[despesa.categoria];
+
+            return `
+                <tr>
+                    <td>${Utils.formatDate(despesa.data)}</td>
+                    <td>${imovel ? Utils.escapeHtml(imovel.nome) : `<span class="text-muted" title="Rateio: ${this.RATEIOS[despesa.rateio] || this.RATEIOS.receita}">Portfólio</span>`}</td>
+                    <td><span class="badge badge-secondary">${categoria ? categoria.label : '-'}</span></td>
+                    <td>${Utils.escapeHtml(despesa.descricao || '-')}</td>
+                    <td>${Utils.escapeHtml(despesa.fornecedor || '-')}</td>
+                    <td class="text-danger">${Utils.formatCurrency(despesa.valor)}</td>
+                    <td>
+                        ${this.RECORRENCIAS[despesa.recorrencia] || this.RECORRENCIAS.unica}
+                        ${despesa.serieId ? `<small class="text-muted">#${despesa.ocorrencia}</small>` : ''}
+                        ${despesa.data > hoje ? '<span class="badge badge-info">Prevista</span>' : ''}
+                    </td>
+                    <td class="table-actions">
+                        <button class="btn btn-sm btn-secondary" onclick="App.editDespesa('${despesa.id}')">
+                            <i class="fas fa-edit"></i>
+                        </button>
+                        <button class="btn btn-sm btn-danger" onclick="App.deleteDespesa('${despesa.id}')">
+                            <i class="fas fa-trash"></i>
+                        </button>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+    },
+
+    /**
+     * Load despesas summary cards (total plus one card per category)
+     * @param {Array} despesas - Despesas currently listed
+     */
+    loadDespesasSummary(despesas) {
+        const container = document.getElementById('despesas-summary');
+        if (!container) return;
+
+        const total = despesas.reduce((sum, d) => sum + (d.valor || 0), 0);
+        const byCategory = Object.entries(DataManager.getExpensesByCategory(despesas))
+            .sort((a, b) => b[1] - a[1]);
+
+        container.innerHTML = `
+            <div class="metric-card">
+                <div class="metric-label">Total de Despesas</div>
+                <div class="metric-value text-danger" style="font-size: 1.5rem;">${Utils.formatCurrency(total)}</div>
+                <div class="metric-subtitle">${despesas.length} lançamentos</div>
+            </div>
+            ${byCategory.map(([categoria, valor]) => {
+                const cat = DataManager.CATEGORIAS_DESPESA[categoria];
+                return `
+                    <div class="metric-card">
+                        <div class="metric-label">${cat ? cat.label : categoria}</div>
+                        <div class="metric-value" style="font-size: 1.5rem;">${Utils.formatCurrency(valor)}</div>
+                        <div class="metric-subtitle">${Utils.formatPercent(total > 0 ? valor / total : 0, 1)} do total</div>
+                    </div>
+                `;
+            }).join('')}
+        `;
+    },
+
+    /**
+     * Show despesa form
+     */
+    showDespesaForm(despesaId = null) {
+        const despesa = despesaId ? DataManager.getDespesaById(despesaId) : {};
+        const isEdit = !!despesaId;
+        const imoveis = DataManager.getImoveis();
+        const serie = (despesa.serieId && DataManager.getSerieDespesaById(despesa.serieId)) || {};
+        const ocorrenciasRestantes = serie.termino === 'ocorrencias'
+            ? serie.numOcorrencias - (despesa.ocorrencia || 1) + 1
+            : '';
+
+        const formHtml = `
+            <div class="form-row">
+                <div class="form-group">
+                    <label class="form-label required">Data</label>
+                    <input type="date" name="data" class="form-input" value="${Utils.formatDateInput(despesa.data || new Date())}" required>
+                </div>
+                <div class="form-group">
+                    <label class="form-label">Imóvel</label>
+                    <select name="imovelId" class="form-select">
+                        <option value="">Portfólio (sem imóvel específico)</option>
+                        ${imoveis.map(i => `
+                            <option value="${i.id}" ${despesa.imovelId === i.id ? 'selected' : ''}>${Utils.escapeHtml(i.nome)}</option>
+                        `).join('')}
+                    </select>
+                </div>
+            </div>
+
+            <div id="despesa-rateio">
+                <div class="form-group">
+                    <label class="form-label">Rateio entre imóveis</label>
+                    <select name="rateio" class="form-select">
+                        ${Object.entries(this.RATEIOS).map(([value, label]) => `
+                            <option value="${value}" ${(despesa.rateio || 'receita') === value ? 'selected' : ''}>${label}</option>
+                        `).join('')}
+                    </select>
+                </div>
+                <div class="form-row" id="despesa-rateio-percentuais">
+                    ${imoveis.map(i => `
+                        <div class="form-group">
+                            <label class="form-label">${Utils.escapeHtml(i.nome)} (%)</label>
+                            <input type="number" name="rateioPct_${i.id}" class="form-input"
+                                value="${(despesa.rateioPercentuais || {})[i.id] || ''}" min="0" max="100" step="0.01">
+                        </div>
+                    `).join('')}
+                </div>
+            </div>
+
+            <div class="form-row">
+                <div class="form-group">
+                    <label class="form-label required">Categoria</label>
+                    <select name="categoria" class="form-select" required>
+                        <option value="">Selecione uma categoria</option>
+                        ${Object.entries(DataManager.CATEGORIAS_DESPESA).map(([value, cat]) => `
+                            <option value="${value}" ${despesa.categoria === value ? 'selected' : ''}>${cat.label}</option>
+                        `).join('')}
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label class="form-label required">Valor</label>
+                    <input type="number" name="valor" class="form-input" value="${despesa.valor || ''}" min="0" step="0.01" required>
+                </div>
+            </div>
+
+            <div class="form-group">
+                <label class="form-label required">Descrição</label>
+                <input type="text" name="descricao" class="form-input" value="${Utils.escapeHtml(despesa.descricao || '')}" required>
+            </div>
+
+            <div class="form-row">
+                <div class="form-group">
+                    <label class="form-label">Fornecedor</label>
+                    <input type="text" name="fornecedor" class="form-input" value="${Utils.escapeHtml(despesa.fornecedor || '')}">
+                </div>
+                <div class="form-group">
+                    <label class="form-label">Recorrência</label>
+                    <select name="recorrencia" class="form-select">
+                        ${Object.entries(this.RECORRENCIAS).map(([value, label]) => `
+                            <option value="${value}" ${(serie.recorrencia || despesa.recorrencia || 'unica') === value ? 'selected' : ''}>${label}</option>
+                        `).join('')}
+                    </select>
+                </div>
+            </div>
+
+            <div id="despesa-recorrencia-regra">
+                <div class="form-row">
+                    <div class="form-group" id="despesa-intervalo-group">
+                        <label class="form-label">Intervalo (meses)</label>
+                        <input type="number" name="intervaloMeses" class="form-input" value="${serie.intervaloMeses || 1}" min="1">
+                    </div>
+                    <div class="form-group">
+                        <label class="form-label">Término</label>
+                        <select name="termino" class="form-select">
+                            <option value="indefinido" ${!serie.termino || serie.termino === 'indefinido' ? 'selected' : ''}>Sem data de término</option>
+                            <option value="data" ${serie.termino === 'data' ? 'selected' : ''}>Até uma data</option>
+                            <option value="ocorrencias" ${serie.termino === 'ocorrencias' ? 'selected' : ''}>Número de ocorrências</option>
+                        </select>
+                    </div>
+                </div>
+                <div class="form-row">
+                    <div class="form-group" id="despesa-datafim-group">
+                        <label class="form-label">Data Final</label>
+                        <input type="date" name="dataFim" class="form-input" value="${Utils.formatDateInput(serie.dataFim)}">
+                    </div>
+                    <div class="form-group" id="despesa-ocorrencias-group">
+                        <label class="form-label">Ocorrências</label>
+                        <input type="number" name="numOcorrencias" class="form-input" value="${ocorrenciasRestantes || ''}" min="1">
+                        <small class="text-muted">${despesa.serieId ? 'A partir desta ocorrência' : 'Ex: 10 parcelas de IPTU'}</small>
+                    </div>
+                </div>
+            </div>
+
+            ${despesa.serieId ? `
+                <div class="form-group">
+                    <label class="form-label">Aplicar alteração a</label>
+                    <select name="escopo" class="form-select">
+                        <option value="esta">Apenas esta ocorrência</option>
+                        <option value="seguintes">Esta e as seguintes</option>
+                    </select>
+                    <small class="text-muted">Com recorrência "Única", "Esta e as seguintes" encerra a série nesta ocorrência</small>
+                </div>
+            ` : ''}
+
+            ${this.getContaField(despesa.contaId)}
+        `;
+
+        Utils.showModal(
+            isEdit ? 'Editar Despesa' : 'Adicionar Despesa',
+            `<form id="despesa-form">${formHtml}</form>`,
+            [
+                { text: 'Cancelar', class: 'btn-secondary' },
+                {
+                    text: 'Salvar',
+                    class: 'btn-primary',
+                    closeOnClick: false,
+                    onClick: () => this.saveDespesa(despesaId)
+                }
+            ]
+        );
+
+        // Show only the rule fields that apply to the chosen recurrence
+        const form = document.getElementById('despesa-form');
+        const updateRegra = () => {
+            const recorrencia = form.querySelector('[name="recorrencia"]').value;
+            const termino = form.querySelector('[name="termino"]').value;
+            document.getElementById('despesa-recorrencia-regra').style.display = recorrencia === 'unica' ? 'none' : '';
+            document.getElementById('despesa-intervalo-group').style.display = recorrencia === 'personalizada' ? '' : 'none';
+            document.getElementById('despesa-datafim-group').style.display = termino === 'data' ? '' : 'none';
+            document.getElementById('despesa-ocorrencias-group').style.display = termino === 'ocorrencias' ? '' : 'none';
+        };
+        form.querySelector('[name="recorrencia"]').addEventListener('change', updateRegra);
+        form.querySelector('[name="termino"]').addEventListener('change', updateRegra);
+        updateRegra();
+
+        // Allocation only applies to despesas without an imóvel
+        const updateRateio = () => {
+            const compartilhada = !form.querySelector('[name="imovelId"]').value;
+            const percentual = form.querySelector('[name="rateio"]').value === 'percentual';
+            document.getElementById('despesa-rateio').style.display = compartilhada && imoveis.length > 1 ? '' : 'none';
+            document.getElementById('despesa-rateio-percentuais').style.display = percentual ? '' : 'none';
+        };
+        form.querySelector('[name="imovelId"]').addEventListener('change', updateRateio);
+        form.querySelector('[name="rateio"]').addEventListener('change', updateRateio);
+        updateRateio();
+    },
+
+    /**
+     * Save despesa
+     */
+    saveDespesa(despesaId) {
+        const formData = Forms.getFormData('despesa-form');
+
+        const recorrente = formData.recorrencia && formData.recorrencia !== 'unica';
+        // The rule is ignored when only this occurrence of a series changes
+        const comRegra = recorrente && formData.escopo !== 'esta';
+
+        // Fixed percentages come one input per imóvel
+        const rateioPercentuais = {};
+        Object.keys(formData)
+            .filter(key => key.startsWith('rateioPct_'))
+            .forEach(key => {
+                if (formData[key] !== '') rateioPercentuais[key.slice('rateioPct_'.length)] = parseFloat(formData[key]) || 0;
+                delete formData[key];
+            });
+
+        const validation = Forms.validate(formData, {
+            data: { required: true, type: 'date' },
+            categoria: { required: true },
+            descricao: { required: true },
+            valor: { required: true, type: 'number', positive: true },
+            rateio: {
+                custom: (value, data) => {
+                    if (data.imovelId || value !== 'percentual') return true;
+                    const total = Object.values(rateioPercentuais).reduce((sum, pct) => sum + pct, 0);
+                    return Math.abs(total - 100) < 0.01 || `Os percentuais somam ${Utils.formatNumber(total, 2)}%; devem somar 100%`;
+                }
+            },
+            intervaloMeses: { type: 'number', min: 1 },
+            dataFim: {
+                required: comRegra && formData.termino === 'data',
+                type: 'date',
+                custom: (value, data) => !comRegra || data.termino !== 'data' || value >= data.data || 'Data final deve ser posterior à data da despesa'
+            },
+            numOcorrencias: {
+                required: comRegra && formData.termino === 'ocorrencias',
+                type: 'number',
+                min: 1
+            }
+        });
+
+        if (!validation.valid) {
+            Forms.showErrors('despesa-form', validation.errors);
+            return;
+        }
+
+        const existing = despesaId ? DataManager.getDespesaById(despesaId) : {};
+        const { intervaloMeses, termino, dataFim, numOcorrencias, escopo, ...campos } = formData;
+
+        const despesa = {
+            ...existing,
+            ...campos,
+            id: despesaId,
+            valor: parseFloat(formData.valor) || 0,
+            rateio: formData.imovelId ? '' : formData.rateio || '',
+            rateioPercentuais: !formData.imovelId && formData.rateio === 'percentual' ? rateioPercentuais : {}
+        };
+        const regra = {
+            recorrencia: formData.recorrencia,
+            intervaloMeses: parseInt(intervaloMeses) || 1,
+            termino,
+            dataFim: termino === 'data' ? dataFim : '',
+            numOcorrencias: termino === 'ocorrencias' ? parseInt(numOcorrencias) : ''
+        };
+
+        if (existing.serieId && escopo === 'seguintes') {
+            DataManager.updateSerieAPartirDe(despesa, regra);
+        } else if (existing.serieId) {
+            DataManager.saveDespesa({ ...despesa, recorrencia: existing.recorrencia, ajustada: true });
+        } else if (recorrente) {
+            DataManager.criarSerieDespesa(DataManager.saveDespesa(despesa), regra);
+        } else {
+            DataManager.saveDespesa(despesa);
+        }
+
+        Utils.showToast('Despesa salva com sucesso!', 'success');
+        Utils.closeModal();
+        this.loadDespesasList();
+    },
+
+    /**
+     * Edit despesa
+     */
+    editDespesa(id) {
+        this.showDespesaForm(id);
+    },
+
+    /**
+     * Delete despesa
+     */
+    deleteDespesa(id) {
+        const despesa = DataManager.getDespesaById(id);
+        if (!despesa) return;
+
+        if (despesa.serieId) {
+            Utils.showModal(
+                'Excluir Despesa Recorrente',
+                `<p>"${Utils.escapeHtml(despesa.descricao || '')}" faz parte de uma série. O que deseja excluir?</p>`,
+                [
+                    { text: 'Cancelar', class: 'btn-secondary' },
+                    { text: 'Apenas esta', class: 'btn-danger', onClick: () => this.deleteOcorrenciaDespesa(id, 'esta') },
+                    { text: 'Esta e as seguintes', class: 'btn-danger', onClick: () => this.deleteOcorrenciaDespesa(id, 'seguintes') }
+                ]
+            );
+            return;
+        }
+
+        Utils.showConfirm(
+            'Excluir Despesa',
+            `Tem certeza que deseja excluir a despesa "${Utils.escapeHtml(despesa.descricao || '')}"?`,
+            () => {
+                DataManager.deleteDespesa(id);
+                Utils.showToast('Despesa excluída com sucesso!', 'success');
+                this.loadDespesasList();
+            }
+        );
+    },
+
+    /**
+     * Delete an occurrence of a recurring despesa
+     * @param {string} id - Occurrence ID
+     * @param {string} escopo - 'esta' or 'seguintes'
+     */
+    deleteOcorrenciaDespesa(id, escopo) {
+        DataManager.deleteOcorrenciaSerie(id, escopo);
+        Utils.showToast('Despesa excluída com sucesso!', 'success');
+        this.loadDespesasList();
+    },
+
+    /**
+     * Initialize DRE page
+     */
+    initDRE() {
+        const result = document.getElementById('dre-result');
+        if (result) {
+            result.innerHTML = '<p class="text-muted">Selecione um período e clique em "Calcular" para visualizar a DRE.</p>';
+        }
+
+        const monthInput = document.getElementById('dre-month');
+        if (monthInput) {
+            monthInput.value = Utils.getCurrentDate().slice(0, 7);
+        }
+
+        const imovelSelect = document.getElementById('dre-imovel');
+        if (imovelSelect) {
+            DataManager.getImoveis().forEach(imovel => {
+                const option = document.createElement('option');
+                option.value = imovel.id;
+                option.textContent = imovel.nome;
+                imovelSelect.appendChild(option);
+            });
+        }
+
+        // Custom range uses start/end dates instead of the reference month
+        const periodoSelect = document.getElementById('dre-periodo');
+        if (periodoSelect) {
+            periodoSelect.addEventListener('change', () => {
+                const custom = periodoSelect.value === 'personalizado';
+                document.getElementById('dre-month').style.display = custom ? 'none' : '';
+                document.getElementById('dre-start').style.display = custom ? '' : 'none';
+                document.getElementById('dre-end').style.display = custom ? '' : 'none';
+            });
+        }
+
+        const calcBtn = document.getElementById('calc-dre');
+        if (calcBtn) {
+            calcBtn.addEventListener('click', () => this.calculateDRE());
+        }
+
+        const exportBtn = document.getElementById('export-dre');
+        if (exportBtn) {
+            exportBtn.addEventListener('click', () => {
+                if (!document.getElementById('dre-table')) {
+                    Utils.showToast('Calcule a DRE antes de exportar', 'warning');
+                    return;
+                }
+                Utils.exportTableToCSV('dre-table', `dre-${Utils.getCurrentDate()}`);
+            });
+        }
+    },
+
+    /**
+     * Get the period selected on the DRE page
+     * @returns {Object|null} {startDate, endDate} or null if incomplete
+     */
+    getDREPeriod() {
+        const periodo = document.getElementById('dre-periodo').value;
+
+        if (periodo === 'personalizado') {
+            const startDate = document.getElementById('dre-start').value;
+            const endDate = document.getElementById('dre-end').value;
+            if (!startDate || !endDate || startDate > endDate) return null;
+            return { startDate, endDate };
+        }
+
+        const month = document.getElementById('dre-month').value;
+        if (!month) return null;
+        return Utils.getPeriodRange(periodo, `${month}-01`);
+    },
+
+    /**
+     * Calculate and render the DRE for the selected period
+     */
+    calculateDRE() {
+        const period = this.getDREPeriod();
+        if (!period) {
+            Utils.showToast('Selecione um período válido', 'error');
+            return;
+        }
+
+        const imovelId = document.getElementById('dre-imovel').value || null;
+        const data = DataManager.getDREData(period.startDate, period.endDate, imovelId);
+        const dre = Calculations.calculateDRE(data);
+
+        this.renderDRE(dre, data, period);
+        Charts.createDREChart('dre-chart', dre);
+        this.renderDREMatrix(period);
+        this.renderDesempenhoImoveis(period);
+    },
+
+    /**
+     * Get DRE statement lines
+     * @param {Object} dre - calculateDRE result
+     * @param {Object} data - calculateDRE input (for the deduction breakdown)
+     * @returns {Array} Lines {label, value, total}
+     */
+    getDRELines(dre, data) {
+        return [
+            { label: 'Receita Bruta', value: dre.receitaBruta, total: true },
+            { label: '(-) Taxas de Plataforma', value: -data.taxasPlataforma },
+            { label: '(-) ISS', value: -data.impostos },
+            { label: '(=) Receita Líquida', value: dre.receitaLiquida, total: true },
+            { label: '(-) Custos Variáveis', value: -dre.custosVariaveis },
+            { label: '(=) Lucro Bruto', value: dre.lucroBruto, total: true },
+            { label: '(-) Despesas Fixas', value: -dre.despesasFixas },
+            { label: '(=) EBITDA', value: dre.ebitda, total: true },
+            { label: '(-) Depreciação', value: -dre.depreciacao },
+            { label: '(=) EBIT', value: dre.ebit, total: true },
+            { label: '(-) Despesas Financeiras', value: -dre.despesasFinanceiras },
+            { label: '(+) Receitas Financeiras', value: dre.receitasFinanceiras },
+            { label: '(=) LAIR', value: dre.lair, total: true },
+            { label: '(-) IRPJ', value: -dre.ir },
+            { label: '(-) CSLL', value: -dre.csll },
+            { label: '(=) Lucro Líquido', value: dre.lucroLiquido, total: true }
+        ];
+    },
+
+    /**
+     * Render DRE matrix: one column per imóvel plus the consolidated total
+     * @param {Object} period - {startDate, endDate}
+     */
+    renderDREMatrix(period) {
+        const container = document.getElementById('dre-matrix');
+        if (!container) return;
+
+        const imoveis = DataManager.getImoveis();
+        if (imoveis.length === 0) {
+            container.innerHTML = '<p class="text-muted">Nenhum imóvel cadastrado</p>';
+            return;
+        }
+
+        const columns = imoveis.map(imovel => {
+            const data = DataManager.getDREData(period.startDate, period.endDate, imovel.id);
+            return { label: imovel.nome, data, dre: Calculations.calculateDRE(data) };
+        });
+
+        const consolidatedData = DataManager.getDREData(period.startDate, period.endDate);
+        columns.push({
+            label: 'Consolidado',
+            data: consolidatedData,
+            dre: Calculations.calculateDRE(consolidatedData),
+            consolidated: true
+        });
+
+        const lines = columns.map(col => this.getDRELines(col.dre, col.data));
+
+        container.innerHTML = `
+            <div class="table-container">
+                <table id="dre-matrix-table">
+                    <thead>
+                        <tr>
+                            <th>Conta</th>
+                            ${columns.map(col => `<th class="text-right">${col.consolidated ? `<strong>${col.label}</strong>` : Utils.escapeHtml(col.label)}</th>`).join('')}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${lines[0].map((line, row) => `
+                            <tr>
+                                <td>${line.total ? `<strong>${line.label}</strong>` : line.label}</td>
+                                ${lines.map(colLines => {
+                                    const value = colLines[row].value;
+                                    const formatted = Utils.formatCurrency(value);
+                                    return `<td class="text-right ${value < 0 ? 'text-danger' : ''}">${line.total ? `<strong>${formatted}</strong>` : formatted}</td>`;
+                                }).join('')}
+                            </tr>
+                        `).join('')}
+                        <tr>
+                            <td>Margem Líquida</td>
+                            ${columns.map(col => `<td class="text-right">${Utils.formatPercent(col.dre.margemLiquida, 1)}</td>`).join('')}
+                        </tr>
+                    </tbody>
+                </table>
+            </div>
+            <p class="text-muted mt-2" style="font-size: 0.875rem;">
+                <i class="fas fa-info-circle"></i>
+                Despesas sem imóvel vinculado são rateadas pelo critério de cada despesa (receita bruta, quartos, noites ocupadas ou percentuais fixos).
+                IRPJ/CSLL são calculados sobre o resultado de cada coluna, por isso a soma pode diferir do consolidado.
+            </p>
+        `;
+    },
+
+    /**
+     * Render per-imóvel occupancy, allocated despesas and ROI
+     * @param {Object} period - {startDate, endDate}
+     */
+    renderDesempenhoImoveis(period) {
+        const container = document.getElementById('dre-desempenho');
+        if (!container) return;
+
+        const linhas = DataManager.getImovelPerformance(period.startDate, period.endDate);
+        if (linhas.length === 0) {
+            container.innerHTML = '<p class="text-muted">Nenhum imóvel cadastrado</p>';
+            return;
+        }
+
+        container.innerHTML = `
+            <div class="table-container">
+                <table>
+                    <thead>
+                        <tr>
+                            <th>Imóvel</th>
+                            <th class="text-right">Noites Ocupadas</th>
+                            <th class="text-right">Noites Disponíveis</th>
+                            <th class="text-right">Ocupação</th>
+                            <th class="text-right">Receita Bruta</th>
+                            <th class="text-right">Despesas Diretas</th>
+                            <th class="text-right">Despesas Rateadas</th>
+                            <th class="text-right">Lucro Líquido</th>
+                            <th class="text-right">ROI do Período</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${linhas.map(l => `
+                            <tr>
+                                <td>${Utils.escapeHtml(l.imovel.nome)}</td>
+                                <td class="text-right">${l.noitesOcupadas}</td>
+                                <td class="text-right">${l.noitesDisponiveis}</td>
+                                <td class="text-right">${Utils.formatPercent(l.ocupacao, 1)}</td>
+                                <td class="text-right">${Utils.formatCurrency(l.receitaBruta)}</td>
+                                <td class="text-right text-danger">${Utils.formatCurrency(l.despesasDiretas)}</td>
+                                <td class="text-right text-danger">${Utils.formatCurrency(l.despesasRateadas)}</td>
+                                <td class="text-right ${l.lucroLiquido < 0 ? 'text-danger' : ''}">${Utils.formatCurrency(l.lucroLiquido)}</td>
+                                <td class="text-right">${l.custo > 0 ? Utils.formatPercent(l.roi, 2) : '-'}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+            <p class="text-muted mt-2" style="font-size: 0.875rem;">
+                <i class="fas fa-info-circle"></i>
+                Noites bloqueadas no calendário, em reforma ou anteriores à aquisição não contam como disponíveis.
+                ROI do período = lucro líquido do imóvel (com despesas rateadas) sobre seu custo de aquisição e reformas.
+            </p>
+        `;
+    },
+
+    /**
+     * Render DRE statement
+     * @param {Object} dre - calculateDRE result
+     * @param {Object} data - calculateDRE input (for the deduction breakdown)
+     * @param {Object} period - {startDate, endDate}
+     */
+    renderDRE(dre, data, period) {
+        const result = document.getElementById('dre-result');
+        if (!result) return;
+
+        const lines = this.getDRELines(dre, data);
+
+        result.innerHTML = `
+            <p class="text-muted">Período: ${Utils.formatDate(period.startDate)} a ${Utils.formatDate(period.endDate)}</p>
+            <div class="table-container">
+                <table id="dre-table">
+                    <thead>
+                        <tr>
+                            <th>Conta</th>
+                            <th class="text-right">Valor</th>
+                            <th class="text-right">% Receita Bruta</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${lines.map(line => `
+                            <tr>
+                                <td>${line.total ? `<strong>${line.label}</strong>` : line.label}</td>
+                                <td class="text-right ${line.value < 0 ? 'text-danger' : ''}">
+                                    ${line.total ? `<strong>${Utils.formatCurrency(line.value)}</strong>` : Utils.formatCurrency(line.value)}
+                                </td>
+                                <td class="text-right">${Utils.formatPercent(dre.receitaBruta > 0 ? line.value / dre.receitaBruta : 0, 1)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+
+            <div class="metrics-row mt-3">
+                <div class="metric-card">
+                    <div class="metric-label">Margem Bruta</div>
+                    <div class="metric-value" style="font-size: 1.5rem;">${Utils.formatPercent(dre.margemBruta, 1)}</div>
+                </div>
+                <div class="metric-card">
+                    <div class="metric-label">Margem EBITDA</div>
+                    <div class="metric-value" style="font-size: 1.5rem;">${Utils.formatPercent(dre.margemEbitda, 1)}</div>
+                </div>
+                <div class="metric-card">
+                    <div class="metric-label">Margem Líquida</div>
+                    <div class="metric-value ${dre.margemLiquida < 0 ? 'text-danger' : 'text-success'}" style="font-size: 1.5rem;">${Utils.formatPercent(dre.margemLiquida, 1)}</div>
+                </div>
+            </div>
+        `;
+    },
+
+    initBalanco() {
+        const ativo = document.getElementById('balanco-ativo');
+        const passivo = document.getElementById('balanco-passivo');
+        if (ativo) ativo.innerHTML = '<p class="text-muted">Selecione uma data e clique em "Calcular".</p>';
+        if (passivo) passivo.innerHTML = '<p class="text-muted">Selecione uma data e clique em "Calcular".</p>';
+
+        const dateInput = document.getElementById('balanco-date');
+        if (dateInput) {
+            dateInput.value = Utils.getCurrentDate();
+        }
+
+        const calcBtn = document.getElementById('calc-balanco');
+        if (calcBtn) {
+            calcBtn.addEventListener('click', () => this.calculateBalanco());
+        }
+
+        const exportBtn = document.getElementById('export-balanco');
+        if (exportBtn) {
+            exportBtn.addEventListener('click', () => {
+                if (!document.getElementById('balanco-ativo-table')) {
+                    Utils.showToast('Calcule o balanço antes de exportar', 'warning');
+                    return;
+                }
+                const date = document.getElementById('balanco-date').value;
+                Utils.exportTableToCSV('balanco-ativo-table', `balanco-ativo-${date}`);
+                Utils.exportTableToCSV('balanco-passivo-table', `balanco-passivo-${date}`);
+            });
+        }
+
+        const addAporteBtn = document.getElementById('add-aporte');
+        if (addAporteBtn) {
+            addAporteBtn.addEventListener('click', () => this.showAporteForm());
+        }
+
+        this.loadAportesList();
+    },
+
+    /**
+     * Calculate and render the balance sheet at the selected date
+     */
+    calculateBalanco() {
+        const date = document.getElementById('balanco-date').value;
+        if (!date) {
+            Utils.showToast('Selecione uma data', 'error');
+            return;
+        }
+
+        const { data, receitasAntecipadas, consorcioDifference } = DataManager.getBalanceSheetData(date);
+        const balanco = Calculations.calculateBalanceSheet(data);
+
+        this.renderBalanco(balanco, receitasAntecipadas);
+        this.renderBalancoValidation(balanco, consorcioDifference);
+    },
+
+    /**
+     * Render a balance sheet side as a two-column table
+     * @param {string} tableId - Table element ID
+     * @param {Array} lines - Lines {label, value, total, indent}
+     * @returns {string} HTML
+     */
+    getBalancoTable(tableId, lines) {
+        return `
+            <div class="table-container">
+                <table id="${tableId}">
+                    <tbody>
+                        ${lines.map(line => {
+                            const label = line.indent ? `<span style="padding-left: 1.5rem;">${line.label}</span>` : line.label;
+                            const value = Utils.formatCurrency(line.value);
+                            return `
+                                <tr>
+                                    <td>${line.total ? `<strong>${label}</strong>` : label}</td>
+                                    <td class="text-right ${line.value < 0 ? 'text-danger' : ''}">${line.total ? `<strong>${value}</strong>` : value}</td>
+                                </tr>
+                            `;
+                        }).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    },
+
+    /**
+     * Render balance sheet
+     * @param {Object} balanco - calculateBalanceSheet result
+     * @param {number} receitasAntecipadas - Payouts received before check-in
+     */
+    renderBalanco(balanco, receitasAntecipadas) {
+        const { ativo, passivo, patrimonioLiquido } = balanco;
+
+        document.getElementById('balanco-ativo').innerHTML = this.getBalancoTable('balanco-ativo-table', [
+            { label: 'Ativo Circulante', value: ativo.circulante.total, total: true },
+            { label: 'Caixa e Equivalentes', value: ativo.circulante.caixaEquivalentes, indent: true },
+            { label: 'Contas a Receber', value: ativo.circulante.contasReceber, indent: true },
+            { label: 'Ativo Não Circulante', value: ativo.naoCirculante.total, total: true },
+            { label: 'Imóveis (custo)', value: ativo.naoCirculante.imoveis, indent: true },
+            { label: '(-) Depreciação Acumulada', value: -ativo.naoCirculante.depreciacaoAcumulada, indent: true },
+            { label: 'Consórcios a Contemplar', value: ativo.naoCirculante.outrosAtivosNaoCirculantes, indent: true },
+            { label: 'TOTAL DO ATIVO', value: ativo.total, total: true }
+        ]);
+
+        document.getElementById('balanco-passivo').innerHTML = this.getBalancoTable('balanco-passivo-table', [
+            { label: 'Passivo Circulante', value: passivo.circulante.total, total: true },
+            { label: 'Financiamentos (12 meses)', value: passivo.circulante.financiamentosCurtoPrazo, indent: true },
+            { label: 'Consórcios (12 meses)', value: passivo.circulante.outrosPassivosCirculantes - receitasAntecipadas, indent: true },
+            { label: 'Receitas Antecipadas', value: receitasAntecipadas, indent: true },
+            { label: 'Passivo Não Circulante', value: passivo.naoCirculante.total, total: true },
+            { label: 'Financiamentos (longo prazo)', value: passivo.naoCirculante.financiamentosLongoPrazo, indent: true },
+            { label: 'Consórcios (longo prazo)', value: passivo.naoCirculante.outrosPassivosNaoCirculantes, indent: true },
+            { label: 'Patrimônio Líquido', value: patrimonioLiquido.total, total: true },
+            { label: 'Capital Social', value: patrimonioLiquido.capitalSocial, indent: true },
+            { label: 'Lucros/Prejuízos Acumulados', value: patrimonioLiquido.lucrosAcumulados, indent: true },
+            { label: 'TOTAL DO PASSIVO + PL', value: balanco.passivoMaisPL, total: true }
+        ]);
+    },
+
+    /**
+     * Render the balance check, explaining any difference between both sides
+     * @param {Object} balanco - calculateBalanceSheet result
+     * @param {number} consorcioDifference - Gap caused by consórcio fees and lances
+     */
+    renderBalancoValidation(balanco, consorcioDifference) {
+        const container = document.getElementById('balanco-validation');
+        if (!container) return;
+
+        if (balanco.balanced) {
+            container.innerHTML = `
+                <div class="alert alert-success">
+                    <i class="fas fa-check-circle"></i>
+                    Balanço fechado: Ativo = Passivo + Patrimônio Líquido (${Utils.formatCurrency(balanco.ativo.total)})
+                </div>
+            `;
+            return;
+        }
+
+        const gap = balanco.ativo.total - balanco.passivoMaisPL;
+        const reasons = [];
+        if (Math.abs(consorcioDifference) >= 0.01) {
+            reasons.push(`${Utils.formatCurrency(consorcioDifference)} — diferença entre o crédito dos consórcios contemplados e o total de parcelas e lances (taxa de administração, fundo de reserva e lances não são lançados no resultado)`);
+        }
+        const unexplained = gap - consorcioDifference;
+        if (Math.abs(unexplained) >= 0.01) {
+            reasons.push(`${Utils.formatCurrency(unexplained)} — não identificado; verifique receitas cujo valor líquido difere de valor bruto menos taxas`);
+        }
+
+        container.innerHTML = `
+            <div class="alert alert-warning">
+                <i class="fas fa-exclamation-triangle"></i>
+                Balanço não fechado: diferença de ${Utils.formatCurrency(gap)} entre Ativo e Passivo + PL.
+                <ul class="mt-2">
+                    ${reasons.map(reason => `<li>${reason}</li>`).join('')}
+                </ul>
+            </div>
+        `;
+    },
+
+    /**
+     * Load aportes/distribuições list
+     */
+    loadAportesList() {
+        const tbody = document.getElementById('aportes-tbody');
+        if (!tbody) return;
+
+        const aportes = DataManager.getAportes()
+            .sort((a, b) => (b.data || '').localeCompare(a.data || ''));
+
+        if (aportes.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="6" class="text-center text-muted">Nenhum aporte cadastrado</td></tr>';
+            return;
+        }
+
+        tbody.innerHTML = aportes.map(aporte => {
+            const distribuicao = aporte.tipo === 'distribuicao';
+            return `
+                <tr>
+                    <td>${Utils.formatDate(aporte.data)}</td>
+                    <td><span class="badge ${distribuicao ? 'badge-warning' : 'badge-success'}">${distribuicao ? 'Distribuição' : 'Aporte'}</span></td>
+                    <td>${Utils.escapeHtml(aporte.socio || '-')}</td>
+                    <td>${Utils.escapeHtml(aporte.descricao || '-')}</td>
+                    <td class="${distribuicao ? 'text-danger' : 'text-success'}">${Utils.formatCurrency(aporte.valor)}</td>
+                    <td class="table-actions">
+                        <button class="btn btn-sm btn-secondary" onclick="App.showAporteForm('${aporte.id}')">
+                            <i class="fas fa-edit"></i>
+                        </button>
+                        <button class="btn btn-sm btn-danger" onclick="App.deleteAporte('${aporte.id}')">
+                            <i class="fas fa-trash"></i>
+                        </button>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+    },
+
+    /**
+     * Show aporte/distribuição form
+     */
+    showAporteForm(aporteId = null) {
+        const aporte = aporteId ? DataManager.getAporteById(aporteId) : {};
+        const isEdit = !!aporteId;
+
+        const formHtml = `
+            <div class="form-row">
+                <div class="form-group">
+                    <label class="form-label required">Data</label>
+                    <input type="date" name="data" class="form-input" value="${Utils.formatDateInput(aporte.data || new Date())}" required>
+                </div>
+                <div class="form-group">
+                    <label class="form-label required">Tipo</label>
+                    <select name="tipo" class="form-select" required>
+                        <option value="aporte" ${aporte.tipo !== 'distribuicao' ? 'selected' : ''}>Aporte de Capital</option>
+                        <option value="distribuicao" ${aporte.tipo === 'distribuicao' ? 'selected' : ''}>Distribuição de Lucros</option>
+                    </select>
+                </div>
+            </div>
+
+            <div class="form-row">
+                <div class="form-group">
+                    <label class="form-label">Sócio</label>
+                    <input type="text" name="socio" class="form-input" value="${Utils.escapeHtml(aporte.socio || '')}">
+                </div>
+                <div class="form-group">
+                    <label class="form-label required">Valor</label>
+                    <input type="number" name="valor" class="form-input" value="${aporte.valor || ''}" min="0" step="0.01" required>
+                </div>
+            </div>
+
+            <div class="form-group">
+                <label class="form-label">Descrição</label>
+                <input type="text" name="descricao" class="form-input" value="${Utils.escapeHtml(aporte.descricao || '')}">
+            </div>
+
+            ${this.getContaField(aporte.contaId)}
+        `;
+
+        Utils.showModal(
+            isEdit ? 'Editar Lançamento' : 'Novo Aporte/Distribuição',
+            `<form id="aporte-form">${formHtml}</form>`,
+            [
+                { text: 'Cancelar', class: 'btn-secondary' },
+                {
+                    text: 'Salvar',
+                    class: 'btn-primary',
+                    closeOnClick: false,
+                    onClick: () => this.saveAporte(aporteId)
+                }
+            ]
+        );
+    },
+
+    /**
+     * Save aporte/distribuição
+     */
+    saveAporte(aporteId) {
+        const formData = Forms.getFormData('aporte-form');
+
+        const validation = Forms.validate(formData, {
+            data: { required: true, type: 'date' },
+            tipo: { required: true },
+            valor: { required: true, type: 'number', positive: true }
+        });
+
+        if (!validation.valid) {
+            Forms.showErrors('aporte-form', validation.errors);
+            return;
+        }
+
+        const existing = aporteId ? DataManager.getAporteById(aporteId) : {};
+
+        DataManager.saveAporte({
+            ...existing,
+            ...formData,
+            id: aporteId,
+            valor: parseFloat(formData.valor) || 0
+        });
+        Utils.showToast('Lançamento salvo com sucesso!', 'success');
+        Utils.closeModal();
+        this.loadAportesList();
+    },
+
+    /**
+     * Delete aporte/distribuição
+     */
+    deleteAporte(id) {
+        const aporte = DataManager.getAporteById(id);
+        if (!aporte) return;
+
+        Utils.showConfirm(
+            'Excluir Lançamento',
+            `Tem certeza que deseja excluir o lançamento de ${Utils.formatCurrency(aporte.valor)}?`,
+            () => {
+                DataManager.deleteAporte(id);
+                Utils.showToast('Lançamento excluído com sucesso!', 'success');
+                this.loadAportesList();
+            }
+        );
+    },
+
+    initFluxoCaixa() {
+        const result = document.getElementById('fluxo-result');
+        if (result) {
+            result.innerHTML = '<p class="text-muted">Selecione um período e clique em "Calcular".</p>';
+        }
+
+        const monthInput = document.getElementById('fluxo-month');
+        if (monthInput) {
+            monthInput.value = Utils.getCurrentDate().slice(0, 7);
+        }
+
+        const calcBtn = document.getElementById('calc-fluxo');
+        if (calcBtn) {
+            calcBtn.addEventListener('click', () => this.calculateFluxoCaixa());
+        }
+
+        const metodoSelect = document.getElementById('fluxo-metodo');
+        if (metodoSelect) {
+            metodoSelect.addEventListener('change', () => {
+                if (document.getElementById('fluxo-table')) this.calculateFluxoCaixa();
+            });
+        }
+
+        this.loadPrevisaoCaixa();
+    },
+
+    /**
+     * Load the month-by-month cash forecast
+     */
+    loadPrevisaoCaixa() {
+        const tbody = document.getElementById('previsao-tbody');
+        if (!tbody) return;
+
+        const cell = value => `<td class="text-right ${value < 0 ? 'text-danger' : ''}">${Utils.formatCurrency(value)}</td>`;
+
+        tbody.innerHTML = DataManager.getCashForecast(12).map(m => {
+            const [year, month] = m.mes.split('-');
+            return `
+                <tr>
+                    <td>${Utils.getShortMonthName(parseInt(month) - 1)}/${year}</td>
+                    ${cell(m.saldoInicial)}
+                    <td class="text-right text-success">${Utils.formatCurrency(m.entradas)}</td>
+                    ${cell(-m.despesas)}
+                    ${cell(-m.dividas)}
+                    ${cell(-m.impostos)}
+                    <td class="text-right ${m.saldoFinal < 0 ? 'text-danger' : ''}"><strong>${Utils.formatCurrency(m.saldoFinal)}</strong></td>
+                </tr>
+            `;
+        }).join('');
+    },
+
+    /**
+     * Calculate and render the cash flow statement for the selected month,
+     * charting the 12 months up to it
+     */
+    calculateFluxoCaixa() {
+        const month = document.getElementById('fluxo-month').value;
+        if (!month) {
+            Utils.showToast('Selecione um mês', 'error');
+            return;
+        }
+
+        const period = Utils.getPeriodRange('mes', `${month}-01`);
+        const statement = DataManager.getCashFlowStatement(period.startDate, period.endDate);
+        const metodo = document.getElementById('fluxo-metodo').value;
+
+        this.renderFluxoCaixa(statement, metodo, period);
+
+        const chartData = [];
+        for (let i = 11; i >= 0; i--) {
+            const ref = Utils.addMonths(Utils.parseDate(period.startDate), -i);
+            const range = Utils.getPeriodRange('mes', ref);
+            const flow = Calculations.calculateCashFlow(DataManager.getCashMovements(range.startDate, range.endDate));
+            chartData.push({
+                month: ref.getMonth(),
+                operational: flow.operacional.total,
+                investment: flow.investimento.total,
+                financing: flow.financiamento.total,
+                total: flow.fluxoTotal
+            });
+        }
+        Charts.createCashFlowChart('fluxo-chart', chartData);
+    },
+
+    /**
+     * Get cash flow statement lines for the chosen presentation
+     * @param {Object} statement - DataManager.getCashFlowStatement result
+     * @param {string} metodo - 'direto' or 'indireto'
+     * @returns {Array} Lines {label, value, total}
+     */
+    getFluxoCaixaLines(statement, metodo) {
+        const { direto, indireto } = statement;
+
+        const operacional = metodo === 'indireto'
+            ? [
+                { label: 'Lucro Líquido', value: indireto.lucroLiquido },
+                { label: '(+) Depreciação', value: indireto.depreciacao },
+                { label: '(+) Juros de Financiamentos', value: indireto.despesasFinanceiras },
+                { label: '(+/-) Compensação de IRPJ/CSLL', value: indireto.ajusteImpostos },
+                { label: '(-) Aumento de Contas a Receber', value: -indireto.variacaoContasReceber },
+                { label: '(+) Aumento de Receitas Antecipadas', value: indireto.variacaoReceitasAntecipadas },
+                { label: '(=) Fluxo Operacional', value: indireto.total, total: true }
+            ]
+            : [
+                { label: 'Recebimentos de Hóspedes', value: direto.operacional.recebimentos },
+                { label: '(-) Pagamentos Operacionais', value: -direto.operacional.pagamentosOperacionais },
+                { label: '(-) Impostos', value: -direto.operacional.pagamentosImpostos },
+                { label: '(=) Fluxo Operacional', value: direto.operacional.total, total: true }
+            ];
+
+        return [
+            { label: 'Saldo Inicial de Caixa', value: direto.saldoInicial, total: true },
+            ...operacional,
+            { label: '(-) Aquisições de Imóveis e Reformas', value: -direto.investimento.aquisicoesAtivos },
+            { label: '(+) Vendas de Ativos', value: direto.investimento.vendasAtivos },
+            { label: '(=) Fluxo de Investimento', value: direto.investimento.total, total: true },
+            { label: '(+) Aportes de Capital', value: direto.financiamento.aportesCapital },
+            { label: '(-) Parcelas de Financiamentos e Consórcios', value: -direto.financiamento.pagamentosFinanciamentos },
+            { label: '(-) Distribuição de Lucros', value: -direto.financiamento.distribuicaoLucros },
+            { label: '(=) Fluxo de Financiamento', value: direto.financiamento.total, total: true },
+            { label: '(=) Variação de Caixa', value: direto.fluxoTotal, total: true },
+            { label: 'Saldo Final de Caixa', value: direto.saldoFinal, total: true }
+        ];
+    },
+
+    /**
+     * Render cash flow statement
+     * @param {Object} statement - DataManager.getCashFlowStatement result
+     * @param {string} metodo - 'direto' or 'indireto'
+     * @param {Object} period - {startDate, endDate}
+     */
+    renderFluxoCaixa(statement, metodo, period) {
+        const result = document.getElementById('fluxo-result');
+        if (!result) return;
+
+        const lines = this.getFluxoCaixaLines(statement, metodo);
+
+        result.innerHTML = `
+            <p class="text-muted">
+                Período: ${Utils.formatDate(period.startDate)} a ${Utils.formatDate(period.endDate)}
+                — ${metodo === 'indireto' ? 'método indireto' : 'método direto'}
+            </p>
+            <div class="table-container">
+                <table id="fluxo-table">
+                    <thead>
+                        <tr>
+                            <th>Conta</th>
+                            <th class="text-right">Valor</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${lines.map(line => {
+                            const value = Utils.formatCurrency(line.value);
+                            return `
+                                <tr>
+                                    <td>${line.total ? `<strong>${line.label}</strong>` : line.label}</td>
+                                    <td class="text-right ${line.value < 0 ? 'text-danger' : ''}">${line.total ? `<strong>${value}</strong>` : value}</td>
+                                </tr>
+                            `;
+                        }).join('')}
+                    </tbody>
+                </table>
+            </div>
+            <p class="text-muted mt-2" style="font-size: 0.875rem;">
+                <i class="fas fa-info-circle"></i>
+                Receitas entram na data do repasse; parcelas de financiamento são consideradas pagas no vencimento.
+            </p>
+        `;
+    },
+
+    /**
+     * Account select for lançamento forms (blank means the principal account)
+     * @param {string} contaId - Selected account
+     * @returns {string} Form group HTML
+     */
+    getContaField(contaId) {
+        const contas = DataManager.getContas();
+        if (contas.length === 0) return '';
+
+        return `
+            <div class="form-group">
+                <label class="form-label">Conta</label>
+                <select name="contaId" class="form-select">
+                    <option value="">Conta principal</option>
+                    ${contas.map(c => `
+                        <option value="${c.id}" ${contaId === c.id ? 'selected' : ''}>${Utils.escapeHtml(c.nome)}</option>
+                    `).join('')}
+                </select>
+            </div>
+        `;
+    },
+
+    /**
+     * Initialize Contas page
+     */
+    initContas() {
+        const addBtn = document.getElementById('add-conta');
+        if (addBtn) {
+            addBtn.addEventListener('click', () => this.showContaForm());
+        }
+
+        const transferBtn = document.getElementById('add-transferencia');
+        if (transferBtn) {
+            transferBtn.addEventListener('click', () => this.showTransferenciaForm());
+        }
+
+        const monthInput = document.getElementById('extrato-month');
+        if (monthInput) {
+            monthInput.value = Utils.getCurrentDate().slice(0, 7);
+            monthInput.addEventListener('change', () => this.loadContaExtrato());
+        }
+
+        const contaSelect = document.getElementById('extrato-conta');
+        if (contaSelect) {
+            contaSelect.addEventListener('change', () => this.loadContaExtrato());
+        }
+
+        this.loadContasList();
+    },
+
+    /**
+     * Load accounts with current balances
+     */
+    loadContasList() {
+        const tbody = document.getElementById('contas-tbody');
+        if (!tbody) return;
+
+        const contas = DataManager.getContas();
+        const today = Utils.getCurrentDate();
+        const principal = DataManager.getContaPrincipal();
+        const saldos = {};
+        contas.forEach(c => {
+            saldos[c.id] = DataManager.getContaBalanceAtDate(c.id, today);
+        });
+
+        this.loadContasSummary(contas, saldos);
+
+        const contaSelect = document.getElementById('extrato-conta');
+        if (contaSelect) {
+            const selected = contaSelect.value;
+            contaSelect.innerHTML = contas.map(c => `
+                <option value="${c.id}" ${c.id === selected ? 'selected' : ''}>${Utils.escapeHtml(c.nome)}</option>
+            `).join('');
+        }
+
+        if (contas.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="6" class="text-center text-muted">Nenhuma conta cadastrada</td></tr>';
+            this.loadContaExtrato();
+            return;
+        }
+
+        tbody.innerHTML = contas.map(conta => `
+            <tr>
+                <td>
+                    <strong>${Utils.escapeHtml(conta.nome)}</strong>
+                    ${principal && principal.id === conta.id ? '<span class="badge badge-info" style="margin-left: 0.5rem;">Principal</span>' : ''}
+                </td>
+                <td>${this.TIPOS_CONTA[conta.tipo] || '-'}</td>
+                <td>${Utils.escapeHtml(conta.instituicao || '-')}</td>
+                <td class="text-right">${Utils.formatCurrency(conta.saldoInicial)}</td>
+                <td class="text-right ${saldos[conta.id] < 0 ? 'text-danger' : ''}"><strong>${Utils.formatCurrency(saldos[conta.id])}</strong></td>
+                <td class="table-actions">
+                    <button class="btn btn-sm btn-secondary" onclick="App.showContaExtrato('${conta.id}')" title="Extrato">
+                        <i class="fas fa-list"></i>
+                    </button>
+                    <button class="btn btn-sm btn-secondary" onclick="App.editConta('${conta.id}')">
+                        <i class="fas fa-edit"></i>
+                    </button>
+                    <button class="btn btn-sm btn-danger" onclick="App.deleteConta('${conta.id}')">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </td>
+            </tr>
+        `).join('');
+
+        this.loadContaExtrato();
+    },
+
+    /**
+     * Load summary cards: total cash and balance by account type
+     */
+    loadContasSummary(contas, saldos) {
+        const container = document.getElementById('contas-summary');
+        if (!container) return;
+
+        const total = contas.reduce((sum, c) => sum + saldos[c.id], 0);
+        const porTipo = Object.entries(this.TIPOS_CONTA).map(([tipo, label]) => ({
+            label,
+            contas: contas.filter(c => c.tipo === tipo)
+        }));
+
+        container.innerHTML = `
+            <div class="metric-card">
+                <div class="metric-label">Caixa e Equivalentes</div>
+                <div class="metric-value ${total < 0 ? 'text-danger' : ''}" style="font-size: 1.5rem;">${Utils.formatCurrency(total)}</div>
+                <div class="metric-subtitle">${contas.length} contas</div>
+            </div>
+            ${porTipo.map(({ label, contas: doTipo }) => `
+                <div class="metric-card">
+                    <div class="metric-label">${label}</div>
+                    <div class="metric-value" style="font-size: 1.5rem;">${Utils.formatCurrency(doTipo.reduce((sum, c) => sum + saldos[c.id], 0))}</div>
+                    <div class="metric-subtitle">${doTipo.length} contas</div>
+                </div>
+            `).join('')}
+        `;
+    },
+
+    /**
+     * Select an account in the statement card
+     */
+    showContaExtrato(contaId) {
+        const contaSelect = document.getElementById('extrato-conta');
+        if (!contaSelect) return;
+
+        contaSelect.value = contaId;
+        this.loadContaExtrato();
+    },
+
+    /**
+     * Load the statement of the selected account and month
+     */
+    loadContaExtrato() {
+        const result = document.getElementById('extrato-result');
+        if (!result) return;
+
+        const contaId = document.getElementById('extrato-conta').value;
+        const month = document.getElementById('extrato-month').value;
+
+        if (!contaId || !month) {
+            result.innerHTML = '<p class="text-muted">Cadastre uma conta para ver o extrato.</p>';
+            return;
+        }
+
+        const { startDate, endDate } = Utils.getPeriodRange('mes', `${month}-01`);
+        const extrato = DataManager.getContaExtrato(contaId, startDate, endDate);
+
+        result.innerHTML = `
+            <div class="table-container">
+                <table id="extrato-table">
+                    <thead>
+                        <tr>
+                            <th>Data</th>
+                            <th>Descrição</th>
+                            <th class="text-right">Valor</th>
+                            <th class="text-right">Saldo</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        <tr>
+                            <td>${Utils.formatDate(startDate)}</td>
+                            <td><strong>Saldo anterior</strong></td>
+                            <td></td>
+                            <td class="text-right"><strong>${Utils.formatCurrency(extrato.saldoInicial)}</strong></td>
+                            <td></td>
+                        </tr>
+                        ${extrato.lancamentos.map(l => `
+                            <tr>
+                                <td>${Utils.formatDate(l.data)}</td>
+                                <td>${Utils.escapeHtml(l.descricao)}</td>
+                                <td class="text-right ${l.valor < 0 ? 'text-danger' : 'text-success'}">${Utils.formatCurrency(l.valor)}</td>
+                                <td class="text-right">${Utils.formatCurrency(l.saldo)}</td>
+                                <td class="table-actions">
+                                    ${l.tipo === 'transferencia' ? `
+                                        <button class="btn btn-sm btn-danger" onclick="App.deleteTransferencia('${l.ref}')">
+                                            <i class="fas fa-trash"></i>
+                                        </button>
+                                    ` : ''}
+                                </td>
+                            </tr>
+                        `).join('')}
+                        <tr>
+                            <td>${Utils.formatDate(endDate)}</td>
+                            <td><strong>Saldo final</strong></td>
+                            <td></td>
+                            <td class="text-right"><strong>${Utils.formatCurrency(extrato.saldoFinal)}</strong></td>
+                            <td></td>
+                        </tr>
+                    </tbody>
+                </table>
+            </div>
+        `;
+    },
+
+    /**
+     * Show conta form
+     */
+    showContaForm(contaId = null) {
+        const conta = contaId ? DataManager.getContaById(contaId) : {};
+        const isEdit = !!contaId;
+
+        const formHtml = `
+            <div class="form-row">
+                <div class="form-group">
+                    <label class="form-label required">Nome</label>
+                    <input type="text" name="nome" class="form-input" value="${Utils.escapeHtml(conta.nome || '')}" required>
+                </div>
+                <div class="form-group">
+                    <label class="form-label required">Tipo</label>
+                    <select name="tipo" class="form-select" required>
+                        ${Object.entries(this.TIPOS_CONTA).map(([value, label]) => `
+                            <option value="${value}" ${conta.tipo === value ? 'selected' : ''}>${label}</option>
+                        `).join('')}
+                    </select>
+                </div>
+            </div>
+
+            <div class="form-group">
+                <label class="form-label">Instituição</label>
+                <input type="text" name="instituicao" class="form-input" value="${Utils.escapeHtml(conta.instituicao || '')}" placeholder="Ex: Banco do Brasil, Airbnb">
+            </div>
+
+            <div class="form-row">
+                <div class="form-group">
+                    <label class="form-label">Saldo Inicial</label>
+                    <input type="number" name="saldoInicial" class="form-input" value="${conta.saldoInicial || 0}" step="0.01">
+                </div>
+                <div class="form-group">
+                    <label class="form-label">Data do Saldo Inicial</label>
+                    <input type="date" name="dataSaldoInicial" class="form-input" value="${Utils.formatDateInput(conta.dataSaldoInicial)}">
+                    <small class="text-muted">Saldo existente antes dos lançamentos registrados no sistema</small>
+                </div>
+            </div>
+
+            <div class="form-group">
+                <label class="form-label">
+                    <input type="checkbox" name="principal" ${conta.principal ? 'checked' : ''}>
+                    Conta principal (recebe impostos, compras, reformas e lançamentos sem conta)
+                </label>
+            </div>
+        `;
+
+        Utils.showModal(
+            isEdit ? 'Editar Conta' : 'Adicionar Conta',
+            `<form id="conta-form">${formHtml}</form>`,
+            [
+                { text: 'Cancelar', class: 'btn-secondary' },
+                {
+                    text: 'Salvar',
+                    class: 'btn-primary',
+                    closeOnClick: false,
+                    onClick: () => this.saveConta(contaId)
+                }
+            ]
+        );
+    },
+
+    /**
+     * Save conta
+     */
+    saveConta(contaId) {
+        const formData = Forms.getFormData('conta-form');
+
+        const validation = Forms.validate(formData, {
+            nome: { required: true },
+            tipo: { required: true },
+            saldoInicial: { type: 'number' },
+            dataSaldoInicial: { type: 'date' }
+        });
+
+        if (!validation.valid) {
+            Forms.showErrors('conta-form', validation.errors);
+            return;
+        }
+
+        const existing = contaId ? DataManager.getContaById(contaId) : {};
+
+        DataManager.saveConta({
+            ...existing,
+            ...formData,
+            id: contaId,
+            saldoInicial: parseFloat(formData.saldoInicial) || 0,
+            principal: !!formData.principal
+        });
+        Utils.showToast('Conta salva com sucesso!', 'success');
+        Utils.closeModal();
+        this.loadContasList();
+    },
+
+    /**
+     * Edit conta
+     */
+    editConta(id) {
+        this.showContaForm(id);
+    },
+
+    /**
+     * Delete conta
+     */
+    deleteConta(id) {
+        const conta = DataManager.getContaById(id);
+        if (!conta) return;
+
+        Utils.showConfirm(
+            'Excluir Conta',
+            `Tem certeza que deseja excluir a conta "${Utils.escapeHtml(conta.nome)}"? Suas transferências serão excluídas e os lançamentos vinculados passam para a conta principal.`,
+            () => {
+                DataManager.deleteConta(id);
+                Utils.showToast('Conta excluída com sucesso!', 'success');
+                this.loadContasList();
+            }
+        );
+    },
+
+    /**
+     * Show transfer form
+     */
+    showTransferenciaForm() {
+        const contas = DataManager.getContas();
+        if (contas.length < 2) {
+            Utils.showToast('Cadastre ao menos duas contas para transferir', 'warning');
+            return;
+        }
+
+        const contaOptions = contas.map(c => `<option value="${c.id}">${Utils.escapeHtml(c.nome)}</option>`).join('');
+
+        const formHtml = `
+            <div class="form-row">
+                <div class="form-group">
+                    <label class="form-label required">De</label>
+                    <select name="contaOrigemId" class="form-select" required>
+                        <option value="">Selecione</option>
+                        ${contaOptions}
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label class="form-label required">Para</label>
+                    <select name="contaDestinoId" class="form-select" required>
+                        <option value="">Selecione</option>
+                        ${contaOptions}
+                    </select>
+                </div>
+            </div>
+
+            <div class="form-row">
+                <div class="form-group">
+                    <label class="form-label required">Data</label>
+                    <input type="date" name="data" class="form-input" value="${Utils.getCurrentDate()}" required>
+                </div>
+                <div class="form-group">
+                    <label class="form-label required">Valor</label>
+                    <input type="number" name="valor" class="form-input" min="0" step="0.01" required>
+                </div>
+            </div>
+
+            <div class="form-group">
+                <label class="form-label">Descrição</label>
+                <input type="text" name="descricao" class="form-input" placeholder="Ex: Saque do saldo Airbnb">
+            </div>
+        `;
+
+        Utils.showModal(
+            'Nova Transferência',
+            `<form id="transferencia-form">${formHtml}</form>`,
+            [
+                { text: 'Cancelar', class: 'btn-secondary' },
+                {
+                    text: 'Salvar',
+                    class: 'btn-primary',
+                    closeOnClick: false,
+                    onClick: () => this.saveTransferencia()
+                }
+            ]
+        );
+    },
+
+    /**
+     * Save transfer
+     */
+    saveTransferencia() {
+        const formData = Forms.getFormData('transferencia-form');
+
+        const validation = Forms.validate(formData, {
+            contaOrigemId: { required: true },
+            contaDestinoId: {
+                required: true,
+                custom: (value, data) => value !== data.contaOrigemId || 'Escolha contas diferentes'
+            },
+            data: { required: true, type: 'date' },
+            valor: { required: true, type: 'number', positive: true }
+        });
+
+        if (!validation.valid) {
+            Forms.showErrors('transferencia-form', validation.errors);
+            return;
+        }
+
+        DataManager.saveTransferencia({
+            ...formData,
+            valor: parseFloat(formData.valor) || 0
+        });
+        Utils.showToast('Transferência registrada!', 'success');
+        Utils.closeModal();
+        this.loadContasList();
+    },
+
+    /**
+     * Delete transfer
+     */
+    deleteTransferencia(id) {
+        Utils.showConfirm(
+            'Excluir Transferência',
+            'Tem certeza que deseja excluir esta transferência?',
+            () => {
+                DataManager.deleteTransferencia(id);
+                Utils.showToast('Transferência excluída!', 'success');
+                this.loadContasList();
+            }
+        );
+    },
+
+    /**
+     * Initialize Conciliacao page
+     */
+    initConciliacao() {
+        const fileInput = document.getElementById('extrato-file');
+        const importBtn = document.getElementById('import-extrato');
+        if (importBtn && fileInput) {
+            importBtn.addEventListener('click', () => fileInput.click());
+            fileInput.addEventListener('change', (e) => {
+                this.importExtrato(e.target.files[0]);
+                fileInput.value = '';
+            });
+        }
+
+        const regrasBtn = document.getElementById('regras-categoria');
+        if (regrasBtn) {
+            regrasBtn.addEventListener('click', () => this.gerenciarRegrasCategoria());
+        }
+
+        const aplicarBtn = document.getElementById('aplicar-regras');
+        if (aplicarBtn) {
+            aplicarBtn.addEventListener('click', () => this.aplicarRegrasCategoria());
+        }
+
+        ['conciliacao-month', 'conciliacao-status'].forEach(id => {
+            const filter = document.getElementById(id);
+            if (filter) {
+                filter.addEventListener('change', () => this.loadConciliacao());
+            }
+        });
+
+        this.loadConciliacao();
+    },
+
+    /**
+     * Read an OFX/CSV statement and store its new transactions
+     */
+    importExtrato(file) {
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            try {
+                const transacoes = Importers.parseBankStatement(e.target.result);
+                const novas = DataManager.importTransacoesBancarias(transacoes);
+                Utils.showToast(
+                    `${novas} transações importadas${transacoes.length > novas ? ` (${transacoes.length - novas} já existentes)` : ''}`,
+                    novas > 0 ? 'success' : 'info'
+                );
+                this.loadConciliacao();
+            } catch (error) {
+                Utils.showToast(error.message, 'error');
+            }
+        };
+        reader.readAsText(file);
+    },
+
+    /**
+     * Load monthly status and the filtered transaction list
+     */
+    loadConciliacao() {
+        this.loadConciliacaoStatus();
+
+        const tbody = document.getElementById('conciliacao-tbody');
+        if (!tbody) return;
+
+        const month = document.getElementById('conciliacao-month').value;
+        const status = document.getElementById('conciliacao-status').value;
+
+        const transacoes = DataManager.getTransacoesBancarias()
+            .filter(t => !month || t.data.startsWith(month))
+            .filter(t => !status || t.status === status)
+            .sort((a, b) => b.data.localeCompare(a.data));
+
+        if (transacoes.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="5" class="text-center text-muted">Nenhuma transação encontrada</td></tr>';
+            return;
+        }
+
+        const sugestoes = DataManager.getSugestoesConciliacao();
+        const regras = DataManager.getRegrasCategoria();
+
+        tbody.innerHTML = transacoes.map(t => {
+            let lancamento = '-';
+            let acoes = '';
+
+            if (t.status === 'conciliado') {
+                lancamento = `<span class="badge badge-success">Conciliada</span> ${this.getLancamentoLabel(t.lancamento)}`;
+                acoes = this.getDesfazerConciliacaoButton(t.id);
+            } else if (t.status === 'ignorado') {
+                lancamento = '<span class="badge badge-secondary">Ignorada</span>';
+                acoes = this.getDesfazerConciliacaoButton(t.id);
+            } else {
+                const sugestao = sugestoes[t.id];
+                const regra = t.valor < 0 ? Importers.findCategoryRule(t.descricao, regras) : null;
+
+                if (sugestao) {
+                    const badge = sugestao.score >= 0.8 ? 'badge-success' : sugestao.score >= 0.6 ? 'badge-info' : 'badge-warning';
+                    lancamento = `<span class="badge ${badge}">${Utils.formatPercent(sugestao.score, 0)}</span> ${this.getLancamentoLabel(sugestao.lancamento)}`;
+                    acoes += `
+                        <button class="btn btn-sm btn-primary" onclick="App.confirmarConciliacao('${t.id}', '${sugestao.lancamento.tipo}', '${sugestao.lancamento.id}')" title="Confirmar">
+                            <i class="fas fa-check"></i>
+                        </button>
+                    `;
+                } else if (regra) {
+                    lancamento = `<span class="text-muted">Regra: ${DataManager.CATEGORIAS_DESPESA[regra.categoria] ? DataManager.CATEGORIAS_DESPESA[regra.categoria].label : regra.categoria}</span>`;
+                }
+
+                if (t.valor < 0) {
+                    acoes += `
+                        <button class="btn btn-sm btn-secondary" onclick="App.showDespesaFromTransacaoForm('${t.id}')" title="Criar despesa">
+                            <i class="fas fa-plus"></i>
+                        </button>
+                    `;
+                }
+                acoes += `
+                    <button class="btn btn-sm btn-secondary" onclick="App.ignorarTransacao('${t.id}')" title="Ignorar">
+                        <i class="fas fa-eye-slash"></i>
+                    </button>
+                `;
+            }
+
+            return `
+                <tr>
+                    <td>${Utils.formatDate(t.data)}</td>
+                    <td>${Utils.escapeHtml(t.descricao || '-')}</td>
+                    <td class="text-right ${t.valor < 0 ? 'text-danger' : 'text-success'}">${Utils.formatCurrency(t.valor)}</td>
+                    <td>${lancamento}</td>
+                    <td class="table-actions">${acoes}</td>
+                </tr>
+            `;
+        }).join('');
+    },
+
+    /**
+     * Load reconciliation status per statement month
+     */
+    loadConciliacaoStatus() {
+        const tbody = document.getElementById('conciliacao-status-tbody');
+        if (!tbody) return;
+
+        const meses = DataManager.getConciliacaoMensal().reverse();
+
+        if (meses.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="8" class="text-center text-muted">Importe um extrato OFX ou CSV para começar</td></tr>';
+            return;
+        }
+
+        const statusBadges = {
+            'conciliado': '<span class="badge badge-success">Conciliado</span>',
+            'parcial': '<span class="badge badge-warning">Parcial</span>',
+            'pendente': '<span class="badge badge-danger">Pendente</span>'
+        };
+
+        tbody.innerHTML = meses.map(m => {
+            const [year, month] = m.mes.split('-');
+            return `
+                <tr>
+                    <td><strong>${Utils.getMonthName(parseInt(month) - 1)} ${year}</strong></td>
+                    <td>${m.total}</td>
+                    <td class="text-success">${Utils.formatCurrency(m.creditos)}</td>
+                    <td class="text-danger">${Utils.formatCurrency(m.debitos)}</td>
+                    <td>${m.conciliadas}</td>
+                    <td>${m.ignoradas}</td>
+                    <td>${m.pendentes}</td>
+                    <td>${statusBadges[m.status]}</td>
+                </tr>
+            `;
+        }).join('');
+    },
+
+    /**
+     * Describe the receita or despesa a transaction is linked to
+     * @param {Object} ref - {tipo, id} or a lançamento from getLancamentosConciliaveis
+     */
+    getLancamentoLabel(ref) {
+        if (!ref) return '-';
+
+        if (ref.tipo === 'receita') {
+            const receita = DataManager.getReceitaById(ref.id);
+            return receita
+                ? `Receita: ${Utils.escapeHtml(receita.hospede || '-')} (${this.PLATAFORMAS[receita.plataforma] || '-'}, check-in ${Utils.formatDate(receita.dataCheckIn)})`
+                : 'Receita removida';
+        }
+
+        const despesa = DataManager.getDespesaById(ref.id);
+        return despesa
+            ? `Despesa: ${Utils.escapeHtml(despesa.descricao || '-')} (${Utils.formatDate(despesa.data)})`
+            : 'Despesa removida';
+    },
+
+    getDesfazerConciliacaoButton(transacaoId) {
+        return `
+            <button class="btn btn-sm btn-secondary" onclick="App.desfazerConciliacao('${transacaoId}')" title="Desfazer">
+                <i class="fas fa-undo"></i>
+            </button>
+        `;
+    },
+
+    /**
+     * Confirm a suggested match
+     */
+    confirmarConciliacao(transacaoId, tipo, lancamentoId) {
+        DataManager.conciliarTransacao(transacaoId, tipo, lancamentoId);
+        Utils.showToast('Transação conciliada!', 'success');
+        this.loadConciliacao();
+    },
+
+    /**
+     * Set a transaction aside
+     */
+    ignorarTransacao(transacaoId) {
+        DataManager.setStatusTransacao(transacaoId, 'ignorado');
+        this.loadConciliacao();
+    },
+
+    /**
+     * Return a transaction to pending
+     */
+    desfazerConciliacao(transacaoId) {
+        DataManager.setStatusTransacao(transacaoId, 'pendente');
+        this.loadConciliacao();
+    },
+
+    /**
+     * Show the form to create a despesa from an unmatched debit, prefilled
+     * by the first matching category rule
+     */
+    showDespesaFromTransacaoForm(transacaoId) {
+        const transacao = DataManager.getTransacaoBancariaById(transacaoId);
+        if (!transacao) return;
+
+        const regra = Importers.findCategoryRule(transacao.descricao, DataManager.getRegrasCategoria()) || {};
+        const imoveis = DataManager.getImoveis();
+
+        const formHtml = `
+            <p class="text-muted">
+                ${Utils.formatDate(transacao.data)} — ${Utils.formatCurrency(Math.abs(transacao.valor))}
+            </p>
+            <div class="form-group">
+                <label class="form-label required">Descrição</label>
+                <input type="text" name="descricao" class="form-input" value="${Utils.escapeHtml(transacao.descricao || '')}" required>
+            </div>
+            <div class="form-row">
+                <div class="form-group">
+                    <label class="form-label required">Categoria</label>
+                    <select name="categoria" class="form-select" required>
+                        <option value="">Selecione uma categoria</option>
+                        ${Object.entries(DataManager.CATEGORIAS_DESPESA).map(([value, cat]) => `
+                            <option value="${value}" ${regra.categoria === value ? 'selected' : ''}>${cat.label}</option>
+                        `).join('')}
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label class="form-label">Imóvel</label>
+                    <select name="imovelId" class="form-select">
+                        <option value="">Portfólio (sem imóvel específico)</option>
+                        ${imoveis.map(i => `
+                            <option value="${i.id}" ${regra.imovelId === i.id ? 'selected' : ''}>${Utils.escapeHtml(i.nome)}</option>
+                        `).join('')}
+                    </select>
+                </div>
+            </div>
+        `;
+
+        Utils.showModal(
+            'Criar Despesa do Extrato',
+            `<form id="despesa-extrato-form">${formHtml}</form>`,
+            [
+                { text: 'Cancelar', class: 'btn-secondary' },
+                {
+                    text: 'Criar Despesa',
+                    class: 'btn-primary',
+                    closeOnClick: false,
+                    onClick: () => this.saveDespesaFromTransacao(transacaoId)
+                }
+            ]
+        );
+    },
+
+    /**
+     * Save the despesa created from a debit and link it
+     */
+    saveDespesaFromTransacao(transacaoId) {
+        const formData = Forms.getFormData('despesa-extrato-form');
+
+        const validation = Forms.validate(formData, {
+            descricao: { required: true },
+            categoria: { required: true }
+        });
+
+        if (!validation.valid) {
+            Forms.showErrors('despesa-extrato-form', validation.errors);
+            return;
+        }
+
+        DataManager.criarDespesaDeTransacao(transacaoId, formData);
+        Utils.showToast('Despesa criada e conciliada!', 'success');
+        Utils.closeModal();
+        this.loadConciliacao();
+    },
+
+    /**
+     * Create despesas for pending debits with no suggested match whose
+     * description matches a category rule
+     */
+    aplicarRegrasCategoria() {
+        const regras = DataManager.getRegrasCategoria();
+        if (regras.length === 0) {
+            Utils.showToast('Cadastre regras de categoria primeiro', 'warning');
+            return;
+        }
+
+        const sugestoes = DataManager.getSugestoesConciliacao();
+        const candidatas = DataManager.getTransacoesBancarias()
+            .filter(t => t.status === 'pendente' && t.valor < 0 && !sugestoes[t.id])
+            .map(t => ({ transacao: t, regra: Importers.findCategoryRule(t.descricao, regras) }))
+            .filter(c => c.regra);
+
+        if (candidatas.length === 0) {
+            Utils.showToast('Nenhum débito pendente corresponde às regras', 'info');
+            return;
+        }
+
+        Utils.showConfirm(
+            'Aplicar Regras de Categoria',
+            `Criar ${candidatas.length} despesas a partir de débitos sem correspondência?`,
+            () => {
+                candidatas.forEach(({ transacao, regra }) => {
+                    DataManager.criarDespesaDeTransacao(transacao.id, { categoria: regra.categoria, imovelId: regra.imovelId });
+                });
+                Utils.showToast(`${candidatas.length} despesas criadas!`, 'success');
+                this.loadConciliacao();
+            }
+        );
+    },
+
+    /**
+     * Manage the description -> category rules used for unmatched debits
+     */
+    gerenciarRegrasCategoria() {
+        const regras = DataManager.getRegrasCategoria();
+        const imoveis = DataManager.getImoveis();
+        const imoveisMap = {};
+        imoveis.forEach(im => {
+            imoveisMap[im.id] = im;
+        });
+
+        const html = `
+            <div class="form">
+                <div class="table-responsive" style="max-height: 300px; overflow-y: auto;">
+                    <table class="table">
+                        <thead>
+                            <tr>
+                                <th>Descrição contém</th>
+                                <th>Categoria</th>
+                                <th>Imóvel</th>
+                                <th>Ações</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${regras.length === 0 ? '<tr><td colspan="4" class="text-center text-muted">Nenhuma regra cadastrada</td></tr>' : ''}
+                            ${regras.map((r, index) => `
+                                <tr>
+                                    <td>${Utils.escapeHtml(r.padrao)}</td>
+                                    <td>${DataManager.CATEGORIAS_DESPESA[r.categoria] ? DataManager.CATEGORIAS_DESPESA[r.categoria].label : '-'}</td>
+                                    <td>${imoveisMap[r.imovelId] ? Utils.escapeHtml(imoveisMap[r.imovelId].nome) : 'Portfólio'}</td>
+                                    <td>
+                                        <button class="btn btn-sm btn-danger" onclick="App.removerRegraCategoria(${index})">
+                                            <i class="fas fa-trash"></i>
+                                        </button>
+                                    </td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+
+                <div class="card" style="margin-top: 1rem; padding: 1rem; background: var(--card-background);">
+                    <h4 style="margin-bottom: 1rem;">Nova Regra</h4>
+                    <form id="add-regra-form">
+                        <div class="form-group">
+                            <label class="form-label required">Descrição contém</label>
+                            <input type="text" name="padrao" class="form-input" placeholder="Ex: ENEL, SABESP, CONDOMINIO">
+                        </div>
+                        <div class="form-row">
+                            <div class="form-group">
+                                <label class="form-label required">Categoria</label>
+                                <select name="categoria" class="form-select">
+                                    <option value="">Selecione uma categoria</option>
+                                    ${Object.entries(DataManager.CATEGORIAS_DESPESA).map(([value, cat]) => `
+                                        <option value="${value}">${cat.label}</option>
+                                    `).join('')}
+                                </select>
+                            </div>
+                            <div class="form-group">
+                                <label class="form-label">Imóvel</label>
+                                <select name="imovelId" class="form-select">
+                                    <option value="">Portfólio (sem imóvel específico)</option>
+                                    ${imoveis.map(i => `
+                                        <option value="${i.id}">${Utils.escapeHtml(i.nome)}</option>
+                                    `).join('')}
+                                </select>
+                            </div>
+                        </div>
+                        <button type="submit" class="btn btn-primary" style="width: 100%;">
+                            <i class="fas fa-plus"></i> Adicionar Regra
+                        </button>
+                    </form>
+                </div>
+            </div>
+        `;
+
+        Utils.showModal('Regras de Categoria', html, [{ text: 'Fechar', class: 'btn-secondary' }]);
+
+        // Add form handler
+        setTimeout(() => {
+            const form = document.getElementById('add-regra-form');
+            if (form) {
+                form.onsubmit = (e) => {
+                    e.preventDefault();
+                    const formData = Forms.getFormData('add-regra-form');
+
+                    if (!formData.padrao || !formData.categoria) {
+                        Utils.showToast('Preencha descrição e categoria', 'error');
+                        return;
+                    }
+
+                    DataManager.saveRegrasCategoria([...regras, {
+                        padrao: formData.padrao.trim(),
+                        categoria: formData.categoria,
+                        imovelId: formData.imovelId || ''
+                    }]);
+                    Utils.showToast('Regra adicionada!', 'success');
+
+                    // Reload modal
+                    Utils.closeModal();
+                    setTimeout(() => this.gerenciarRegrasCategoria(), 300);
+                    this.loadConciliacao();
+                };
+            }
+        }, 100);
+    },
+
+    /**
+     * Remove a category rule
+     */
+    removerRegraCategoria(index) {
+        const regras = DataManager.getRegrasCategoria();
+        regras.splice(index, 1);
+        DataManager.saveRegrasCategoria(regras);
+        Utils.showToast('Regra removida!', 'success');
+
+        // Reload modal
+        Utils.closeModal();
+        setTimeout(() => this.gerenciarRegrasCategoria(), 300);
+        this.loadConciliacao();
+    },
+
+    initValorizacao() {
+        const addBtn = document.getElementById('add-avaliacao');
+        if (addBtn) {
+            addBtn.addEventListener('click', () => this.showAvaliacaoForm());
+        }
+
+        const filtro = document.getElementById('avaliacoes-imovel');
+        if (filtro) {
+            filtro.innerHTML += DataManager.getImoveis()
+                .map(i => `<option value="${i.id}">${Utils.escapeHtml(i.nome)}</option>`)
+                .join('');
+            filtro.addEventListener('change', () => this.loadAvaliacoesList());
+        }
+
+        const serie = document.getElementById('indice-serie');
+        if (serie) {
+            serie.addEventListener('change', () => this.loadIndicesList());
+        }
+
+        const cidade = document.getElementById('indice-cidade');
+        if (cidade) {
+            cidade.addEventListener('change', () => this.loadIndicesList());
+        }
+
+        const addIndiceBtn = document.getElementById('add-indice');
+        if (addIndiceBtn) {
+            addIndiceBtn.addEventListener('click', () => this.showIndiceForm());
+        }
+
+        const importBtn = document.getElementById('import-indices');
+        const fileInput = document.getElementById('indices-file');
+        if (importBtn && fileInput) {
+            importBtn.addEventListener('click', () => fileInput.click());
+            fileInput.addEventListener('change', (e) => {
+                this.importIndices(e.target.files[0]);
+                e.target.value = '';
+            });
+        }
+
+        this.loadValorizacao();
+    },
+
+    /**
+     * Render appreciation summary, table, value chart and valuation history
+     */
+    loadValorizacao() {
+        const imoveis = DataManager.getImoveis();
+        const avaliacoes = imoveis.map(imovel => {
+            const estimativa = DataManager.getImovelIndexedValue(imovel);
+            return {
+                imovel,
+                ...DataManager.getImovelValuation(imovel),
+                estimativa: estimativa && estimativa.ultimoMes ? estimativa : null
+            };
+        });
+
+        const summary = document.getElementById('valorizacao-summary');
+        if (summary) {
+            const custo = avaliacoes.reduce((sum, a) => sum + a.custo, 0);
+            const valor = avaliacoes.reduce((sum, a) => sum + a.valor, 0);
+            const divida = avaliacoes.reduce((sum, a) => sum + a.divida, 0);
+            const estimado = avaliacoes.reduce((sum, a) => sum + (a.estimativa ? a.estimativa.valor : a.valor), 0);
+
+            summary.innerHTML = [
+                ['Custo Total', Utils.formatCurrency(custo)],
+                ['Valor de Mercado', Utils.formatCurrency(valor)],
+                ...(avaliacoes.some(a => a.estimativa) ? [['Valor Estimado (índices)', Utils.formatCurrency(estimado)]] : []),
+                ['Valorização', `${Utils.formatCurrency(valor - custo)} (${Utils.formatPercent(custo > 0 ? (valor - custo) / custo : 0)})`],
+                ['Patrimônio Líquido', Utils.formatCurrency(valor - divida)],
+                ['LTV', Utils.formatPercent(valor > 0 ? divida / valor : 0)]
+            ].map(([label, value]) => `
+                <div class="financial-item">
+                    <div class="financial-value">${value}</div>
+                    <div class="financial-label">${label}</div>
+                </div>
+            `).join('');
+        }
+
+        const tbody = document.getElementById('valorizacao-tbody');
+        if (tbody) {
+            if (imoveis.length === 0) {
+                tbody.innerHTML = '<tr><td colspan="10" class="text-center text-muted">Nenhum imóvel cadastrado</td></tr>';
+            } else {
+                const classe = value => value >= 0 ? 'text-success' : 'text-danger';
+
+                tbody.innerHTML = avaliacoes.map(a => `
+                    <tr>
+                        <td>
+                            ${Utils.escapeHtml(a.imovel.nome)}
+                            ${a.ultimaAvaliacao
+                                ? `<br><small class="text-muted">${this.TIPOS_AVALIACAO[a.ultimaAvaliacao.tipo] || 'Avaliação'} em ${Utils.formatDate(a.ultimaAvaliacao.data)}</small>`
+                                : ''}
+                        </td>
+                        <td>${Utils.formatCurrency(a.custo)}</td>
+                        <td>${Utils.formatCurrency(a.valor)}</td>
+                        <td>${this.getEstimativaCell(a.imovel, a.estimativa)}</td>
+                        <td class="${classe(a.valorizacao)}">${Utils.formatCurrency(a.valorizacao)}</td>
+                        <td class="${classe(a.valorizacaoPercent)}">${Utils.formatPercent(a.valorizacaoPercent)}</td>
+                        <td class="${classe(a.anualizado)}">${Utils.formatPercent(a.anualizado)}</td>
+                        <td>${Utils.formatCurrency(a.divida)}</td>
+                        <td class="${classe(a.equity)}">${Utils.formatCurrency(a.equity)}</td>
+                        <td>${Utils.formatPercent(a.ltv)}</td>
+                    </tr>
+                `).join('');
+            }
+        }
+
+        const series = imoveis
+            .map(imovel => ({ name: imovel.nome, pontos: DataManager.getImovelValueHistory(imovel) }))
+            .filter(s => s.pontos.length > 0);
+        Charts.createPropertyValueChart('valorizacao-chart', series, {
+            ...this.TIPOS_AVALIACAO,
+            aquisicao: 'Valor de compra'
+        });
+
+        this.loadAvaliacoesList();
+        this.loadIndicesList();
+    },
+
+    /**
+     * Render the index-based estimate of an imóvel, flagged as such
+     * @param {Object} imovel - Imóvel record
+     * @param {Object|null} estimativa - DataManager.getImovelIndexedValue result
+     * @returns {string} Cell HTML
+     */
+    getEstimativaCell(imovel, estimativa) {
+        if (!imovel.indiceAtualizacao) {
+            return '<span class="text-muted">-</span>';
+        }
+
+        const indice = DataManager.INDICES[imovel.indiceAtualizacao];
+        if (indice.porCidade && !imovel.cidade) {
+            return `<small class="text-muted">Informe a cidade do imóvel para usar ${indice.label}</small>`;
+        }
+
+        const nome = `${indice.label}${indice.porCidade ? ` ${Utils.escapeHtml(imovel.cidade)}` : ''}`;
+        if (!estimativa) {
+            return `<small class="text-muted">Sem dados de ${nome} após a última avaliação</small>`;
+        }
+
+        const [ano, mes] = estimativa.ultimoMes.split('-');
+        return `
+            ${Utils.formatCurrency(estimativa.valor)} <span class="badge badge-warning">Estimativa</span>
+            <br><small class="text-muted">${nome} até ${mes}/${ano} (${Utils.formatPercent(estimativa.fator - 1)})</small>
+            ${estimativa.faltantes > 0
+                ? `<br><small class="text-danger">${estimativa.faltantes} ${estimativa.faltantes === 1 ? 'mês' : 'meses'} sem dados no período</small>`
+                : ''}
+        `;
+    },
+
+    /**
+     * Render the monthly series of the selected index (and city)
+     */
+    loadIndicesList() {
+        const tbody = document.getElementById('indices-tbody');
+        if (!tbody) return;
+
+        const indice = document.getElementById('indice-serie').value;
+        const cidadeInput = document.getElementById('indice-cidade');
+        const porCidade = DataManager.INDICES[indice].porCidade;
+
+        cidadeInput.style.display = porCidade ? '' : 'none';
+        document.getElementById('indice-cidades').innerHTML = DataManager.getCidadesIndice(indice)
+            .map(c => `<option value="${Utils.escapeHtml(c)}">`)
+            .join('');
+
+        if (porCidade && !cidadeInput.value.trim()) {
+            tbody.innerHTML = '<tr><td colspan="4" class="text-center text-muted">Informe a cidade da série</td></tr>';
+            return;
+        }
+
+        const cidade = porCidade ? cidadeInput.value : '';
+        const serie = DataManager.getSerieIndice(indice, cidade).reverse();
+
+        if (serie.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="4" class="text-center text-muted">Nenhum mês cadastrado para esta série</td></tr>';
+            return;
+        }
+
+        tbody.innerHTML = serie.map(registro => {
+            const inicio = Utils.formatDateInput(Utils.addMonths(Utils.parseDate(`${registro.mes}-01`), -12));
+            const acumulado = DataManager.getIndexFactor(indice, cidade, inicio, `${registro.mes}-01`);
+            const [ano, mes] = registro.mes.split('-');
+
+            return `
+                <tr>
+                    <td>${mes}/${ano}</td>
+                    <td class="${registro.variacao >= 0 ? 'text-success' : 'text-danger'}">${Utils.formatPercent(registro.variacao)}</td>
+                    <td>${acumulado.meses === 12 ? Utils.formatPercent(acumulado.fator - 1) : '-'}</td>
+                    <td class="table-actions">
+                        <button class="btn btn-sm btn-secondary" onclick="App.showIndiceForm('${registro.id}')">
+                            <i class="fas fa-edit"></i>
+                        </button>
+                        <button class="btn btn-sm btn-danger" onclick="App.deleteIndice('${registro.id}')">
+                            <i class="fas fa-trash"></i>
+                        </button>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+    },
+
+    /**
+     * Show monthly index variation form
+     */
+    showIndiceForm(indiceId = null) {
+        const registro = indiceId ? DataManager.getIndiceById(indiceId) : {};
+        const isEdit = !!indiceId;
+        const indice = registro.indice || document.getElementById('indice-serie').value;
+        const cidade = registro.cidade || document.getElementById('indice-cidade').value;
+
+        const formHtml = `
+            <div class="form-row">
+                <div class="form-group">
+                    <label class="form-label required">Índice</label>
+                    <select name="indice" class="form-select" required>
+                        ${Object.entries(DataManager.INDICES).map(([key, i]) => `
+                            <option value="${key}" ${indice === key ? 'selected' : ''}>${i.label}</option>
+                        `).join('')}
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label class="form-label">Cidade</label>
+                    <input type="text" name="cidade" class="form-input" value="${Utils.escapeHtml(cidade || '')}">
+                    <small class="text-muted">Somente para índices por cidade (FipeZap)</small>
+                </div>
+            </div>
+
+            <div class="form-row">
+                <div class="form-group">
+                    <label class="form-label required">Mês</label>
+                    <input type="month" name="mes" class="form-input" value="${registro.mes || Utils.getCurrentDate().slice(0, 7)}" required>
+                </div>
+                <div class="form-group">
+                    <label class="form-label required">Variação Mensal (%)</label>
+                    <input type="number" name="variacao" class="form-input" value="${registro.variacao !== undefined ? +(registro.variacao * 100).toFixed(4) : ''}" step="0.0001" required>
+                </div>
+            </div>
+        `;
+
+        Utils.showModal(
+            isEdit ? 'Editar Índice' : 'Adicionar Mês',
+            `<form id="indice-form">${formHtml}</form>`,
+            [
+                { text: 'Cancelar', class: 'btn-secondary' },
+                {
+                    text: 'Salvar',
+                    class: 'btn-primary',
+                    closeOnClick: false,
+                    onClick: () => this.saveIndice(indiceId)
+                }
+            ]
+        );
+    },
+
+    /**
+     * Save monthly index variation
+     */
+    saveIndice(indiceId) {
+        const formData = Forms.getFormData('indice-form');
+
+        const validation = Forms.validate(formData, {
+            indice: { required: true },
+            cidade: { required: !!(DataManager.INDICES[formData.indice] || {}).porCidade },
+            mes: { required: true },
+            variacao: { required: true, type: 'number' }
+        });
+
+        if (!validation.valid) {
+            Forms.showErrors('indice-form', validation.errors);
+            return;
+        }
+
+        const existing = indiceId ? DataManager.getIndiceById(indiceId) : {};
+
+        DataManager.saveIndice({
+            ...existing,
+            ...formData,
+            id: indiceId,
+            variacao: parseFloat(formData.variacao) / 100
+        });
+        Utils.showToast('Índice salvo com sucesso!', 'success');
+        Utils.closeModal();
+        this.loadValorizacao();
+    },
+
+    /**
+     * Delete monthly index variation
+     */
+    deleteIndice(id) {
+        const registro = DataManager.getIndiceById(id);
+        if (!registro) return;
+
+        Utils.showConfirm(
+            'Excluir Índice',
+            `Tem certeza que deseja excluir ${DataManager.INDICES[registro.indice].label} de ${registro.mes.split('-').reverse().join('/')}?`,
+            () => {
+                DataManager.deleteIndice(id);
+                Utils.showToast('Índice excluído com sucesso!', 'success');
+                this.loadValorizacao();
+            }
+        );
+    },
+
+    /**
+     * Read a CSV of monthly index variations into the index tables
+     */
+    importIndices(file) {
+        if (!file) return;
+
+        const indice = document.getElementById('indice-serie').value;
+        const cidade = document.getElementById('indice-cidade').value.trim();
+
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            try {
+                const registros = Importers.parseIndexSeries(e.target.result, DataManager.INDICES, indice, cidade);
+                const semCidade = registros.filter(r => DataManager.INDICES[r.indice].porCidade && !r.cidade);
+                if (semCidade.length > 0) {
+                    throw new Error('Informe a cidade da série FipeZap (ou inclua uma coluna "cidade" no arquivo)');
+                }
+
+                const { novos, atualizados } = DataManager.importIndices(registros);
+                Utils.showToast(
+                    `${novos} meses importados${atualizados > 0 ? ` (${atualizados} atualizados)` : ''}`,
+                    'success'
+                );
+                this.loadValorizacao();
+            } catch (error) {
+                Utils.showToast(error.message, 'error');
+            }
+        };
+        reader.readAsText(file);
+    },
+
+    /**
+     * Render valuation snapshots, newest first, with the change from the
+     * previous snapshot of the same imóvel
+     */
+    loadAvaliacoesList() {
+        const tbody = document.getElementById('avaliacoes-tbody');
+        if (!tbody) return;
+
+        const filtro = document.getElementById('avaliacoes-imovel');
+        const imovelId = filtro ? filtro.value : '';
+        const imoveis = DataManager.getImoveis().filter(i => !imovelId || i.id === imovelId);
+
+        const linhas = imoveis.flatMap(imovel => DataManager.getImovelValueHistory(imovel).map((ponto, i, pontos) => ({
+            imovel,
+            ponto,
+            anterior: i > 0 ? pontos[i - 1].valor : null
+        })))
+            .filter(l => l.ponto.tipo !== 'aquisicao')
+            .sort((a, b) => b.ponto.data.localeCompare(a.ponto.data));
+
+        if (linhas.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="7" class="text-center text-muted">Nenhuma avaliação registrada</td></tr>';
+            return;
+        }
+
+        const snapshots = DataManager.getPatrimonio();
+
+        tbody.innerHTML = linhas.map(({ imovel, ponto, anterior }) => {
+            const avaliacao = snapshots.find(p => p.imovelId === imovel.id && p.data === ponto.data);
+            const variacao = anterior ? (ponto.valor - anterior) / anterior : null;
+
+            return `
+                <tr>
+                    <td>${Utils.formatDate(ponto.data)}</td>
+                    <td>${Utils.escapeHtml(imovel.nome)}</td>
+                    <td>${this.TIPOS_AVALIACAO[ponto.tipo] || '-'}</td>
+                    <td>${Utils.escapeHtml(avaliacao.fonte || '-')}</td>
+                    <td>${Utils.formatCurrency(ponto.valor)}</td>
+                    <td class="${variacao === null ? '' : variacao >= 0 ? 'text-success' : 'text-danger'}">
+                        ${variacao === null ? '-' : Utils.formatPercent(variacao)}
+                    </td>
+                    <td class="table-actions">
+                        <button class="btn btn-sm btn-secondary" onclick="App.showAvaliacaoForm('${avaliacao.id}')">
+                            <i class="fas fa-edit"></i>
+                        </button>
+                        <button class="btn btn-sm btn-danger" onclick="App.deleteAvaliacao('${avaliacao.id}')">
+                            <i class="fas fa-trash"></i>
+                        </button>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+    },
+
+    /**
+     * Show valuation snapshot form
+     */
+    showAvaliacaoForm(avaliacaoId = null) {
+        const avaliacao = avaliacaoId ? DataManager.getPatrimonioById(avaliacaoId) : {};
+        const isEdit = !!avaliacaoId;
+        const imoveis = DataManager.getImoveis();
+
+        const filtro = document.getElementById('avaliacoes-imovel');
+        const imovelId = avaliacao.imovelId || (filtro ? filtro.value : '');
+
+        const formHtml = `
+            <div class="form-group">
+                <label class="form-label required">Imóvel</label>
+                <select name="imovelId" class="form-select" required>
+                    <option value="">Selecione um imóvel</option>
+                    ${imoveis.map(i => `
+                        <option value="${i.id}" ${imovelId === i.id ? 'selected' : ''}>${Utils.escapeHtml(i.nome)}</option>
+                    `).join('')}
+                </select>
+            </div>
+
+            <div class="form-row">
+                <div class="form-group">
+                    <label class="form-label required">Data</label>
+                    <input type="date" name="data" class="form-input" value="${Utils.formatDateInput(avaliacao.data || new Date())}" required>
+                </div>
+                <div class="form-group">
+                    <label class="form-label required">Tipo</label>
+                    <select name="tipo" class="form-select" required>
+                        ${Object.entries(this.TIPOS_AVALIACAO).map(([key, label]) => `
+                            <option value="${key}" ${avaliacao.tipo === key ? 'selected' : ''}>${label}</option>
+                        `).join('')}
+                    </select>
+                </div>
+            </div>
+
+            <div class="form-row">
+                <div class="form-group">
+                    <label class="form-label required">Valor de Mercado</label>
+                    <input type="number" name="valor" class="form-input" value="${avaliacao.valor || ''}" min="0" step="0.01" required>
+                </div>
+                <div class="form-group">
+                    <label class="form-label">Fonte</label>
+                    <input type="text" name="fonte" class="form-input" value="${Utils.escapeHtml(avaliacao.fonte || '')}" placeholder="Avaliador, imobiliária, índice...">
+                </div>
+            </div>
+
+            <div class="form-group">
+                <label class="form-label">Observações</label>
+                <textarea name="observacoes" class="form-textarea">${Utils.escapeHtml(avaliacao.observacoes || '')}</textarea>
+            </div>
+        `;
+
+        Utils.showModal(
+            isEdit ? 'Editar Avaliação' : 'Registrar Avaliação',
+            `<form id="avaliacao-form">${formHtml}</form>`,
+            [
+                { text: 'Cancelar', class: 'btn-secondary' },
+                {
+                    text: 'Salvar',
+                    class: 'btn-primary',
+                    closeOnClick: false,
+                    onClick: () => this.saveAvaliacao(avaliacaoId)
+                }
+            ]
+        );
+    },
+
+    /**
+     * Save valuation snapshot
+     */
+    saveAvaliacao(avaliacaoId) {
+        const formData = Forms.getFormData('avaliacao-form');
+
+        const validation = Forms.validate(formData, {
+            imovelId: { required: true },
+            data: {
+                required: true,
+                type: 'date',
+                custom: (value, data) => {
+                    const imovel = DataManager.getImovelById(data.imovelId);
+                    if (imovel && imovel.dataAquisicao && value < imovel.dataAquisicao) {
+                        return 'A data não pode ser anterior à aquisição do imóvel';
+                    }
+                    const duplicada = DataManager.getPatrimonioByImovel(data.imovelId)
+                        .some(p => p.data === value && p.id !== avaliacaoId);
+                    return !duplicada || 'Já existe uma avaliação deste imóvel nesta data';
+                }
+            },
+            tipo: { required: true },
+            valor: { required: true, type: 'number', positive: true }
+        });
+
+        if (!validation.valid) {
+            Forms.showErrors('avaliacao-form', validation.errors);
+            return;
+        }
+
+        const existing = avaliacaoId ? DataManager.getPatrimonioById(avaliacaoId) : {};
+
+        DataManager.savePatrimonio({
+            ...existing,
+            ...formData,
+            id: avaliacaoId,
+            valor: parseFloat(formData.valor) || 0
+        });
+        Utils.showToast('Avaliação salva com sucesso!', 'success');
+        Utils.closeModal();
+        this.loadValorizacao();
+    },
+
+    /**
+     * Delete valuation snapshot
+     */
+    deleteAvaliacao(id) {
+        const avaliacao = DataManager.getPatrimonioById(id);
+        if (!avaliacao) return;
+
+        Utils.showConfirm(
+            'Excluir Avaliação',
+            `Tem certeza que deseja excluir a avaliação de ${Utils.formatDate(avaliacao.data)} (${Utils.formatCurrency(avaliacao.valor)})?`,
+            () => {
+                DataManager.deletePatrimonio(id);
+                Utils.showToast('Avaliação excluída com sucesso!', 'success');
+                this.loadValorizacao();
+            }
+        );
+    },
+
+    initProjecao() {
+        const tbody = document.getElementById('projecao-tbody');
+        if (tbody) {
+            tbody.innerHTML = '<tr><td colspan="7" class="text-center text-muted">Configure as premissas e visualize a projeção</td></tr>';
+        }
+
+        this.loadPremissasForm();
+
+        const saveBtn = document.getElementById('update-premissas');
+        if (saveBtn) {
+            saveBtn.addEventListener('click', () => this.savePremissas());
+        }
+
+        this.loadProjecao();
+    },
+
+    /**
+     * Render the editable premissas form (one column per year)
+     */
+    loadPremissasForm() {
+        const container = document.getElementById('premissas-form');
+        if (!container) return;
+
+        const { projecao } = DataManager.getConfiguracoes();
+
+        container.innerHTML = `
+            <form id="projecao-premissas-form">
+                <div class="table-container">
+                    <table>
+                        <thead>
+                            <tr>
+                                <th>Premissa</th>
+                                ${[1, 2, 3, 4, 5].map(ano => `<th>Ano ${ano}</th>`).join('')}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${this.PREMISSAS_ANUAIS.map(([key, label, percent]) => `
+                                <tr>
+                                    <td>${label}${percent ? ' (%)' : ''}</td>
+                                    ${projecao[key].map((value, i) => `
+                                        <td>
+                                            <input type="number" name="${key}_${i}" class="form-input"
+                                                value="${percent ? +(value * 100).toFixed(2) : value}"
+                                                step="${percent ? '0.1' : '1'}" ${percent ? '' : 'min="0"'}>
+                                        </td>
+                                    `).join('')}
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+                <div class="form-row mt-3">
+                    <div class="form-group">
+                        <label class="form-label required">Investimento por Novo Imóvel</label>
+                        <input type="number" name="investimentoPorImovel" class="form-input" value="${projecao.investimentoPorImovel}" min="0" step="0.01" required>
+                    </div>
+                </div>
+            </form>
+        `;
+    },
+
+    /**
+     * Save premissas to configurações and refresh the projection
+     */
+    savePremissas() {
+        const formData = Forms.getFormData('projecao-premissas-form');
+        const config = DataManager.getConfiguracoes();
+        const projecao = { ...config.projecao };
+
+        for (const [key, label, percent] of this.PREMISSAS_ANUAIS) {
+            const values = [0, 1, 2, 3, 4].map(i => parseFloat(formData[`${key}_${i}`]));
+            if (values.some(isNaN)) {
+                Utils.showToast(`Preencha todos os anos de "${label}"`, 'error');
+                return;
+            }
+            projecao[key] = percent ? values.map(v => v / 100) : values.map(v => Math.max(0, Math.round(v)));
+        }
+
+        const investimento = parseFloat(formData.investimentoPorImovel);
+        if (isNaN(investimento) || investimento < 0) {
+            Utils.showToast('Informe um investimento por imóvel válido', 'error');
+            return;
+        }
+        projecao.investimentoPorImovel = investimento;
+
+        DataManager.saveConfiguracoes({ ...config, projecao });
+        Utils.showToast('Premissas salvas com sucesso!', 'success');
+        this.loadProjecao();
+    },
+
+    /**
+     * Render projection table and chart
+     */
+    loadProjecao() {
+        const tbody = document.getElementById('projecao-tbody');
+        if (!tbody) return;
+
+        const { base, anos } = DataManager.getProjectionData();
+
+        if (base.unidades === 0 && anos.every(ano => ano.unidades === 0)) {
+            tbody.innerHTML = '<tr><td colspan="7" class="text-center text-muted">Cadastre imóveis ativos para projetar</td></tr>';
+            return;
+        }
+
+        const rows = [
+            ['Unidades', base.unidades, anos.map(a => a.unidades), v => v],
+            ['Taxa de Ocupação', base.ocupacao, anos.map(a => a.ocupacao), v => Utils.formatPercent(v, 1)],
+            ['Diária Média', base.diariaMedia, anos.map(a => a.diariaMedia), v => Utils.formatCurrency(v)],
+            ['Receita Bruta', base.receitaBruta, anos.map(a => a.receita), v => Utils.formatCurrency(v)],
+            ['Despesas', base.despesas, anos.map(a => a.despesas), v => Utils.formatCurrency(v)],
+            ['EBITDA', base.ebitda, anos.map(a => a.ebitda), v => Utils.formatCurrency(v), true],
+            ['Serviço da Dívida', null, anos.map(a => a.servicoDivida), v => Utils.formatCurrency(v)],
+            ['Investimento em Novos Imóveis', null, anos.map(a => a.investimento), v => Utils.formatCurrency(v)],
+            ['Fluxo de Caixa Livre', null, anos.map(a => a.fcl), v => Utils.formatCurrency(v), true],
+            ['Valor dos Imóveis', null, anos.map(a => a.valorImoveis), v => Utils.formatCurrency(v)],
+            ['Patrimônio Líquido', null, anos.map(a => a.patrimonio), v => Utils.formatCurrency(v), true]
+        ];
+
+        tbody.innerHTML = rows.map(([label, baseValue, values, format, total]) => `
+            <tr>
+                <td>${total ? `<strong>${label}</strong>` : label}</td>
+                <td class="text-muted">${baseValue === null ? '-' : format(baseValue)}</td>
+                ${values.map(value => `
+                    <td class="${value < 0 ? 'text-danger' : ''}">${total ? `<strong>${format(value)}</strong>` : format(value)}</td>
+                `).join('')}
+            </tr>
+        `).join('');
+
+        Charts.createProjectionChart('projecao-chart', anos.map(a => ({
+            revenue: a.receita,
+            ebitda: a.ebitda,
+            profit: a.lucroLiquido
+        })));
+    },
+
+    initValuation() {
+        const dcf = document.getElementById('valuation-dcf');
+        if (dcf) {
+            dcf.innerHTML = '<p class="text-muted">Clique em "Calcular Valuation" para ver os resultados.</p>';
+        }
+
+        this.loadValuationParams();
+
+        const calcBtn = document.getElementById('calc-valuation');
+        if (calcBtn) {
+            calcBtn.addEventListener('click', () => this.calculateValuation());
+        }
+    },
+
+    /**
+     * Render valuation parameters form from configurações
+     */
+    loadValuationParams() {
+        const container = document.getElementById('valuation-params');
+        if (!container) return;
+
+        const { valuation } = DataManager.getConfiguracoes();
+
+        container.innerHTML = `
+            <form id="valuation-params-form">
+                <div class="form-row">
+                    <div class="form-group">
+                        <label class="form-label required">WACC (%)</label>
+                        <input type="number" name="wacc" class="form-input" value="${+(valuation.wacc * 100).toFixed(2)}" step="0.1" required>
+                    </div>
+                    <div class="form-group">
+                        <label class="form-label required">Crescimento Perpétuo (%)</label>
+                        <input type="number" name="crescimentoPerpetuo" class="form-input" value="${+(valuation.crescimentoPerpetuo * 100).toFixed(2)}" step="0.1" required>
+                    </div>
+                    <div class="form-group">
+                        <label class="form-label required">Múltiplo EV/EBITDA</label>
+                        <input type="number" name="multiploEbitda" class="form-input" value="${valuation.multiploEbitda}" min="0" step="0.1" required>
+                    </div>
+                </div>
+                <small class="text-muted">Os fluxos de caixa vêm da Projeção 5 Anos; os parâmetros são salvos ao calcular.</small>
+            </form>
+        `;
+    },
+
+    /**
+     * Calculate DCF, NAV and multiples valuations and reconcile them
+     */
+    calculateValuation() {
+        const formData = Forms.getFormData('valuation-params-form');
+
+        const validation = Forms.validate(formData, {
+            wacc: { required: true, type: 'number', positive: true },
+            crescimentoPerpetuo: {
+                required: true,
+                type: 'number',
+                custom: (value, data) => parseFloat(value) < parseFloat(data.wacc) || 'Crescimento perpétuo deve ser menor que o WACC'
+            },
+            multiploEbitda: { required: true, type: 'number', min: 0 }
+        });
+
+        if (!validation.valid) {
+            Forms.showErrors('valuation-params-form', validation.errors);
+            return;
+        }
+
+        const config = DataManager.getConfiguracoes();
+        const valuation = {
+            ...config.valuation,
+            wacc: parseFloat(formData.wacc) / 100,
+            crescimentoPerpetuo: parseFloat(formData.crescimentoPerpetuo) / 100,
+            multiploEbitda: parseFloat(formData.multiploEbitda)
+        };
+        DataManager.saveConfiguracoes({ ...config, valuation });
+
+        const { base, anos } = DataManager.getProjectionData();
+        const divida = DataManager.getTotalDebt();
+        const caixa = DataManager.getCashBalanceAtDate(Utils.getCurrentDate());
+        const valorImoveis = DataManager.getTotalPropertyValue();
+
+        const { dcf, equity: dcfEquity } = this.getDCFValuation(anos, valuation.wacc, valuation.crescimentoPerpetuo, divida, caixa);
+
+        const nav = Calculations.calculateNAV(valorImoveis + caixa, divida);
+
+        const multiploEV = base.ebitda * valuation.multiploEbitda;
+        const multiploEquity = Calculations.calculateEquityValue(multiploEV, divida, caixa);
+
+        this.renderValuationDCF(dcf, dcfEquity, anos, divida, caixa);
+        this.renderValuationNAV(nav, valorImoveis, caixa, divida, DataManager.getTotalIndexedPropertyValue());
+        this.renderValuationMultiples(base, valuation.multiploEbitda, multiploEV, multiploEquity, dcf.enterpriseValue);
+        this.renderValuationRange([
+            { label: 'DCF', value: dcfEquity },
+            { label: 'NAV', value: nav },
+            { label: `EV/EBITDA (${valuation.multiploEbitda}x)`, value: base.ebitda > 0 ? multiploEquity : null }
+        ]);
+        this.renderValuationSensitivity(anos, valuation, divida, caixa);
+        this.renderValuationTornado(dcfEquity, valuation, divida, caixa);
+    },
+
+    /**
+     * Value the projection by DCF. The perpetuity grows operating cash flow
+     * only; expansion capex of the explicit years is discounted on its own.
+     * @param {Array} anos - Projection years (DataManager.getProjectionData)
+     * @param {number} wacc - Discount rate
+     * @param {number} crescimento - Perpetual growth rate
+     * @param {number} divida - Total debt
+     * @param {number} caixa - Cash
+     * @returns {Object} {dcf, equity}; equity is null when the DCF is not valid
+     */
+    getDCFValuation(anos, wacc, crescimento, divida, caixa) {
+        const dcf = Calculations.calculateDCF(anos.map(ano => ano.fcff + ano.investimento), wacc, crescimento);
+        dcf.pvInvestimentos = anos.reduce((sum, ano) => sum + ano.investimento / Math.pow(1 + wacc, ano.ano), 0);
+
+        if (!dcf.valid) return { dcf, equity: null };
+
+        dcf.enterpriseValue -= dcf.pvInvestimentos;
+        return { dcf, equity: Calculations.calculateEquityValue(dcf.enterpriseValue, divida, caixa) };
+    },
+
+    /**
+     * Render DCF equity value for WACC (rows) × perpetual growth (columns)
+     * around the configured parameters
+     */
+    renderValuationSensitivity(anos, valuation, divida, caixa) {
+        const container = document.getElementById('valuation-sensitivity');
+        if (!container) return;
+
+        const waccs = [-0.02, -0.01, 0, 0.01, 0.02].map(delta => valuation.wacc + delta);
+        const crescimentos = [-0.01, -0.005, 0, 0.005, 0.01].map(delta => valuation.crescimentoPerpetuo + delta);
+
+        container.innerHTML = `
+            <div class="table-container">
+                <table>
+                    <thead>
+                        <tr>
+                            <th>WACC / g</th>
+                            ${crescimentos.map(g => `<th class="text-right">${Utils.formatPercent(g, 1)}</th>`).join('')}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${waccs.map((wacc, i) => `
+                            <tr>
+                                <td><strong>${Utils.formatPercent(wacc, 1)}</strong></td>
+                                ${crescimentos.map((g, j) => {
+                                    const { equity } = this.getDCFValuation(anos, wacc, g, divida, caixa);
+                                    const isBase = i === 2 && j === 2;
+                                    const value = equity === null ? '<span class="text-muted">n/a</span>' : Utils.formatCurrency(equity);
+                                    return `<td class="text-right ${equity !== null && equity < 0 ? 'text-danger' : ''}">${isBase ? `<strong>${value}</strong>` : value}</td>`;
+                                }).join('')}
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+            <p class="text-muted mt-2" style="font-size: 0.875rem;">
+                <i class="fas fa-info-circle"></i>
+                n/a: WACC menor ou igual ao crescimento perpétuo não produz valor terminal finito.
+            </p>
+        `;
+    },
+
+    /**
+     * Render tornado chart of DCF equity for occupancy (±10%), ADR (±10%)
+     * and cost inflation (±2 p.p.)
+     */
+    renderValuationTornado(baseEquity, valuation, divida, caixa) {
+        // Clear the tornado left from an earlier valid DCF
+        if (baseEquity === null) {
+            Charts.destroy('valuation-tornado');
+            return;
+        }
+
+        const premissas = DataManager.getConfiguracoes().projecao;
+        const equityFor = (overrides, ajustes) => {
+            const { anos } = DataManager.getProjectionData({ ...premissas, ...overrides }, ajustes);
+            return this.getDCFValuation(anos, valuation.wacc, valuation.crescimentoPerpetuo, divida, caixa).equity;
+        };
+
+        const drivers = [
+            {
+                label: 'Ocupação (±10%)',
+                low: equityFor({ taxaOcupacao: premissas.taxaOcupacao.map(o => o * 0.9) }),
+                high: equityFor({ taxaOcupacao: premissas.taxaOcupacao.map(o => Math.min(1, o * 1.1)) })
+            },
+            {
+                label: 'Diária Média (±10%)',
+                low: equityFor({}, { fatorDiaria: 0.9 }),
+                high: equityFor({}, { fatorDiaria: 1.1 })
+            },
+            {
+                label: 'Inflação de Custos (±2 p.p.)',
+                low: equityFor({ inflacaoCustos: premissas.inflacaoCustos.map(i => i - 0.02) }),
+                high: equityFor({ inflacaoCustos: premissas.inflacaoCustos.map(i => i + 0.02) })
+            }
+        ];
+
+        Charts.createTornadoChart('valuation-tornado', drivers, baseEquity);
+    },
+
+    /**
+     * Render label/value rows used by the valuation cards
+     * @param {Array} rows - Rows {label, value, total, format}
+     * @returns {string} HTML
+     */
+    getValuationRows(rows) {
+        return `
+            <table>
+                <tbody>
+                    ${rows.map(row => {
+                        const value = row.format ? row.format(row.value) : Utils.formatCurrency(row.value);
+                        return `
+                            <tr>
+                                <td>${row.total ? `<strong>${row.label}</strong>` : row.label}</td>
+                                <td class="text-right ${row.value < 0 ? 'text-danger' : ''}">${row.total ? `<strong>${value}</strong>` : value}</td>
+                            </tr>
+                        `;
+                    }).join('')}
+                </tbody>
+            </table>
+        `;
+    },
+
+    /**
+     * Render DCF card
+     */
+    renderValuationDCF(dcf, equity, anos, divida, caixa) {
+        if (!dcf.valid) {
+            document.getElementById('valuation-dcf').innerHTML = '<p class="text-danger">WACC deve ser maior que o crescimento perpétuo.</p>';
+            return;
+        }
+
+        document.getElementById('valuation-dcf').innerHTML = `
+            ${this.getValuationRows([
+                ...anos.map(ano => ({ label: `FCL Operacional Ano ${ano.ano}`, value: ano.fcff + ano.investimento })),
+                { label: 'VP dos Fluxos', value: dcf.pvCashFlows },
+                { label: 'VP da Perpetuidade', value: dcf.pvTerminalValue },
+                { label: '(-) VP de Novos Imóveis', value: -dcf.pvInvestimentos },
+                { label: 'Enterprise Value', value: dcf.enterpriseValue, total: true },
+                { label: '(-) Dívida', value: -divida },
+                { label: '(+) Caixa', value: caixa },
+                { label: 'Equity Value', value: equity, total: true }
+            ])}
+            <p class="text-muted mt-2" style="font-size: 0.875rem;">
+                Perpetuidade representa ${Utils.formatPercent(dcf.enterpriseValue !== 0 ? dcf.pvTerminalValue / dcf.enterpriseValue : 0, 0)} do EV.
+            </p>
+        `;
+    },
+
+    /**
+     * Render NAV card
+     */
+    renderValuationNAV(nav, valorImoveis, caixa, divida, indexado) {
+        const container = document.getElementById('valuation-nav');
+        container.innerHTML = this.getValuationRows([
+            { label: 'Imóveis (valor de mercado)', value: valorImoveis },
+            { label: '(+) Caixa', value: caixa },
+            { label: '(-) Dívida Total', value: -divida },
+            { label: 'NAV', value: nav, total: true }
+        ]);
+
+        // Index-based estimate shown apart; the reconciled range keeps the recorded values
+        if (indexado.estimados > 0) {
+            container.innerHTML += `
+                ${this.getValuationRows([
+                    { label: 'Imóveis (estimativa por índices)*', value: indexado.valor },
+                    { label: 'NAV estimado*', value: Calculations.calculateNAV(indexado.valor + caixa, divida), total: true }
+                ])}
+                <p class="text-muted mt-2" style="font-size: 0.875rem;">
+                    * Estimativa: ${indexado.estimados} ${indexado.estimados === 1 ? 'imóvel atualizado' : 'imóveis atualizados'}
+                    por índice desde a última avaliação. Não substitui avaliação.
+                </p>
+            `;
+        }
+    },
+
+    /**
+     * Render multiples card (TTM EBITDA times the configured multiple)
+     */
+    renderValuationMultiples(base, multiplo, ev, equity, dcfEV) {
+        const container = document.getElementById('valuation-multiples');
+
+        if (base.ebitda <= 0) {
+            container.innerHTML = '<p class="text-muted">EBITDA dos últimos 12 meses não é positivo; método de múltiplos não aplicável.</p>';
+            return;
+        }
+
+        container.innerHTML = this.getValuationRows([
+            { label: 'EBITDA (12m)', value: base.ebitda },
+            { label: 'Múltiplo EV/EBITDA', value: multiplo, format: v => `${Utils.formatNumber(v, 1)}x` },
+            { label: 'Enterprise Value', value: ev, total: true },
+            { label: 'Equity Value', value: equity, total: true },
+            { label: 'EV/EBITDA implícito (DCF)', value: Calculations.calculateEVtoEBITDA(dcfEV, base.ebitda), format: v => `${Utils.formatNumber(v, 1)}x` },
+            { label: 'EV/Receita implícito (DCF)', value: Calculations.calculateEVtoRevenue(dcfEV, base.receitaBruta), format: v => `${Utils.formatNumber(v, 1)}x` }
+        ]);
+    },
+
+    /**
+     * Reconcile the methods into a min/mid/max equity range
+     * @param {Array} methods - Methods {label, value}; null values are not applicable
+     */
+    renderValuationRange(methods) {
+        const container = document.getElementById('valuation-range');
+        if (!container) return;
+
+        const valid = methods.filter(m => m.value !== null && isFinite(m.value));
+        if (valid.length === 0) {
+            container.innerHTML = '<p class="text-muted">Dados insuficientes para estimar o valuation.</p>';
+            return;
+        }
+
+        const values = valid.map(m => m.value);
+        const min = Math.min(...values);
+        const max = Math.max(...values);
+        const mid = values.reduce((sum, v) => sum + v, 0) / values.length;
+
+        container.innerHTML = `
+            <div class="metrics-row">
+                <div class="metric-card">
+                    <div class="metric-label">Mínimo</div>
+                    <div class="metric-value" style="font-size: 1.5rem;">${Utils.formatCurrency(min)}</div>
+                </div>
+                <div class="metric-card">
+                    <div class="metric-label">Média dos Métodos</div>
+                    <div class="metric-value text-primary" style="font-size: 1.5rem;">${Utils.formatCurrency(mid)}</div>
+                </div>
+                <div class="metric-card">
+                    <div class="metric-label">Máximo</div>
+                    <div class="metric-value" style="font-size: 1.5rem;">${Utils.formatCurrency(max)}</div>
+                </div>
+            </div>
+            <div class="mt-3">
+                ${methods.map(m => `
+                    <div class="flex-between mb-2">
+                        <span>${m.label}</span>
+                        <strong>${m.value === null ? '<span class="text-muted">não aplicável</span>' : Utils.formatCurrency(m.value)}</strong>
+                    </div>
+                `).join('')}
+            </div>
+        `;
     },
 
     initCalendario() {
+        const monthInput = document.getElementById('calendario-month');
+        if (monthInput) {
+            monthInput.value = Utils.getCurrentDate().slice(0, 7);
+            monthInput.addEventListener('change', () => this.loadCalendario());
+        }
+
+        const exportBtn = document.getElementById('export-ics');
+        if (exportBtn) {
+            exportBtn.addEventListener('click', () => this.showICSExportForm());
+        }
+
+        this.loadCalendario();
+        this.loadAlertas();
+    },
+
+    /**
+     * Show .ics export options (period, imóvel and event types)
+     */
+    showICSExportForm() {
+        const month = document.getElementById('calendario-month').value || Utils.getCurrentDate().slice(0, 7);
+        const lastMonth = Utils.formatDateInput(Utils.addMonths(Utils.parseDate(`${month}-01`), 11)).slice(0, 7);
+        const tipos = {
+            ...Object.fromEntries(Object.entries(this.TIPOS_OBRIGACAO).map(([value, tipo]) => [value, tipo.label])),
+            'checkin': 'Check-in de Hóspedes',
+            'checkout': 'Check-out de Hóspedes'
+        };
+
+        const formHtml = `
+            <div class="form-row">
+                <div class="form-group">
+                    <label class="form-label required">De</label>
+                    <input type="month" name="inicio" class="form-input" value="${month}" required>
+                </div>
+                <div class="form-group">
+                    <label class="form-label required">Até</label>
+                    <input type="month" name="fim" class="form-input" value="${lastMonth}" required>
+                </div>
+            </div>
+
+            <div class="form-group">
+                <label class="form-label">Imóvel</label>
+                <select name="imovelId" class="form-select">
+                    <option value="">Todos os imóveis</option>
+                    ${DataManager.getImoveis().map(i => `
+                        <option value="${i.id}">${Utils.escapeHtml(i.nome)}</option>
+                    `).join('')}
+                </select>
+            </div>
+
+            <div class="form-group">
+                <label class="form-label">Incluir</label>
+                ${Object.entries(tipos).map(([value, label]) => `
+                    <label class="form-label" style="font-weight: normal;">
+                        <input type="checkbox" name="tipos" value="${value}" checked> ${label}
+                    </label>
+                `).join('')}
+            </div>
+        `;
+
+        Utils.showModal(
+            'Exportar Calendário (.ics)',
+            `<form id="ics-form">${formHtml}</form>`,
+            [
+                { text: 'Cancelar', class: 'btn-secondary' },
+                {
+                    text: 'Exportar',
+                    class: 'btn-primary',
+                    closeOnClick: false,
+                    onClick: () => this.exportICS()
+                }
+            ]
+        );
+    },
+
+    /**
+     * Export the selected events as an .ics file
+     */
+    exportICS() {
+        const form = document.getElementById('ics-form');
+        const formData = Forms.getFormData('ics-form');
+        const tipos = Array.from(form.querySelectorAll('input[name="tipos"]:checked')).map(input => input.value);
+
+        if (!formData.inicio || !formData.fim || formData.inicio > formData.fim) {
+            Utils.showToast('Selecione um período válido', 'error');
+            return;
+        }
+        if (tipos.length === 0) {
+            Utils.showToast('Selecione ao menos um tipo de evento', 'error');
+            return;
+        }
+
+        const startDate = Utils.getPeriodRange('mes', `${formData.inicio}-01`).startDate;
+        const endDate = Utils.getPeriodRange('mes', `${formData.fim}-01`).endDate;
+        const events = DataManager.getCalendarEvents(startDate, endDate, {
+            imovelId: formData.imovelId || null,
+            tipos
+        });
+
+        if (events.length === 0) {
+            Utils.showToast('Nenhum evento no período selecionado', 'warning');
+            return;
+        }
+
+        const empresa = DataManager.getConfiguracoes().empresa.nome;
+        Utils.downloadFile(Utils.toICS(events, empresa), `calendario-${formData.inicio}-${formData.fim}.ics`, 'text/calendar;charset=utf-8');
+        Utils.showToast(`${events.length} eventos exportados`, 'success');
+        Utils.closeModal();
+    },
+
+    /**
+     * Load obligations of the selected month
+     */
+    loadCalendario() {
         const list = document.getElementById('calendario-list');
-        if (list) {
-            list.innerHTML = '<p class="text-muted">Nenhuma obrigação próxima</p>';
+        if (!list) return;
+
+        const month = document.getElementById('calendario-month').value;
+        if (!month) {
+            list.innerHTML = '<p class="text-muted">Selecione um mês</p>';
+            return;
+        }
+
+        const period = Utils.getPeriodRange('mes', `${month}-01`);
+        const obrigacoes = DataManager.getObrigacoes(period.startDate, period.endDate);
+
+        if (obrigacoes.length === 0) {
+            list.innerHTML = '<p class="text-muted">Nenhuma obrigação no mês</p>';
+            return;
+        }
+
+        const aPagar = obrigacoes
+            .filter(o => o.status !== 'pago')
+            .reduce((sum, o) => sum + o.valor, 0);
+        const pago = obrigacoes
+            .filter(o => o.status === 'pago')
+            .reduce((sum, o) => sum + o.valor, 0);
+
+        list.innerHTML = `
+            <div class="metrics-row mb-3">
+                <div class="metric-card">
+                    <div class="metric-label">A Pagar</div>
+                    <div class="metric-value text-danger" style="font-size: 1.5rem;">${Utils.formatCurrency(aPagar)}</div>
+                </div>
+                <div class="metric-card">
+                    <div class="metric-label">Pago</div>
+                    <div class="metric-value text-success" style="font-size: 1.5rem;">${Utils.formatCurrency(pago)}</div>
+                </div>
+                <div class="metric-card">
+                    <div class="metric-label">Obrigações</div>
+                    <div class="metric-value" style="font-size: 1.5rem;">${obrigacoes.length}</div>
+                </div>
+            </div>
+            ${this.getObrigacoesTable(obrigacoes)}
+        `;
+    },
+
+    /**
+     * Render obligations as a table
+     * @param {Array} obrigacoes - DataManager.getObrigacoes items
+     * @returns {string} HTML
+     */
+    getObrigacoesTable(obrigacoes) {
+        const imoveisMap = {};
+        DataManager.getImoveis().forEach(im => {
+            imoveisMap[im.id] = im;
+        });
+
+        return `
+            <div class="table-container">
+                <table>
+                    <thead>
+                        <tr>
+                            <th>Vencimento</th>
+                            <th>Tipo</th>
+                            <th>Descrição</th>
+                            <th>Imóvel</th>
+                            <th>Valor</th>
+                            <th>Status</th>
+                            <th>Ações</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${obrigacoes.map(o => {
+                            const tipo = this.TIPOS_OBRIGACAO[o.tipo];
+                            const status = this.STATUS_OBRIGACAO[o.status];
+                            const imovel = imoveisMap[o.imovelId];
+                            return `
+                                <tr>
+                                    <td>${Utils.formatDate(o.data)}</td>
+                                    <td><span class="badge badge-${tipo.badge}">${tipo.label}</span></td>
+                                    <td>${Utils.escapeHtml(o.descricao)}</td>
+                                    <td>${imovel ? Utils.escapeHtml(imovel.nome) : '<span class="text-muted">Portfólio</span>'}</td>
+                                    <td>${o.valor ? Utils.formatCurrency(o.valor) : '-'}</td>
+                                    <td><span class="badge badge-${status.badge}">${status.label}</span></td>
+                                    <td class="table-actions">
+                                        ${o.manual ? `
+                                            <button class="btn btn-sm ${o.status === 'pago' ? 'btn-secondary' : 'btn-success'}"
+                                                onclick="App.toggleObrigacaoPaga('${o.id}', ${o.status !== 'pago'})"
+                                                title="${o.status === 'pago' ? 'Desmarcar pagamento' : 'Marcar como pago'}">
+                                                <i class="fas ${o.status === 'pago' ? 'fa-undo' : 'fa-check'}"></i>
+                                            </button>
+                                        ` : ''}
+                                    </td>
+                                </tr>
+                            `;
+                        }).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    },
+
+    /**
+     * Load alerts: overdue obligations of the last 12 months and those due
+     * in the next 7 days
+     */
+    loadAlertas() {
+        const container = document.getElementById('alertas-list');
+        if (!container) return;
+
+        const today = Utils.getCurrentDate();
+        const limit = Utils.formatDateInput(Utils.addDays(today, 7));
+        const from = Utils.formatDateInput(Utils.addMonths(Utils.parseDate(today), -12));
+
+        const alertas = DataManager.getObrigacoes(from, limit)
+            .filter(o => o.status === 'atrasado' || (o.status === 'pendente' && o.data <= limit));
+
+        if (alertas.length === 0) {
+            container.innerHTML = '<p class="text-muted">Nenhum alerta no momento</p>';
+            return;
         }
+
+        container.innerHTML = alertas.map(o => {
+            const atrasado = o.status === 'atrasado';
+            return `
+                <div class="alert ${atrasado ? 'alert-danger' : 'alert-warning'} mb-2">
+                    <i class="fas ${atrasado ? 'fa-exclamation-circle' : 'fa-clock'}"></i>
+                    <strong>${Utils.formatDate(o.data)}</strong> - ${Utils.escapeHtml(o.descricao)}
+                    ${o.valor ? `(${Utils.formatCurrency(o.valor)})` : ''}
+                    ${atrasado ? ' - em atraso' : ''}
+                </div>
+            `;
+        }).join('');
+    },
+
+    /**
+     * Mark or unmark a manual obligation (tax, document) as paid
+     */
+    toggleObrigacaoPaga(obrigacaoId, pago) {
+        DataManager.setObrigacaoPaga(obrigacaoId, pago);
+        Utils.showToast(pago ? 'Obrigação marcada como paga' : 'Pagamento desmarcado', 'success');
+        this.loadCalendario();
+        this.loadAlertas();
     },
 
     initDocumentacao() {
@@ -3051,6 +8228,7 @@ const App = {
             `Tem certeza que deseja excluir o usuário "${user.name}"?`,
             () => {
                 Auth.deleteUser(userId);
+                DataManager.deleteDashboardLayout(userId);
                 Utils.showToast('Usuário excluído com sucesso!', 'success');
                 this.loadUsersList();
             }
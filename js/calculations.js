@@ -490,7 +490,9 @@ const Calculations = {
      * @param {Array} cashFlows - Projected cash flows
      * @param {number} discountRate - Discount rate (WACC)
      * @param {number} terminalGrowthRate - Terminal growth rate
-     * @returns {Object} DCF valuation
+     * @returns {Object} DCF valuation; valid is false (and the terminal and
+     *                   enterprise values null) when the discount rate does not
+     *                   exceed the terminal growth rate
      */
     calculateDCF(cashFlows, discountRate, terminalGrowthRate) {
         let presentValue = 0;
@@ -502,6 +504,17 @@ const Calculations = {
             presentValue += pv;
         });
 
+        // Gordon growth needs discountRate > terminalGrowthRate
+        if (discountRate <= terminalGrowthRate) {
+            return {
+                pvCashFlows: presentValue,
+                terminalValue: null,
+                pvTerminalValue: null,
+                enterpriseValue: null,
+                valid: false
+            };
+        }
+
         // Calculate terminal value
         const lastCashFlow = cashFlows[cashFlows.length - 1];
         const terminalValue = (lastCashFlow * (1 + terminalGrowthRate)) /
@@ -517,7 +530,8 @@ const Calculations = {
             pvCashFlows: presentValue,
             terminalValue,
             pvTerminalValue,
-            enterpriseValue
+            enterpriseValue,
+            valid: true
         };
     },
 
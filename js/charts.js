@@ -518,6 +518,234 @@ const Charts = {
         return this.createLineChart(canvasId, data);
     },
 
+    /**
+     * Create tornado chart: one horizontal bar per driver spanning the result
+     * with the driver reduced and raised, widest impact on top
+     * @param {string} canvasId - Canvas element ID
+     * @param {Array} drivers - Array of {label, low, high} (results with the driver reduced/raised)
+     * @param {number} baseValue - Result with the base assumptions
+     */
+    createTornadoChart(canvasId, drivers, baseValue) {
+        const sorted = [...drivers].sort((a, b) => Math.abs(b.high - b.low) - Math.abs(a.high - a.low));
+        const defaultOptions = this.getDefaultOptions();
+
+        const data = {
+            labels: sorted.map(d => d.label),
+            datasets: [
+                {
+                    label: 'Premissa reduzida',
+                    data: sorted.map(d => [baseValue, d.low]),
+                    backgroundColor: this.colors.warning + '80',
+                    borderColor: this.colors.warning,
+                    borderWidth: 1,
+                    grouped: false
+                },
+                {
+                    label: 'Premissa elevada',
+                    data: sorted.map(d => [baseValue, d.high]),
+                    backgroundColor: this.colors.info + '80',
+                    borderColor: this.colors.info,
+                    borderWidth: 1,
+                    grouped: false
+                }
+            ]
+        };
+
+        return this.createBarChart(canvasId, data, {
+            indexAxis: 'y',
+            scales: {
+                x: defaultOptions.scales.y,
+                y: defaultOptions.scales.x
+            },
+            plugins: {
+                tooltip: {
+                    ...defaultOptions.plugins.tooltip,
+                    callbacks: {
+                        label: function(context) {
+                            return `${context.dataset.label}: ${Utils.formatCurrency(context.raw[1])}`;
+                        }
+                    }
+                }
+            }
+        });
+    },
+
+    /**
+     * Create occupancy heatmap: one row per imóvel, one cell per night,
+     * colored by status; occupied nights get stronger with the nightly rate
+     * @param {string} canvasId - Canvas element ID
+     * @param {Array} rows - Array of {name, noites: [{data, status, hospede, valor}]}
+     * @returns {Chart} Chart instance
+     */
+    createOccupancyHeatmap(canvasId, rows) {
+        this.destroy(canvasId);
+
+        const ctx = document.getElementById(canvasId);
+        if (!ctx || rows.length === 0) return null;
+
+        const defaultOptions = this.getDefaultOptions();
+        const datas = rows[0].noites.map(n => n.data);
+
+        const status = {
+            ocupada: { label: 'Ocupada', color: this.colors.success },
+            livre: { label: 'Vaga', color: '#d1d5db' },
+            bloqueada: { label: 'Bloqueada', color: this.colors.warning },
+            indisponivel: { label: 'Indisponível', color: '#6b7280' }
+        };
+
+        // Occupied cells range from 40% to full opacity between the lowest
+        // and highest nightly rate
+        const valores = rows.flatMap(r => r.noites.filter(n => n.status === 'ocupada').map(n => n.valor));
+        const min = Math.min(...valores);
+        const max = Math.max(...valores);
+        const alpha = valor => {
+            const ratio = max > min ? (valor - min) / (max - min) : 1;
+            return Math.round((0.4 + ratio * 0.6) * 255).toString(16).padStart(2, '0');
+        };
+
+        // Each cell is a vertical line point: its width fills the night and
+        // its length most of the row
+        const cellWidth = context => {
+            const area = context.chart.chartArea;
+            return area ? Math.max(1, area.width / datas.length) : 1;
+        };
+        const cellRadius = context => {
+            const area = context.chart.chartArea;
+            return area ? (area.height / rows.length) * 0.4 : 4;
+        };
+
+        const datasets = Object.entries(status).map(([key, s]) => {
+            const points = [];
+            rows.forEach((row, y) => row.noites.forEach((noite, x) => {
+                if (noite.status === key) points.push({ x, y, nome: row.name, noite });
+            }));
+
+            return {
+                label: s.label,
+                data: points,
+                backgroundColor: s.color,
+                borderColor: s.color,
+                pointStyle: 'line',
+                pointRotation: 90,
+                pointBorderColor: key === 'ocupada' ? points.map(p => s.color + alpha(p.noite.valor)) : s.color,
+                pointBorderWidth: cellWidth,
+                pointHoverBorderWidth: cellWidth,
+                pointRadius: cellRadius,
+                pointHoverRadius: cellRadius,
+                showLine: false
+            };
+        });
+
+        this.instances[canvasId] = new Chart(ctx, {
+            type: 'scatter',
+            data: { datasets },
+            options: {
+                ...defaultOptions,
+                animation: false,
+                scales: {
+                    x: {
+                        min: -0.5,
+                        max: datas.length - 0.5,
+                        afterBuildTicks: axis => {
+                            axis.ticks = datas
+                                .map((data, i) => ({ value: i, data }))
+                                .filter(t => t.data.endsWith('-01'));
+                        },
+                        ticks: {
+                            color: defaultOptions.scales.x.ticks.color,
+                            autoSkip: false,
+                            callback: value => Utils.getShortMonthName(parseInt(datas[value].slice(5, 7)) - 1)
+                        },
+                        grid: { display: false }
+                    },
+                    y: {
+                        min: -0.5,
+                        max: rows.length - 0.5,
+                        reverse: true,
+                        afterBuildTicks: axis => {
+                            axis.ticks = rows.map((row, i) => ({ value: i }));
+                        },
+                        ticks: {
+                            color: defaultOptions.scales.y.ticks.color,
+                            autoSkip: false,
+                            callback: value => rows[value] ? rows[value].name : ''
+                        },
+                        grid: { display: false }
+                    }
+                },
+                plugins: {
+                    ...defaultOptions.plugins,
+                    tooltip: {
+                        ...defaultOptions.plugins.tooltip,
+                        callbacks: {
+                            title: items => items.length > 0
+                                ? `${items[0].raw.nome} — ${Utils.formatDate(items[0].raw.noite.data)}`
+                                : '',
+                            label: context => {
+                                const { noite } = context.raw;
+                                if (noite.status !== 'ocupada') return context.dataset.label;
+                                return `${noite.hospede || context.dataset.label}: ${Utils.formatCurrency(noite.valor)}`;
+                            }
+                        }
+                    }
+                }
+            }
+        });
+
+        return this.instances[canvasId];
+    },
+
+    /**
+     * Create property value path chart (one line per imóvel, points at
+     * each valuation date)
+     * @param {string} canvasId - Canvas element ID
+     * @param {Array} series - Array of {name, pontos: [{data, valor, tipo}]} objects
+     * @param {Object} tipos - Labels by valuation type
+     */
+    createPropertyValueChart(canvasId, series, tipos = {}) {
+        const palette = Object.values(this.colors);
+        const defaultOptions = this.getDefaultOptions();
+
+        const datasets = series.map((s, i) => ({
+            label: s.name,
+            data: s.pontos.map(p => ({ x: Utils.parseDate(p.data).getTime(), y: p.valor, ponto: p })),
+            borderColor: palette[i % palette.length],
+            backgroundColor: palette[i % palette.length],
+            tension: 0,
+            fill: false
+        }));
+
+        return this.createLineChart(canvasId, { datasets }, {
+            scales: {
+                ...defaultOptions.scales,
+                x: {
+                    ...defaultOptions.scales.x,
+                    type: 'linear',
+                    ticks: {
+                        ...defaultOptions.scales.x.ticks,
+                        callback: value => {
+                            const date = new Date(value);
+                            return `${Utils.getShortMonthName(date.getMonth())}/${date.getFullYear()}`;
+                        }
+                    }
+                }
+            },
+            plugins: {
+                tooltip: {
+                    ...defaultOptions.plugins.tooltip,
+                    callbacks: {
+                        title: items => items.length > 0 ? Utils.formatDate(items[0].raw.ponto.data) : '',
+                        label: context => {
+                            const { ponto } = context.raw;
+                            const tipo = tipos[ponto.tipo] ? ` (${tipos[ponto.tipo]})` : '';
+                            return `${context.dataset.label}: ${Utils.formatCurrency(ponto.valor)}${tipo}`;
+                        }
+                    }
+                }
+            }
+        });
+    },
+
     /**
      * Create cash flow chart
      * @param {string} canvasId - Canvas element ID
@@ -14,7 +14,57 @@ const DataManager = {
         DESPESAS: 'str_despesas',
         CONFIGURACOES: 'str_configuracoes',
         PATRIMONIO: 'str_patrimonio',
-        DOCUMENTOS: 'str_documentos'
+        DOCUMENTOS: 'str_documentos',
+        APORTES: 'str_aportes',
+        OBRIGACOES: 'str_obrigacoes',
+        CALENDARIOS: 'str_calendarios',
+        EXTRATO: 'str_extrato',
+        CONTAS: 'str_contas',
+        TRANSFERENCIAS: 'str_transferencias',
+        SERIES_DESPESAS: 'str_series_despesas',
+        LAYOUTS_DASHBOARD: 'str_layouts_dashboard',
+        INDICES: 'str_indices'
+    },
+
+    // Start of the running ledger behind accumulated balances
+    LEDGER_START: '1900-01-01',
+
+    // Months ahead that open-ended despesa series are materialized
+    HORIZONTE_RECORRENCIA_MESES: 12,
+
+    // Months between occurrences of recurring despesas
+    RECORRENCIA_MESES: {
+        'mensal': 1,
+        'bimestral': 2,
+        'trimestral': 3,
+        'anual': 12
+    },
+
+    // Price indexes for estimated revaluation between appraisals (monthly
+    // variations; porCidade indexes keep one series per city)
+    INDICES: {
+        'fipezap': { label: 'FipeZap (venda)', porCidade: true },
+        'ipca': { label: 'IPCA' },
+        'igpm': { label: 'IGP-M' },
+        'incc': { label: 'INCC' }
+    },
+
+    // Expense categories (tipo drives the variable/fixed split in the DRE)
+    CATEGORIAS_DESPESA: {
+        'limpeza': { label: 'Limpeza', tipo: 'variavel' },
+        'lavanderia': { label: 'Lavanderia', tipo: 'variavel' },
+        'amenities': { label: 'Amenities', tipo: 'variavel' },
+        'gestao': { label: 'Gestão/Co-host', tipo: 'variavel' },
+        'manutencao': { label: 'Manutenção', tipo: 'variavel' },
+        'condominio': { label: 'Condomínio', tipo: 'fixa' },
+        'iptu': { label: 'IPTU', tipo: 'fixa' },
+        'energia': { label: 'Energia', tipo: 'fixa' },
+        'agua': { label: 'Água/Gás', tipo: 'fixa' },
+        'internet': { label: 'Internet/TV', tipo: 'fixa' },
+        'seguro': { label: 'Seguro', tipo: 'fixa' },
+        'contabilidade': { label: 'Contabilidade', tipo: 'fixa' },
+        'software': { label: 'Software/Assinaturas', tipo: 'fixa' },
+        'outros': { label: 'Outros', tipo: 'fixa' }
     },
 
     /**
@@ -31,6 +81,14 @@ const DataManager = {
                 }
             }
         });
+
+        this.migrateValorReforma();
+
+        // Open-ended series move forward with the calendar
+        this.getSeriesDespesas().forEach(serie => {
+            const ultima = Math.max(0, ...this.getDespesasBySerie(serie.id).map(d => d.ocorrencia));
+            this.materializeSerie(serie, ultima + 1, false);
+        });
     },
 
     /**
@@ -63,6 +121,13 @@ const DataManager = {
                 irpj: 0.15,
                 csll: 0.09
             },
+            depreciacao: {
+                vidaUtilImoveis: 25
+            },
+            importacao: {
+                mapeamentoAnuncios: {},
+                regrasCategoria: []
+            },
             theme: 'light'
         };
     },
@@ -152,6 +217,8 @@ const DataManager = {
         this.deleteReformasByImovel(id);
         this.deleteReceitasByImovel(id);
         this.deleteDespesasByImovel(id);
+        this.deleteCalendariosByImovel(id);
+        this.deletePatrimonioByImovel(id);
         return this.delete(this.STORAGE_KEYS.IMOVEIS, id);
     },
 
@@ -225,11 +292,25 @@ const DataManager = {
     },
 
     saveReforma(reforma) {
-        return this.save(this.STORAGE_KEYS.REFORMAS, reforma);
+        const previous = reforma.id ? this.getReformaById(reforma.id) : null;
+        const saved = this.save(this.STORAGE_KEYS.REFORMAS, reforma);
+
+        // Keep imovel.valorReforma in sync (also for the old imóvel if it changed)
+        this.syncValorReforma(saved.imovelId);
+        if (previous && previous.imovelId !== saved.imovelId) {
+            this.syncValorReforma(previous.imovelId);
+        }
+
+        return saved;
     },
 
     deleteReforma(id) {
-        return this.delete(this.STORAGE_KEYS.REFORMAS, id);
+        const reforma = this.getReformaById(id);
+        const result = this.delete(this.STORAGE_KEYS.REFORMAS, id);
+        if (reforma) {
+            this.syncValorReforma(reforma.imovelId);
+        }
+        return result;
     },
 
     getReformasByImovel(imovelId) {
@@ -241,6 +322,72 @@ const DataManager = {
         reformas.forEach(r => this.deleteReforma(r.id));
     },
 
+    /**
+     * Get budgeted and actual totals of a reforma from its line items
+     * @param {Object} reforma - Reforma record
+     * @returns {Object} {orcado, realizado, variacao, variacaoPercent}
+     */
+    getReformaTotals(reforma) {
+        const itens = reforma.itens || [];
+        const orcado = itens.reduce((sum, item) => sum + (item.valorOrcado || 0), 0);
+        const realizado = itens.reduce((sum, item) => sum + (item.valorRealizado || 0), 0);
+        const variacao = realizado - orcado;
+
+        return {
+            orcado,
+            realizado,
+            variacao,
+            variacaoPercent: orcado > 0 ? variacao / orcado : 0
+        };
+    },
+
+    /**
+     * Get amount invested in concluded reformas of an imóvel
+     * @param {string} imovelId - Imóvel ID
+     * @returns {number} Sum of realized values of concluded reformas
+     */
+    getValorReformaByImovel(imovelId) {
+        return this.getReformasByImovel(imovelId)
+            .filter(r => r.status === 'concluida')
+            .reduce((sum, r) => sum + this.getReformaTotals(r).realizado, 0);
+    },
+
+    /**
+     * Update imovel.valorReforma from its concluded reformas
+     * @param {string} imovelId - Imóvel ID
+     */
+    syncValorReforma(imovelId) {
+        const imovel = this.getImovelById(imovelId);
+        if (!imovel) return;
+
+        const valorReforma = this.getValorReformaByImovel(imovelId);
+        if (imovel.valorReforma !== valorReforma) {
+            imovel.valorReforma = valorReforma;
+            this.saveImovel(imovel);
+        }
+    },
+
+    /**
+     * Move reform amounts typed into the imóvel form (before reformas were
+     * recorded) into a concluded reforma, so syncing valorReforma from the
+     * records keeps them
+     */
+    migrateValorReforma() {
+        this.getImoveis().forEach(imovel => {
+            const diferenca = (imovel.valorReforma || 0) - this.getValorReformaByImovel(imovel.id);
+            if (diferenca < 0.01) return;
+
+            this.saveReforma({
+                imovelId: imovel.id,
+                descricao: 'Reformas anteriores',
+                status: 'concluida',
+                dataInicio: imovel.dataAquisicao || '',
+                dataConclusao: imovel.dataAquisicao || Utils.getCurrentDate(),
+                itens: [{ descricao: 'Valor informado no cadastro do imóvel', valorOrcado: diferenca, valorRealizado: diferenca }]
+            });
+        });
+    },
+
     // ========================================
     // Receitas
     // ========================================
@@ -258,6 +405,7 @@ const DataManager = {
     },
 
     deleteReceita(id) {
+        this.unlinkTransacoesBancarias('receita', id);
         return this.delete(this.STORAGE_KEYS.RECEITAS, id);
     },
 
@@ -294,6 +442,7 @@ const DataManager = {
     },
 
     deleteDespesa(id) {
+        this.unlinkTransacoesBancarias('despesa', id);
         return this.delete(this.STORAGE_KEYS.DESPESAS, id);
     },
 
@@ -311,6 +460,242 @@ const DataManager = {
     deleteDespesasByImovel(imovelId) {
         const despesas = this.getDespesasByImovel(imovelId);
         despesas.forEach(d => this.deleteDespesa(d.id));
+        this.getSeriesDespesas()
+            .filter(serie => serie.imovelId === imovelId)
+            .forEach(serie => this.delete(this.STORAGE_KEYS.SERIES_DESPESAS, serie.id));
+    },
+
+    // ========================================
+    // Séries de Despesas (recurring despesas)
+    // ========================================
+
+    getSeriesDespesas() {
+        return this.getAll(this.STORAGE_KEYS.SERIES_DESPESAS);
+    },
+
+    getSerieDespesaById(id) {
+        return this.getById(this.STORAGE_KEYS.SERIES_DESPESAS, id);
+    },
+
+    getDespesasBySerie(serieId) {
+        return this.getDespesas()
+            .filter(d => d.serieId === serieId)
+            .sort((a, b) => a.ocorrencia - b.ocorrencia);
+    },
+
+    /**
+     * Get the months between occurrences of a series
+     * @param {Object} serie - Series record
+     * @returns {number} Interval in months
+     */
+    getSerieIntervalo(serie) {
+        return this.RECORRENCIA_MESES[serie.recorrencia] || Math.max(1, parseInt(serie.intervaloMeses) || 1);
+    },
+
+    /**
+     * List the occurrences of a series. Each keeps the day of month of
+     * dataInicio (clamped to the month length). Open-ended series stop at
+     * the materialization horizon. The first occurrence is always listed:
+     * it is the despesa the series was created from.
+     * @param {Object} serie - Series record {dataInicio, recorrencia,
+     *                        intervaloMeses, termino, dataFim, numOcorrencias, excluidas}
+     * @returns {Array} Occurrences {ocorrencia, data}, ocorrencia 1-based
+     */
+    getSerieDatas(serie) {
+        const inicio = Utils.parseDate(serie.dataInicio);
+        if (!inicio) return [];
+
+        const intervalo = this.getSerieIntervalo(serie);
+        const horizonte = Utils.formatDateInput(Utils.addMonths(new Date(), this.HORIZONTE_RECORRENCIA_MESES));
+        const limite = serie.termino === 'data' && serie.dataFim ? serie.dataFim : horizonte;
+        const total = serie.termino === 'ocorrencias' ? Math.max(1, parseInt(serie.numOcorrencias) || 1) : Infinity;
+        const excluidas = new Set(serie.excluidas || []);
+        const datas = [];
+
+        for (let n = 1; n <= total; n++) {
+            const offset = (n - 1) * intervalo;
+            const year = inicio.getFullYear() + Math.floor((inicio.getMonth() + offset) / 12);
+            const month = (inicio.getMonth() + offset) % 12;
+            const day = Math.min(inicio.getDate(), new Date(year, month + 1, 0).getDate());
+            const data = Utils.formatDateInput(new Date(year, month, day));
+
+            if (n > 1 && serie.termino !== 'ocorrencias' && data > limite) break;
+            if (!excluidas.has(n)) datas.push({ ocorrencia: n, data });
+        }
+
+        return datas;
+    },
+
+    /**
+     * Create or update the despesa records of a series
+     * @param {Object} serie - Series record
+     * @param {number} aPartirDe - First occurrence to touch
+     * @param {boolean} sobrescrever - Whether existing occurrences take the
+     *                                 template values (false only adds missing ones)
+     */
+    materializeSerie(serie, aPartirDe = 1, sobrescrever = true) {
+        const existentes = this.getDespesasBySerie(serie.id);
+        const datas = this.getSerieDatas(serie);
+        const validas = new Set(datas.map(o => o.ocorrencia));
+
+        // Occurrences past a shortened series are dropped
+        existentes
+            .filter(d => d.ocorrencia >= aPartirDe && !validas.has(d.ocorrencia))
+            .forEach(d => this.deleteDespesa(d.id));
+
+        datas
+            .filter(o => o.ocorrencia >= aPartirDe)
+            .forEach(({ ocorrencia, data }) => {
+                const existente = existentes.find(d => d.ocorrencia === ocorrencia);
+                if (existente && !sobrescrever) return;
+
+                this.saveDespesa({
+                    ...existente,
+                    ...this.getSerieTemplate(serie),
+                    recorrencia: serie.recorrencia,
+                    data,
+                    serieId: serie.id,
+                    ocorrencia,
+                    ajustada: false
+                });
+            });
+    },
+
+    /**
+     * Get the fields a series copies into each occurrence
+     * @param {Object} origem - Series or despesa
+     * @returns {Object} Template fields
+     */
+    getSerieTemplate(origem) {
+        return {
+            categoria: origem.categoria,
+            imovelId: origem.imovelId || '',
+            descricao: origem.descricao,
+            fornecedor: origem.fornecedor || '',
+            valor: origem.valor || 0,
+            contaId: origem.contaId || '',
+            rateio: origem.rateio || '',
+            rateioPercentuais: origem.rateioPercentuais || {}
+        };
+    },
+
+    /**
+     * Save a series and regenerate its occurrences
+     * @param {Object} serie - Series record
+     * @returns {Object} Saved series
+     */
+    saveSerieDespesa(serie) {
+        const saved = this.save(this.STORAGE_KEYS.SERIES_DESPESAS, serie);
+        this.materializeSerie(saved, 1, true);
+        return saved;
+    },
+
+    /**
+     * Turn a despesa into the first occurrence of a new series
+     * @param {Object} despesa - Saved despesa
+     * @param {Object} regra - {recorrencia, intervaloMeses, termino, dataFim, numOcorrencias}
+     * @returns {Object} Series
+     */
+    criarSerieDespesa(despesa, regra) {
+        const serie = this.save(this.STORAGE_KEYS.SERIES_DESPESAS, {
+            ...this.getSerieTemplate(despesa),
+            dataInicio: despesa.data,
+            excluidas: [],
+            ...regra
+        });
+
+        this.saveDespesa({ ...despesa, serieId: serie.id, ocorrencia: 1 });
+        this.materializeSerie(serie, 1, true);
+        return serie;
+    },
+
+    /**
+     * Change one occurrence and every later one. Earlier occurrences keep
+     * their values: the series is split at the occurrence, which becomes the
+     * first of a new series with the new template and rule. A rule of
+     * 'unica' ends the series at the occurrence instead.
+     * @param {Object} despesa - Edited occurrence (with its new values)
+     * @param {Object} regra - {recorrencia, intervaloMeses, termino, dataFim, numOcorrencias}
+     * @returns {Object} Series now holding the occurrence
+     */
+    updateSerieAPartirDe(despesa, regra) {
+        const serie = this.getSerieDespesaById(despesa.serieId);
+        if (!serie) return null;
+
+        const k = despesa.ocorrencia;
+        const campos = { ...this.getSerieTemplate(despesa), dataInicio: despesa.data };
+
+        if (regra.recorrencia === 'unica') {
+            const encerrada = this.save(this.STORAGE_KEYS.SERIES_DESPESAS, {
+                ...serie,
+                termino: 'ocorrencias',
+                numOcorrencias: k
+            });
+            this.materializeSerie(encerrada, k + 1, true);
+            this.saveDespesa({ ...despesa, recorrencia: serie.recorrencia, ajustada: true });
+            return encerrada;
+        }
+
+        if (k <= 1) {
+            return this.saveSerieDespesa({ ...serie, ...campos, ...regra });
+        }
+
+        // Later occurrences move to the new series so their IDs (and bank
+        // reconciliation links) survive
+        const nova = this.save(this.STORAGE_KEYS.SERIES_DESPESAS, {
+            ...campos,
+            ...regra,
+            excluidas: (serie.excluidas || []).filter(n => n >= k).map(n => n - k + 1)
+        });
+        this.getDespesasBySerie(serie.id)
+            .filter(d => d.ocorrencia >= k)
+            .forEach(d => this.saveDespesa({ ...d, serieId: nova.id, ocorrencia: d.ocorrencia - k + 1 }));
+
+        this.save(this.STORAGE_KEYS.SERIES_DESPESAS, {
+            ...serie,
+            termino: 'ocorrencias',
+            numOcorrencias: k - 1,
+            excluidas: (serie.excluidas || []).filter(n => n < k)
+        });
+
+        this.materializeSerie(nova, 1, true);
+        return nova;
+    },
+
+    /**
+     * Delete one occurrence of a series, or it and every later one
+     * @param {string} despesaId - Occurrence ID
+     * @param {string} escopo - 'esta' or 'seguintes'
+     */
+    deleteOcorrenciaSerie(despesaId, escopo) {
+        const despesa = this.getDespesaById(despesaId);
+        const serie = despesa ? this.getSerieDespesaById(despesa.serieId) : null;
+        if (!serie) {
+            this.deleteDespesa(despesaId);
+            return;
+        }
+
+        if (escopo === 'esta') {
+            this.save(this.STORAGE_KEYS.SERIES_DESPESAS, {
+                ...serie,
+                excluidas: [...(serie.excluidas || []), despesa.ocorrencia]
+            });
+            this.deleteDespesa(despesaId);
+            return;
+        }
+
+        if (despesa.ocorrencia <= 1) {
+            this.getDespesasBySerie(serie.id).forEach(d => this.deleteDespesa(d.id));
+            this.delete(this.STORAGE_KEYS.SERIES_DESPESAS, serie.id);
+            return;
+        }
+
+        const encerrada = this.save(this.STORAGE_KEYS.SERIES_DESPESAS, {
+            ...serie,
+            termino: 'ocorrencias',
+            numOcorrencias: despesa.ocorrencia - 1
+        });
+        this.materializeSerie(encerrada, despesa.ocorrencia, true);
     },
 
     // ========================================
@@ -320,7 +705,8 @@ const DataManager = {
     getConfiguracoes() {
         try {
             const data = localStorage.getItem(this.STORAGE_KEYS.CONFIGURACOES);
-            return data ? JSON.parse(data) : this.getDefaultConfiguracoes();
+            // Merge over defaults so sections added later exist for stored configs
+            return data ? { ...this.getDefaultConfiguracoes(), ...JSON.parse(data) } : this.getDefaultConfiguracoes();
         } catch (error) {
             console.error('Error getting configurations:', error);
             return this.getDefaultConfiguracoes();
@@ -332,6 +718,27 @@ const DataManager = {
         return config;
     },
 
+    /**
+     * Get the remembered platform listing to imóvel mapping
+     * @returns {Object} Map {"plataforma:anuncio": imovelId}
+     */
+    getMapeamentoAnuncios() {
+        return this.getConfiguracoes().importacao.mapeamentoAnuncios || {};
+    },
+
+    /**
+     * Remember listing to imóvel assignments, keeping previous ones
+     * @param {Object} mapeamento - Map {"plataforma:anuncio": imovelId}
+     */
+    saveMapeamentoAnuncios(mapeamento) {
+        const config = this.getConfiguracoes();
+        config.importacao = {
+            ...config.importacao,
+            mapeamentoAnuncios: { ...config.importacao.mapeamentoAnuncios, ...mapeamento }
+        };
+        this.saveConfiguracoes(config);
+    },
+
     // ========================================
     // Patrimônio (Valorização)
     // ========================================
@@ -340,190 +747,2429 @@ const DataManager = {
         return this.getAll(this.STORAGE_KEYS.PATRIMONIO);
     },
 
-    savePatrimonio(patrimonio) {
-        return this.save(this.STORAGE_KEYS.PATRIMONIO, patrimonio);
+    getPatrimonioById(id) {
+        return this.getById(this.STORAGE_KEYS.PATRIMONIO, id);
     },
 
-    getPatrimonioByImovel(imovelId) {
-        return this.getPatrimonio().filter(p => p.imovelId === imovelId);
-    },
+    savePatrimonio(patrimonio) {
+        const previous = patrimonio.id ? this.getPatrimonioById(patrimonio.id) : null;
+        const saved = this.save(this.STORAGE_KEYS.PATRIMONIO, patrimonio);
 
-    // ========================================
-    // Documentos
-    // ========================================
+        // Keep imovel.valorMercadoAtual in sync (also for the old imóvel if it changed)
+        this.syncValorMercado(saved.imovelId);
+        if (previous && previous.imovelId !== saved.imovelId) {
+            this.syncValorMercado(previous.imovelId);
+        }
 
-    getDocumentos() {
-        return this.getAll(this.STORAGE_KEYS.DOCUMENTOS);
+        return saved;
     },
 
-    saveDocumento(documento) {
-        return this.save(this.STORAGE_KEYS.DOCUMENTOS, documento);
+    deletePatrimonio(id) {
+        const patrimonio = this.getPatrimonioById(id);
+        const result = this.delete(this.STORAGE_KEYS.PATRIMONIO, id);
+        if (patrimonio) {
+            this.syncValorMercado(patrimonio.imovelId);
+        }
+        return result;
     },
 
-    deleteDocumento(id) {
-        return this.delete(this.STORAGE_KEYS.DOCUMENTOS, id);
+    /**
+     * Get the valuation snapshots of an imóvel, oldest first
+     * @param {string} imovelId - Imóvel ID
+     * @returns {Array} Snapshots {imovelId, data, valor, tipo, fonte}
+     */
+    getPatrimonioByImovel(imovelId) {
+        return this.getPatrimonio()
+            .filter(p => p.imovelId === imovelId)
+            .sort((a, b) => (a.data || '').localeCompare(b.data || ''));
     },
 
-    getDocumentosByImovel(imovelId) {
-        return this.getDocumentos().filter(d => d.imovelId === imovelId);
+    deletePatrimonioByImovel(imovelId) {
+        this.getPatrimonio()
+            .filter(p => p.imovelId === imovelId)
+            .forEach(p => this.delete(this.STORAGE_KEYS.PATRIMONIO, p.id));
     },
 
-    // ========================================
-    // Statistics & Aggregations
-    // ========================================
-
     /**
-     * Get monthly revenue statistics
+     * Update imovel.valorMercadoAtual from its latest valuation snapshot
+     * (left untouched when the imóvel has no snapshots)
+     * @param {string} imovelId - Imóvel ID
      */
-    getMonthlyRevenue(year, month) {
-        const receitas = this.getReceitas();
-        return receitas
-            .filter(r => {
-                const d = new Date(r.dataCheckIn);
-                return d.getFullYear() === year && d.getMonth() === month;
-            })
-            .reduce((sum, r) => sum + (r.valorLiquido || 0), 0);
+    syncValorMercado(imovelId) {
+        const imovel = this.getImovelById(imovelId);
+        const ultima = this.getPatrimonioByImovel(imovelId).pop();
+        if (!imovel || !ultima) return;
+
+        if (imovel.valorMercadoAtual !== ultima.valor) {
+            imovel.valorMercadoAtual = ultima.valor;
+            this.saveImovel(imovel);
+        }
     },
 
     /**
-     * Get monthly expenses
+     * Get the valuation of an imóvel at a date: cost, market value,
+     * total and annualized appreciation since acquisition, debt, equity
+     * and LTV
+     * @param {Object} imovel - Imóvel record
+     * @param {string} date - Reference date (YYYY-MM-DD, default: today)
+     * @returns {Object} {custo, valor, valorizacao, valorizacaoPercent, anualizado, divida, equity, ltv, ultimaAvaliacao}
      */
-    getMonthlyExpenses(year, month) {
-        const despesas = this.getDespesas();
-        return despesas
-            .filter(d => {
-                const date = new Date(d.data);
-                return date.getFullYear() === year && date.getMonth() === month;
-            })
-            .reduce((sum, d) => sum + (d.valor || 0), 0);
+    getImovelValuation(imovel, date = Utils.getCurrentDate()) {
+        const custo = imovel.dataAquisicao
+            ? this.getImovelCostAtDate(imovel, date)
+            : (imovel.valorCompra || 0) + (imovel.valorReforma || 0);
+        const valor = this.getImovelMarketValueAtDate(imovel, date);
+        const divida = this.getImovelDebtAtDate(imovel, date);
+        const anos = imovel.dataAquisicao ? Utils.daysBetween(imovel.dataAquisicao, date) / 365 : 0;
+        const { totalAppreciation, percentAppreciation, annualizedReturn } =
+            Calculations.calculateAppreciation(custo, valor, anos);
+
+        return {
+            custo,
+            valor,
+            valorizacao: totalAppreciation,
+            valorizacaoPercent: percentAppreciation,
+            anualizado: custo > 0 ? annualizedReturn : 0,
+            divida,
+            equity: valor - divida,
+            ltv: valor > 0 ? divida / valor : 0,
+            ultimaAvaliacao: this.getPatrimonioByImovel(imovel.id)
+                .filter(p => p.data && p.data <= date)
+                .pop() || null
+        };
     },
 
     /**
-     * Get total debt (financiamentos + consórcios)
+     * Get the value path of an imóvel: acquisition cost at the acquisition
+     * date followed by each valuation snapshot
+     * @param {Object} imovel - Imóvel record
+     * @returns {Array} [{data, valor, tipo}] oldest first
      */
-    getTotalDebt() {
-        const financiamentos = this.getFinanciamentos();
-        const consorcios = this.getConsorcios();
+    getImovelValueHistory(imovel) {
+        const pontos = this.getPatrimonioByImovel(imovel.id)
+            .filter(p => p.data)
+            .map(p => ({ data: p.data, valor: p.valor || 0, tipo: p.tipo }));
 
-        const debtFinanciamentos = financiamentos.reduce((sum, f) => {
-            return sum + (f.saldoDevedor || 0);
-        }, 0);
+        if (imovel.dataAquisicao && !pontos.some(p => p.data === imovel.dataAquisicao)) {
+            pontos.unshift({ data: imovel.dataAquisicao, valor: imovel.valorCompra || 0, tipo: 'aquisicao' });
+        }
 
-        const debtConsorcios = consorcios
-            .filter(c => c.status !== 'encerrado')
-            .reduce((sum, c) => {
-                const parcelasPagas = c.parcelasPagas || 0;
-                const valorParcela = c.valorParcela || 0;
-                const prazoTotal = c.prazoTotal || 0;
-                return sum + (valorParcela * (prazoTotal - parcelasPagas));
-            }, 0);
+        return pontos.filter(p => !imovel.dataAquisicao || p.data >= imovel.dataAquisicao);
+    },
 
-        return debtFinanciamentos + debtConsorcios;
+    // ========================================
+    // Índices de atualização
+    // ========================================
+
+    getIndices() {
+        return this.getAll(this.STORAGE_KEYS.INDICES);
+    },
+
+    getIndiceById(id) {
+        return this.getById(this.STORAGE_KEYS.INDICES, id);
     },
 
     /**
-     * Get total property value
+     * Save a monthly index variation, replacing the existing entry of the
+     * same index, city and month
+     * @param {Object} registro - {indice, cidade, mes (YYYY-MM), variacao}
+     * @returns {Object} Saved record
      */
-    getTotalPropertyValue() {
-        const imoveis = this.getImoveisAtivos();
-        return imoveis.reduce((sum, i) => {
-            return sum + (i.valorMercadoAtual || i.valorCompra || 0);
-        }, 0);
+    saveIndice(registro) {
+        const cidade = this.INDICES[registro.indice] && this.INDICES[registro.indice].porCidade
+            ? (registro.cidade || '').trim()
+            : '';
+        const existing = this.getIndices().find(i => i.id !== registro.id &&
+            i.indice === registro.indice &&
+            i.mes === registro.mes &&
+            this.normalizeCidade(i.cidade) === this.normalizeCidade(cidade));
+
+        if (existing && registro.id) {
+            this.delete(this.STORAGE_KEYS.INDICES, existing.id);
+        }
+
+        return this.save(this.STORAGE_KEYS.INDICES, {
+            ...registro,
+            id: registro.id || (existing && existing.id),
+            cidade
+        });
+    },
+
+    deleteIndice(id) {
+        return this.delete(this.STORAGE_KEYS.INDICES, id);
     },
 
     /**
-     * Get total equity
+     * Store imported index variations
+     * @param {Array} registros - Records {indice, cidade, mes, variacao}
+     * @returns {Object} {novos, atualizados}
      */
-    getTotalEquity() {
-        return this.getTotalPropertyValue() - this.getTotalDebt();
+    importIndices(registros) {
+        const total = this.getIndices().length;
+        registros.forEach(r => this.saveIndice(r));
+        const novos = this.getIndices().length - total;
+
+        return { novos, atualizados: registros.length - novos };
     },
 
     /**
-     * Get portfolio occupancy rate
+     * Normalize a city name for index lookup
+     * @param {string} cidade - City name
+     * @returns {string} Lowercase name without accents
      */
-    getOccupancyRate(year, month) {
-        const imoveis = this.getImoveisAtivos();
-        const receitas = this.getReceitas();
+    normalizeCidade(cidade) {
+        return (cidade || '').trim().toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+    },
 
-        if (imoveis.length === 0) return 0;
+    /**
+     * Get the monthly series of an index, oldest first
+     * @param {string} indice - Index key (INDICES)
+     * @param {string} cidade - City (only for porCidade indexes)
+     * @returns {Array} Records {indice, cidade, mes, variacao}
+     */
+    getSerieIndice(indice, cidade = '') {
+        const porCidade = this.INDICES[indice] && this.INDICES[indice].porCidade;
+        const alvo = this.normalizeCidade(cidade);
 
-        const daysInMonth = new Date(year, month + 1, 0).getDate();
-        const totalAvailableDays = imoveis.length * daysInMonth;
+        return this.getIndices()
+            .filter(i => i.indice === indice && (!porCidade || this.normalizeCidade(i.cidade) === alvo))
+            .sort((a, b) => a.mes.localeCompare(b.mes));
+    },
 
-        const occupiedDays = receitas
-            .filter(r => {
-                const checkIn = new Date(r.dataCheckIn);
-                const checkOut = new Date(r.dataCheckOut);
-                return (checkIn.getFullYear() === year && checkIn.getMonth() === month) ||
-                       (checkOut.getFullYear() === year && checkOut.getMonth() === month);
-            })
-            .reduce((sum, r) => sum + (r.numeroDiarias || 0), 0);
+    /**
+     * Get the cities with a stored series of a porCidade index
+     * @param {string} indice - Index key
+     * @returns {Array} City names
+     */
+    getCidadesIndice(indice) {
+        const cidades = {};
+        this.getIndices()
+            .filter(i => i.indice === indice && i.cidade)
+            .forEach(i => { cidades[this.normalizeCidade(i.cidade)] = i.cidade; });
 
-        return totalAvailableDays > 0 ? occupiedDays / totalAvailableDays : 0;
+        return Object.values(cidades).sort((a, b) => a.localeCompare(b));
     },
 
     /**
-     * Get Average Daily Rate (ADR)
+     * Accumulate an index from the month after a base date up to the month
+     * of a reference date. Months not yet published end the series; gaps
+     * before the last published month are counted as missing.
+     * @param {string} indice - Index key
+     * @param {string} cidade - City (only for porCidade indexes)
+     * @param {string} desde - Base date (YYYY-MM-DD)
+     * @param {string} ate - Reference date (YYYY-MM-DD)
+     * @returns {Object} {fator, meses, ultimoMes, faltantes}
      */
-    getADR(year, month) {
-        const receitas = this.getReceitas().filter(r => {
-            const d = new Date(r.dataCheckIn);
-            return d.getFullYear() === year && d.getMonth() === month;
-        });
+    getIndexFactor(indice, cidade, desde, ate) {
+        const variacoes = {};
+        this.getSerieIndice(indice, cidade)
+            .filter(i => i.mes > desde.slice(0, 7) && i.mes <= ate.slice(0, 7))
+            .forEach(i => { variacoes[i.mes] = i.variacao || 0; });
+
+        const meses = Object.keys(variacoes).sort();
+        if (meses.length === 0) {
+            return { fator: 1, meses: 0, ultimoMes: null, faltantes: 0 };
+        }
 
-        if (receitas.length === 0) return 0;
+        const ultimoMes = meses[meses.length - 1];
+        let fator = 1;
+        let faltantes = 0;
+        let mes = Utils.addMonths(Utils.parseDate(`${desde.slice(0, 7)}-01`), 1);
 
-        const totalRevenue = receitas.reduce((sum, r) => sum + (r.valorBruto || 0), 0);
-        const totalDays = receitas.reduce((sum, r) => sum + (r.numeroDiarias || 0), 0);
+        while (Utils.formatDateInput(mes).slice(0, 7) <= ultimoMes) {
+            const chave = Utils.formatDateInput(mes).slice(0, 7);
+            if (chave in variacoes) {
+                fator *= 1 + variacoes[chave];
+            } else {
+                faltantes++;
+            }
+            mes = Utils.addMonths(mes, 1);
+        }
 
-        return totalDays > 0 ? totalRevenue / totalDays : 0;
+        return { fator, meses: meses.length, ultimoMes, faltantes };
     },
 
     /**
-     * Get Revenue per Available Room (RevPAR)
+     * Estimate the current value of an imóvel by updating its latest
+     * valuation snapshot (or the purchase price) with its index
+     * @param {Object} imovel - Imóvel record (indiceAtualizacao, cidade)
+     * @param {string} date - Reference date (YYYY-MM-DD, default: today)
+     * @returns {Object|null} {indice, cidade, base, fator, valor, ultimoMes, faltantes}
+     *                        or null when the imóvel has no index
      */
-    getRevPAR(year, month) {
-        const occupancy = this.getOccupancyRate(year, month);
-        const adr = this.getADR(year, month);
-        return occupancy * adr;
+    getImovelIndexedValue(imovel, date = Utils.getCurrentDate()) {
+        const indice = imovel.indiceAtualizacao;
+        if (!indice || !this.INDICES[indice]) return null;
+        if (imovel.dataAquisicao && imovel.dataAquisicao > date) return null;
+
+        const snapshot = this.getPatrimonioByImovel(imovel.id)
+            .filter(p => p.data && p.data <= date)
+            .pop();
+        const base = snapshot
+            ? { data: snapshot.data, valor: snapshot.valor || 0, tipo: snapshot.tipo }
+            : { data: imovel.dataAquisicao || date, valor: imovel.valorCompra || 0, tipo: 'aquisicao' };
+
+        const cidade = this.INDICES[indice].porCidade ? imovel.cidade || '' : '';
+        const { fator, ultimoMes, faltantes } = this.getIndexFactor(indice, cidade, base.data, date);
+
+        return {
+            indice,
+            cidade,
+            base,
+            fator,
+            valor: base.valor * fator,
+            ultimoMes,
+            faltantes
+        };
     },
 
     // ========================================
-    // Import/Export
+    // Dashboard layouts (per user)
     // ========================================
 
     /**
-     * Export all data
+     * Get the dashboard widgets saved by a user
+     * @param {string} userId - User ID
+     * @returns {Array|null} [{id, tamanho}] or null when never customized
      */
-    exportAll() {
-        const data = {};
-        Object.entries(this.STORAGE_KEYS).forEach(([key, storageKey]) => {
-            const value = localStorage.getItem(storageKey);
-            data[key] = value ? JSON.parse(value) : null;
-        });
-
-        data.exportDate = new Date().toISOString();
-        data.version = '1.0.0';
+    getDashboardLayout(userId) {
+        const layout = this.getAll(this.STORAGE_KEYS.LAYOUTS_DASHBOARD).find(l => l.userId === userId);
+        return layout ? layout.widgets : null;
+    },
 
-        return data;
+    /**
+     * Save the dashboard widgets of a user
+     * @param {string} userId - User ID
+     * @param {Array} widgets - [{id, tamanho}] in display order
+     * @returns {Object} Saved layout record
+     */
+    saveDashboardLayout(userId, widgets) {
+        const existing = this.getAll(this.STORAGE_KEYS.LAYOUTS_DASHBOARD).find(l => l.userId === userId);
+        return this.save(this.STORAGE_KEYS.LAYOUTS_DASHBOARD, { ...existing, userId, widgets });
     },
 
     /**
-     * Import data
+     * Drop a user's dashboard layout (back to the default widgets)
+     * @param {string} userId - User ID
      */
-    importAll(data) {
-        try {
-            // Validate data structure
-            if (!data || typeof data !== 'object') {
-                throw new Error('Invalid data format');
-            }
+    deleteDashboardLayout(userId) {
+        this.getAll(this.STORAGE_KEYS.LAYOUTS_DASHBOARD)
+            .filter(l => l.userId === userId)
+            .forEach(l => this.delete(this.STORAGE_KEYS.LAYOUTS_DASHBOARD, l.id));
+    },
 
-            // Import each collection
-            Object.entries(this.STORAGE_KEYS).forEach(([key, storageKey]) => {
-                if (data[key]) {
-                    localStorage.setItem(storageKey, JSON.stringify(data[key]));
-                }
-            });
+    // ========================================
+    // Documentos
+    // ========================================
+
+    getDocumentos() {
+        return this.getAll(this.STORAGE_KEYS.DOCUMENTOS);
+    },
+
+    saveDocumento(documento) {
+        return this.save(this.STORAGE_KEYS.DOCUMENTOS, documento);
+    },
+
+    deleteDocumento(id) {
+        return this.delete(this.STORAGE_KEYS.DOCUMENTOS, id);
+    },
+
+    getDocumentosByImovel(imovelId) {
+        return this.getDocumentos().filter(d => d.imovelId === imovelId);
+    },
+
+    // ========================================
+    // Aportes (capital contributions and distributions)
+    // ========================================
+
+    getAportes() {
+        return this.getAll(this.STORAGE_KEYS.APORTES);
+    },
+
+    getAporteById(id) {
+        return this.getById(this.STORAGE_KEYS.APORTES, id);
+    },
+
+    saveAporte(aporte) {
+        return this.save(this.STORAGE_KEYS.APORTES, aporte);
+    },
+
+    deleteAporte(id) {
+        return this.delete(this.STORAGE_KEYS.APORTES, id);
+    },
+
+    getAportesByPeriodo(startDate, endDate) {
+        return this.getAportes().filter(a => a.data >= startDate && a.data <= endDate);
+    },
+
+    // ========================================
+    // Contas (bank accounts, platform balances, caixa)
+    // ========================================
+
+    getContas() {
+        return this.getAll(this.STORAGE_KEYS.CONTAS);
+    },
+
+    getContaById(id) {
+        return this.getById(this.STORAGE_KEYS.CONTAS, id);
+    },
+
+    saveConta(conta) {
+        // Only one account can be the principal one
+        if (conta.principal) {
+            this.getContas()
+                .filter(c => c.principal && c.id !== conta.id)
+                .forEach(c => this.save(this.STORAGE_KEYS.CONTAS, { ...c, principal: false }));
+        }
+        return this.save(this.STORAGE_KEYS.CONTAS, conta);
+    },
+
+    deleteConta(id) {
+        this.getTransferencias()
+            .filter(t => t.contaOrigemId === id || t.contaDestinoId === id)
+            .forEach(t => this.deleteTransferencia(t.id));
+        return this.delete(this.STORAGE_KEYS.CONTAS, id);
+    },
+
+    /**
+     * Get the account that receives movements with no account of their own
+     * (taxes, down payments, reformas and unassigned lançamentos)
+     * @returns {Object|null} Conta marked principal, else the first one
+     */
+    getContaPrincipal() {
+        const contas = this.getContas();
+        return contas.find(c => c.principal) || contas[0] || null;
+    },
+
+    getTransferencias() {
+        return this.getAll(this.STORAGE_KEYS.TRANSFERENCIAS);
+    },
+
+    saveTransferencia(transferencia) {
+        return this.save(this.STORAGE_KEYS.TRANSFERENCIAS, transferencia);
+    },
+
+    deleteTransferencia(id) {
+        return this.delete(this.STORAGE_KEYS.TRANSFERENCIAS, id);
+    },
+
+    // ========================================
+    // Calendários iCal (platform availability feeds)
+    // ========================================
+
+    getCalendarios() {
+        return this.getAll(this.STORAGE_KEYS.CALENDARIOS);
+    },
+
+    getCalendarioById(id) {
+        return this.getById(this.STORAGE_KEYS.CALENDARIOS, id);
+    },
+
+    saveCalendario(calendario) {
+        return this.save(this.STORAGE_KEYS.CALENDARIOS, calendario);
+    },
+
+    deleteCalendario(id) {
+        return this.delete(this.STORAGE_KEYS.CALENDARIOS, id);
+    },
+
+    getCalendariosByImovel(imovelId) {
+        return this.getCalendarios().filter(c => c.imovelId === imovelId);
+    },
+
+    deleteCalendariosByImovel(imovelId) {
+        this.getCalendariosByImovel(imovelId).forEach(c => this.deleteCalendario(c.id));
+    },
+
+    /**
+     * Parse the events of a stored iCal feed. Feeds that do not parse (e.g.
+     * restored from a backup without validation) are skipped.
+     * @param {Object} calendario - Calendário record
+     * @returns {Array} Importers.parseICS events, empty when unreadable
+     */
+    getCalendarioEventos(calendario) {
+        try {
+            return Importers.parseICS(calendario.conteudo || '');
+        } catch (error) {
+            return [];
+        }
+    },
+
+    /**
+     * Reconcile the stored iCal feeds of an imóvel against its receitas
+     * @param {string} imovelId - Property ID
+     * @returns {Object} Importers.reconcileCalendar result; each event also
+     *                   carries the plataforma of its feed
+     */
+    getCalendarReconciliation(imovelId) {
+        const eventos = this.getCalendariosByImovel(imovelId).flatMap(calendario =>
+            this.getCalendarioEventos(calendario).map(e => ({ ...e, plataforma: calendario.plataforma }))
+        );
+
+        return Importers.reconcileCalendar(eventos, this.getReceitasByImovel(imovelId));
+    },
+
+    // ========================================
+    // Conciliação Bancária (bank statement transactions)
+    // ========================================
+
+    getTransacoesBancarias() {
+        return this.getAll(this.STORAGE_KEYS.EXTRATO);
+    },
+
+    getTransacaoBancariaById(id) {
+        return this.getById(this.STORAGE_KEYS.EXTRATO, id);
+    },
+
+    saveTransacaoBancaria(transacao) {
+        return this.save(this.STORAGE_KEYS.EXTRATO, transacao);
+    },
+
+    deleteTransacaoBancaria(id) {
+        return this.delete(this.STORAGE_KEYS.EXTRATO, id);
+    },
+
+    /**
+     * Store parsed statement transactions, skipping those already imported
+     * @param {Array} transacoes - Importers.parseBankStatement result
+     * @returns {number} Number of new transactions
+     */
+    importTransacoesBancarias(transacoes) {
+        const existentes = new Set(this.getTransacoesBancarias().map(t => t.fitid));
+        const novas = transacoes.filter(t => !existentes.has(t.fitid));
+
+        novas.forEach(t => this.saveTransacaoBancaria({ ...t, status: 'pendente', lancamento: null }));
+        return novas.length;
+    },
+
+    /**
+     * Return transactions linked to a deleted receita or despesa to pending
+     * @param {string} tipo - 'receita' or 'despesa'
+     * @param {string} id - Lançamento ID
+     */
+    unlinkTransacoesBancarias(tipo, id) {
+        this.getTransacoesBancarias()
+            .filter(t => t.lancamento && t.lancamento.tipo === tipo && t.lancamento.id === id)
+            .forEach(t => this.saveTransacaoBancaria({ ...t, status: 'pendente', lancamento: null }));
+    },
+
+    getRegrasCategoria() {
+        return this.getConfiguracoes().importacao.regrasCategoria || [];
+    },
+
+    saveRegrasCategoria(regras) {
+        const config = this.getConfiguracoes();
+        config.importacao = { ...config.importacao, regrasCategoria: regras };
+        this.saveConfiguracoes(config);
+    },
+
+    /**
+     * Get the system entries a bank transaction can settle: despesas (debits)
+     * and receita payouts (credits), signed like the statement
+     * @returns {Array} Lançamentos {tipo, id, data, valor, descricao}
+     */
+    getLancamentosConciliaveis() {
+        const despesas = this.getDespesas().map(d => ({
+            tipo: 'despesa',
+            id: d.id,
+            data: d.data,
+            valor: -(d.valor || 0),
+            descricao: [d.descricao, d.fornecedor].filter(Boolean).join(' ')
+        }));
+
+        const receitas = this.getReceitas()
+            .filter(r => r.status !== 'cancelada')
+            .map(r => ({
+                tipo: 'receita',
+                id: r.id,
+                data: this.getReceitaPayoutDate(r),
+                valor: r.valorLiquido || 0,
+                descricao: [r.plataforma, r.hospede].filter(Boolean).join(' ')
+            }));
+
+        return [...despesas, ...receitas];
+    },
+
+    /**
+     * Suggest a lançamento for each pending transaction. Pairs are assigned
+     * from the highest score down so one lançamento settles one transaction.
+     * @returns {Object} Map transacaoId -> {lancamento, score}
+     */
+    getSugestoesConciliacao() {
+        const transacoes = this.getTransacoesBancarias();
+        const usados = new Set(transacoes
+            .filter(t => t.lancamento)
+            .map(t => `${t.lancamento.tipo}:${t.lancamento.id}`));
+        const lancamentos = this.getLancamentosConciliaveis().filter(l => !usados.has(`${l.tipo}:${l.id}`));
+
+        const pares = [];
+        transacoes.filter(t => t.status === 'pendente').forEach(transacao => {
+            lancamentos.forEach(lancamento => {
+                const score = Importers.scoreMatch(transacao, lancamento);
+                if (score > 0) pares.push({ transacao, lancamento, score });
+            });
+        });
+
+        const sugestoes = {};
+        pares.sort((a, b) => b.score - a.score).forEach(({ transacao, lancamento, score }) => {
+            const chave = `${lancamento.tipo}:${lancamento.id}`;
+            if (sugestoes[transacao.id] || usados.has(chave)) return;
+            sugestoes[transacao.id] = { lancamento, score };
+            usados.add(chave);
+        });
+
+        return sugestoes;
+    },
+
+    /**
+     * Link a transaction to the lançamento it settles. A receita takes the
+     * statement date as its payout date, since that is when cash came in.
+     * @param {string} transacaoId - Transaction ID
+     * @param {string} tipo - 'receita' or 'despesa'
+     * @param {string} lancamentoId - Receita or despesa ID
+     */
+    conciliarTransacao(transacaoId, tipo, lancamentoId) {
+        const transacao = this.getTransacaoBancariaById(transacaoId);
+        if (!transacao) return;
+
+        if (tipo === 'receita') {
+            const receita = this.getReceitaById(lancamentoId);
+            if (receita && receita.dataRepasse !== transacao.data) {
+                this.saveReceita({ ...receita, dataRepasse: transacao.data });
+            }
+        }
+
+        this.saveTransacaoBancaria({ ...transacao, status: 'conciliado', lancamento: { tipo, id: lancamentoId } });
+    },
+
+    /**
+     * Create a despesa from an unmatched debit and link it
+     * @param {string} transacaoId - Transaction ID
+     * @param {Object} dados - {categoria, imovelId, descricao}
+     * @returns {Object} Created despesa
+     */
+    criarDespesaDeTransacao(transacaoId, dados) {
+        const transacao = this.getTransacaoBancariaById(transacaoId);
+        if (!transacao) return null;
+
+        const despesa = this.saveDespesa({
+            data: transacao.data,
+            imovelId: dados.imovelId || '',
+            categoria: dados.categoria,
+            valor: Math.abs(transacao.valor),
+            descricao: dados.descricao || transacao.descricao,
+            fornecedor: '',
+            recorrencia: 'unica'
+        });
+
+        this.conciliarTransacao(transacaoId, 'despesa', despesa.id);
+        return despesa;
+    },
+
+    /**
+     * Set a transaction aside (e.g. transfers between own accounts) or
+     * return it to pending
+     * @param {string} transacaoId - Transaction ID
+     * @param {string} status - 'ignorado' or 'pendente'
+     */
+    setStatusTransacao(transacaoId, status) {
+        const transacao = this.getTransacaoBancariaById(transacaoId);
+        if (!transacao) return;
+
+        this.saveTransacaoBancaria({ ...transacao, status, lancamento: null });
+    },
+
+    /**
+     * Summarize reconciliation by statement month
+     * @returns {Array} {mes, total, conciliadas, ignoradas, pendentes,
+     *                  creditos, debitos, status} sorted by month, where status
+     *                  is 'conciliado', 'parcial' or 'pendente'
+     */
+    getConciliacaoMensal() {
+        const meses = {};
+
+        this.getTransacoesBancarias().forEach(t => {
+            const mes = t.data.slice(0, 7);
+            const resumo = meses[mes] || (meses[mes] = {
+                mes, total: 0, conciliadas: 0, ignoradas: 0, pendentes: 0, creditos: 0, debitos: 0
+            });
+
+            resumo.total++;
+            if (t.status === 'conciliado') resumo.conciliadas++;
+            else if (t.status === 'ignorado') resumo.ignoradas++;
+            else resumo.pendentes++;
+
+            if (t.valor > 0) resumo.creditos += t.valor;
+            else resumo.debitos += -t.valor;
+        });
+
+        return Object.values(meses)
+            .sort((a, b) => a.mes.localeCompare(b.mes))
+            .map(m => ({
+                ...m,
+                status: m.pendentes === 0 ? 'conciliado' : m.pendentes === m.total ? 'pendente' : 'parcial'
+            }));
+    },
+
+    // ========================================
+    // Statistics & Aggregations
+    // ========================================
+
+    /**
+     * Get monthly revenue statistics (receitas bucketed by the YYYY-MM of
+     * their check-in, so no timezone shift moves them across months)
+     */
+    getMonthlyRevenue(year, month) {
+        const mes = this.getMonthKey(year, month);
+        return this.getReceitas()
+            .filter(r => (r.dataCheckIn || '').slice(0, 7) === mes)
+            .reduce((sum, r) => sum + (r.valorLiquido || 0), 0);
+    },
+
+    /**
+     * Get monthly expenses (bucketed by the YYYY-MM of their date)
+     */
+    getMonthlyExpenses(year, month) {
+        const mes = this.getMonthKey(year, month);
+        return this.getDespesas()
+            .filter(d => (d.data || '').slice(0, 7) === mes)
+            .reduce((sum, d) => sum + (d.valor || 0), 0);
+    },
+
+    /**
+     * Format a month as its YYYY-MM key
+     * @param {number} year - Year
+     * @param {number} month - Month (0-11)
+     * @returns {string} Month key
+     */
+    getMonthKey(year, month) {
+        return `${year}-${String(month + 1).padStart(2, '0')}`;
+    },
+
+    /**
+     * Get expense totals grouped by category
+     * @param {Array} despesas - Despesas to group (default: all)
+     * @returns {Object} Map of categoria => total
+     */
+    getExpensesByCategory(despesas = this.getDespesas()) {
+        return despesas.reduce((totals, d) => {
+            const categoria = d.categoria || 'outros';
+            totals[categoria] = (totals[categoria] || 0) + (d.valor || 0);
+            return totals;
+        }, {});
+    },
+
+    /**
+     * Get total debt (financiamentos + consórcios)
+     */
+    getTotalDebt() {
+        const financiamentos = this.getFinanciamentos();
+        const consorcios = this.getConsorcios();
+
+        const debtFinanciamentos = financiamentos.reduce((sum, f) => {
+            return sum + (f.saldoDevedor || 0);
+        }, 0);
+
+        const debtConsorcios = consorcios
+            .filter(c => c.status !== 'encerrado')
+            .reduce((sum, c) => {
+                const parcelasPagas = c.parcelasPagas || 0;
+                const valorParcela = c.valorParcela || 0;
+                const prazoTotal = c.prazoTotal || 0;
+                return sum + (valorParcela * (prazoTotal - parcelasPagas));
+            }, 0);
+
+        return debtFinanciamentos + debtConsorcios;
+    },
+
+    /**
+     * Get total property value
+     */
+    getTotalPropertyValue() {
+        const imoveis = this.getImoveisAtivos();
+        return imoveis.reduce((sum, i) => {
+            return sum + (i.valorMercadoAtual || i.valorCompra || 0);
+        }, 0);
+    },
+
+    /**
+     * Get total property value with index-based estimates in place of the
+     * recorded market value wherever an imóvel has an index
+     * @returns {Object} {valor, estimados (imóveis estimated)}
+     */
+    getTotalIndexedPropertyValue() {
+        let estimados = 0;
+        const valor = this.getImoveisAtivos().reduce((sum, i) => {
+            const indexado = this.getImovelIndexedValue(i);
+            if (indexado && indexado.ultimoMes) {
+                estimados++;
+                return sum + indexado.valor;
+            }
+            return sum + (i.valorMercadoAtual || i.valorCompra || 0);
+        }, 0);
+
+        return { valor, estimados };
+    },
+
+    /**
+     * Get total equity
+     */
+    getTotalEquity() {
+        return this.getTotalPropertyValue() - this.getTotalDebt();
+    },
+
+    /**
+     * Get the market value of an imóvel at a date: the latest valuation
+     * snapshot up to the date, the current market value from today on, and
+     * the historical cost otherwise (zero before acquisition)
+     * @param {Object} imovel - Imóvel record
+     * @param {string} date - Reference date (YYYY-MM-DD)
+     * @returns {number} Market value
+     */
+    getImovelMarketValueAtDate(imovel, date) {
+        if (imovel.dataAquisicao && imovel.dataAquisicao > date) return 0;
+
+        const snapshot = this.getPatrimonioByImovel(imovel.id)
+            .filter(p => p.data && p.data <= date)
+            .sort((a, b) => b.data.localeCompare(a.data))[0];
+        if (snapshot) return snapshot.valor || 0;
+
+        const custo = imovel.dataAquisicao
+            ? this.getImovelCostAtDate(imovel, date)
+            : (imovel.valorCompra || 0) + (imovel.valorReforma || 0);
+        if (date >= Utils.getCurrentDate()) return imovel.valorMercadoAtual || custo;
+        return custo;
+    },
+
+    /**
+     * Get the debt tied to an imóvel at a date: outstanding financiamentos
+     * plus parcelas still due on contemplated consórcios
+     * @param {Object} imovel - Imóvel record
+     * @param {string} date - Reference date (YYYY-MM-DD)
+     * @returns {number} Debt balance
+     */
+    getImovelDebtAtDate(imovel, date) {
+        if (imovel.dataAquisicao && imovel.dataAquisicao > date) return 0;
+
+        const financiamentos = this.getFinanciamentosByImovel(imovel.id)
+            .filter(fin => !fin.dataInicio || fin.dataInicio <= date)
+            .reduce((sum, fin) => sum + this.getFinanciamentoBalanceAtDate(fin, date).saldo, 0);
+        const consorcios = this.getConsorcios()
+            .filter(c => c.imovelId === imovel.id && this.isConsorcioContemplado(c))
+            .reduce((sum, c) => sum + this.getConsorcioObligationAtDate(c, date).total, 0);
+
+        return financiamentos + consorcios;
+    },
+
+    /**
+     * Get portfolio market value, debt and equity at a date (inactive
+     * imóveis are left out)
+     * @param {string} date - Reference date (YYYY-MM-DD)
+     * @returns {Object} {value, debt, equity}
+     */
+    getPortfolioValueAtDate(date) {
+        const imoveis = this.getImoveis().filter(i => i.status !== 'inativo');
+        const value = imoveis.reduce((sum, imovel) => sum + this.getImovelMarketValueAtDate(imovel, date), 0);
+        const debt = imoveis.reduce((sum, imovel) => sum + this.getImovelDebtAtDate(imovel, date), 0);
+
+        return { value, debt, equity: value - debt };
+    },
+
+    /**
+     * Rebuild portfolio value, debt and equity at each month end
+     * @param {number} meses - Number of months, ending with the reference month
+     * @param {Date|string} referenceDate - Reference date (default: today)
+     * @returns {Array} [{month, year, endDate, value, debt, equity}]
+     */
+    getEquityHistory(meses = 12, referenceDate = new Date()) {
+        const ref = typeof referenceDate === 'string' ? Utils.parseDate(referenceDate) : referenceDate;
+        const ultimoMes = new Date(ref.getFullYear(), ref.getMonth(), 1);
+
+        return Array.from({ length: meses }, (_, i) => {
+            const mes = Utils.addMonths(ultimoMes, i - meses + 1);
+            const { endDate } = Utils.getPeriodRange('mes', mes);
+            return { month: mes.getMonth(), year: mes.getFullYear(), endDate, ...this.getPortfolioValueAtDate(endDate) };
+        });
+    },
+
+    /**
+     * Get the dashboard KPIs of a period. Revenue is gross (valorBruto), as in
+     * ADR and RevPAR; stays crossing the period bounds count only their nights
+     * and the matching share of revenue inside it. Balances are taken at the
+     * period end.
+     * @param {string} startDate - Period start (YYYY-MM-DD)
+     * @param {string} endDate - Period end (YYYY-MM-DD, inclusive)
+     * @returns {Object} {receita, ocupacao, adr, revpar, valorImoveis, divida, patrimonio, ltv, imoveisAtivos}
+     */
+    getDashboardKPIs(startDate, endDate) {
+        const fimExclusivo = Utils.formatDateInput(Utils.addDays(Utils.parseDate(endDate), 1));
+        const ativas = this.getReceitas().filter(r => r.status !== 'cancelada' && r.dataCheckIn && r.dataCheckOut);
+
+        let receitaDiarias = 0;
+        let noitesVendidas = 0;
+        ativas.forEach(r => {
+            const total = Utils.daysBetween(r.dataCheckIn, r.dataCheckOut);
+            const inicio = r.dataCheckIn > startDate ? r.dataCheckIn : startDate;
+            const fim = r.dataCheckOut < fimExclusivo ? r.dataCheckOut : fimExclusivo;
+            if (total === 0 || inicio >= fim) return;
+
+            const noites = Utils.daysBetween(inicio, fim);
+            noitesVendidas += noites;
+            receitaDiarias += (r.valorBruto || 0) * noites / total;
+        });
+
+        const ocupacao = this.getPortfolioOccupancy(startDate, endDate);
+        const saldo = this.getPortfolioValueAtDate(endDate);
+
+        return {
+            receita: receitaDiarias,
+            ocupacao: ocupacao.taxa,
+            adr: noitesVendidas > 0 ? receitaDiarias / noitesVendidas : 0,
+            revpar: ocupacao.disponiveis > 0 ? receitaDiarias / ocupacao.disponiveis : 0,
+            valorImoveis: saldo.value,
+            divida: saldo.debt,
+            patrimonio: saldo.equity,
+            ltv: saldo.value > 0 ? saldo.debt / saldo.value : 0,
+            imoveisAtivos: ocupacao.imoveis.length
+        };
+    },
+
+    /**
+     * Get the latest created or updated records across the main entities.
+     * Generated occurrences of recurring despesas are left out so a new
+     * series shows up once.
+     * @param {number} limite - Maximum number of entries
+     * @returns {Array} [{tipo, acao, timestamp, registro, imovel}] newest first
+     */
+    getRecentActivity(limite = 10) {
+        const fontes = {
+            imovel: this.getImoveis(),
+            receita: this.getReceitas(),
+            despesa: this.getDespesas().filter(d => !d.serieId || d.ocorrencia === 1),
+            reforma: this.getReformas(),
+            aporte: this.getAportes(),
+            financiamento: this.getFinanciamentos(),
+            consorcio: this.getConsorcios()
+        };
+
+        const imoveisMap = {};
+        fontes.imovel.forEach(imovel => { imoveisMap[imovel.id] = imovel; });
+
+        return Object.entries(fontes)
+            .flatMap(([tipo, registros]) => registros
+                .filter(registro => registro.updatedAt || registro.createdAt)
+                .map(registro => ({
+                    tipo,
+                    acao: registro.updatedAt ? 'atualizado' : 'criado',
+                    timestamp: registro.updatedAt || registro.createdAt,
+                    registro,
+                    imovel: imoveisMap[registro.imovelId] || null
+                })))
+            .sort((a, b) => b.timestamp.localeCompare(a.timestamp))
+            .slice(0, limite);
+    },
+
+    /**
+     * Get the status of each night of an imóvel in a period: 'ocupada' (a
+     * stay), 'bloqueada' (blocked on a calendar feed without a receita, e.g.
+     * owner use), 'indisponivel' (before acquisition or during a reforma) or
+     * 'livre'. While the imóvel status is 'em-reforma', nights from the start
+     * of its last reforma (the whole period when none is dated) through the
+     * period end are 'indisponivel'.
+     * @param {Object} imovel - Imóvel record
+     * @param {string} startDate - Period start (YYYY-MM-DD)
+     * @param {string} endDate - Period end (YYYY-MM-DD, inclusive)
+     * @returns {Array} [{data, status, receita}]
+     */
+    getOccupancyNights(imovel, startDate, endDate) {
+        const fimExclusivo = Utils.formatDateInput(Utils.addDays(Utils.parseDate(endDate), 1));
+        const dentro = (inicio, fim) => Importers.getNights(
+            inicio > startDate ? inicio : startDate,
+            fim < fimExclusivo ? fim : fimExclusivo
+        );
+
+        const reservadas = {};
+        this.getReceitasByImovel(imovel.id)
+            .filter(r => r.status !== 'cancelada' && r.dataCheckIn && r.dataCheckOut)
+            .forEach(r => dentro(r.dataCheckIn, r.dataCheckOut).forEach(n => { reservadas[n] = r; }));
+
+        const bloqueadas = new Set();
+        this.getCalendariosByImovel(imovel.id)
+            .filter(c => c.conteudo)
+            .forEach(c => this.getCalendarioEventos(c)
+                .forEach(e => dentro(e.inicio, e.fim).forEach(n => bloqueadas.add(n))));
+
+        // Ongoing reformas keep the imóvel unavailable until the period end
+        const datadas = this.getReformasByImovel(imovel.id).filter(r => r.dataInicio);
+        const reformas = datadas
+            .filter(r => r.status === 'em-andamento' || r.status === 'concluida')
+            .map(r => ({ inicio: r.dataInicio, fim: r.dataConclusao || fimExclusivo }));
+
+        // An imóvel flagged em-reforma is out of use from its last reforma start
+        if (imovel.status === 'em-reforma') {
+            const ultimoInicio = datadas.map(r => r.dataInicio).sort().pop();
+            reformas.push({ inicio: ultimoInicio || startDate, fim: fimExclusivo });
+        }
+
+        return Importers.getNights(startDate, fimExclusivo).map(data => {
+            let status = 'livre';
+            if (reservadas[data]) {
+                status = 'ocupada';
+            } else if ((imovel.dataAquisicao && data < imovel.dataAquisicao) ||
+                       reformas.some(r => data >= r.inicio && data < r.fim)) {
+                status = 'indisponivel';
+            } else if (bloqueadas.has(data)) {
+                status = 'bloqueada';
+            }
+            return { data, status, receita: reservadas[data] || null };
+        });
+    },
+
+    /**
+     * Get the occupancy of an imóvel in a period, night by night. Blocked and
+     * unavailable nights are left out of the available nights.
+     * @param {Object} imovel - Imóvel record
+     * @param {string} startDate - Period start (YYYY-MM-DD)
+     * @param {string} endDate - Period end (YYYY-MM-DD, inclusive)
+     * @returns {Object} {noites, ocupadas, bloqueadas, indisponiveis, disponiveis, taxa}
+     */
+    getImovelOccupancy(imovel, startDate, endDate) {
+        const noites = this.getOccupancyNights(imovel, startDate, endDate);
+        const count = status => noites.filter(n => n.status === status).length;
+
+        const ocupadas = count('ocupada');
+        const bloqueadas = count('bloqueada');
+        const indisponiveis = count('indisponivel');
+        const disponiveis = noites.length - bloqueadas - indisponiveis;
+
+        return {
+            noites: noites.length,
+            ocupadas,
+            bloqueadas,
+            indisponiveis,
+            disponiveis,
+            taxa: disponiveis > 0 ? ocupadas / disponiveis : 0
+        };
+    },
+
+    /**
+     * Get the portfolio occupancy in a period: occupied over available
+     * nights summed across imóveis (inactive ones are left out)
+     * @param {string} startDate - Period start (YYYY-MM-DD)
+     * @param {string} endDate - Period end (YYYY-MM-DD, inclusive)
+     * @returns {Object} {ocupadas, disponiveis, taxa, imoveis: [{imovel, ...getImovelOccupancy}]}
+     */
+    getPortfolioOccupancy(startDate, endDate) {
+        const imoveis = this.getImoveis()
+            .filter(i => i.status !== 'inativo')
+            .map(imovel => ({ imovel, ...this.getImovelOccupancy(imovel, startDate, endDate) }));
+
+        const ocupadas = imoveis.reduce((sum, i) => sum + i.ocupadas, 0);
+        const disponiveis = imoveis.reduce((sum, i) => sum + i.disponiveis, 0);
+
+        return { ocupadas, disponiveis, taxa: disponiveis > 0 ? ocupadas / disponiveis : 0, imoveis };
+    },
+
+    /**
+     * Get the night-by-night calendar of every imóvel (inactive ones are left
+     * out), with the guest and nightly rate of occupied nights
+     * @param {string} startDate - Period start (YYYY-MM-DD)
+     * @param {string} endDate - Period end (YYYY-MM-DD, inclusive)
+     * @returns {Array} [{imovel, noites: [{data, status, hospede, valor}]}]
+     */
+    getOccupancyHeatmap(startDate, endDate) {
+        return this.getImoveis()
+            .filter(i => i.status !== 'inativo')
+            .map(imovel => ({
+                imovel,
+                noites: this.getOccupancyNights(imovel, startDate, endDate).map(({ data, status, receita }) => {
+                    const diarias = receita ? Utils.daysBetween(receita.dataCheckIn, receita.dataCheckOut) : 0;
+                    return {
+                        data,
+                        status,
+                        hospede: receita ? receita.hospede || '' : '',
+                        valor: diarias > 0 ? (receita.valorBruto || 0) / diarias : 0
+                    };
+                })
+            }));
+    },
+
+    /**
+     * Get portfolio occupancy rate of a month
+     * @param {number} year - Year
+     * @param {number} month - Month index (0-11)
+     * @returns {number} Occupancy (0.75 = 75%)
+     */
+    getOccupancyRate(year, month) {
+        const { startDate, endDate } = Utils.getPeriodRange('mes', new Date(year, month, 1));
+        return this.getPortfolioOccupancy(startDate, endDate).taxa;
+    },
+
+    /**
+     * Get Average Daily Rate (ADR)
+     */
+    getADR(year, month) {
+        const receitas = this.getReceitas().filter(r => {
+            const d = new Date(r.dataCheckIn);
+            return d.getFullYear() === year && d.getMonth() === month;
+        });
+
+        if (receitas.length === 0) return 0;
+
+        const totalRevenue = receitas.reduce((sum, r) => sum + (r.valorBruto || 0), 0);
+        const totalDays = receitas.reduce((sum, r) => sum + (r.numeroDiarias || 0), 0);
+
+        return totalDays > 0 ? totalRevenue / totalDays : 0;
+    },
+
+    /**
+     * Get Revenue per Available Room (RevPAR)
+     */
+    getRevPAR(year, month) {
+        const occupancy = this.getOccupancyRate(year, month);
+        const adr = this.getADR(year, month);
+        return occupancy * adr;
+    },
+
+    // ========================================
+    // Financial Statements
+    // ========================================
+
+    /**
+     * Get amortization table of a financiamento (SAC or PRICE)
+     * @param {Object} financiamento - Financiamento record
+     * @returns {Array} Amortization table
+     */
+    getAmortizationTable(financiamento) {
+        const startDate = Utils.parseDate(financiamento.dataInicio) || new Date();
+
+        if (financiamento.sistema === 'PRICE') {
+            return Calculations.generatePRICETable(
+                financiamento.valorFinanciado, financiamento.taxaJuros, financiamento.prazoTotal, startDate
+            );
+        }
+        return Calculations.generateSACTable(
+            financiamento.valorFinanciado, financiamento.taxaJuros, financiamento.prazoTotal, startDate
+        );
+    },
+
+    /**
+     * Get financiamento interest due within a period
+     * @param {string} startDate - Period start (YYYY-MM-DD)
+     * @param {string} endDate - Period end (YYYY-MM-DD)
+     * @param {string} imovelId - Restrict to one imóvel (optional)
+     * @returns {number} Total interest
+     */
+    getFinancialExpenses(startDate, endDate, imovelId = null) {
+        return this.getInterestSchedule(imovelId)
+            .filter(row => row.data >= startDate && row.data <= endDate)
+            .reduce((sum, row) => sum + row.interest, 0);
+    },
+
+    /**
+     * Get the interest of every financiamento installment
+     * @param {string} imovelId - Restrict to one imóvel (optional)
+     * @returns {Array} [{data (YYYY-MM-DD), interest}]
+     */
+    getInterestSchedule(imovelId = null) {
+        const financiamentos = imovelId
+            ? this.getFinanciamentosByImovel(imovelId)
+            : this.getFinanciamentos();
+
+        return financiamentos.flatMap(fin => this.getAmortizationTable(fin)
+            .map(row => ({ data: Utils.formatDateInput(row.date), interest: row.interest })));
+    },
+
+    /**
+     * Get straight-line depreciation of an imóvel within a period.
+     * The purchase price depreciates from the acquisition date and each
+     * concluded reforma from its conclusion date, never beyond its cost.
+     * @param {Object} imovel - Imóvel record
+     * @param {string} startDate - Period start (YYYY-MM-DD)
+     * @param {string} endDate - Period end (YYYY-MM-DD)
+     * @returns {number} Depreciation for the period
+     */
+    getDepreciationForPeriod(imovel, startDate, endDate) {
+        if (!imovel.dataAquisicao) return 0;
+
+        const vidaUtil = this.getConfiguracoes().depreciacao.vidaUtilImoveis;
+        const components = [
+            { valor: imovel.valorCompra || 0, desde: imovel.dataAquisicao },
+            ...this.getReformasByImovel(imovel.id)
+                .filter(r => r.status === 'concluida')
+                .map(r => ({
+                    valor: this.getReformaTotals(r).realizado,
+                    desde: r.dataConclusao || imovel.dataAquisicao
+                }))
+        ];
+
+        return components.reduce((sum, { valor, desde }) => {
+            if (valor === 0 || desde > endDate) return sum;
+
+            const { annualDepreciation } = Calculations.calculateDepreciation(valor, vidaUtil);
+            const depreciate = days => Math.min(valor, annualDepreciation * days / 365);
+            const daysBefore = startDate > desde ? Utils.daysBetween(desde, startDate) : 0;
+            const daysAtEnd = Utils.daysBetween(desde, endDate) + 1;
+
+            return sum + depreciate(daysAtEnd) - depreciate(daysBefore);
+        }, 0);
+    },
+
+    /**
+     * Get the nights an imóvel was occupied within a period (stays crossing
+     * the period bounds only count their nights inside it)
+     * @param {string} imovelId - Imóvel ID
+     * @param {string} startDate - Period start (YYYY-MM-DD)
+     * @param {string} endDate - Period end (YYYY-MM-DD)
+     * @returns {number} Occupied nights
+     */
+    getOccupiedNights(imovelId, startDate, endDate) {
+        const fimExclusivo = Utils.formatDateInput(Utils.addDays(Utils.parseDate(endDate), 1));
+
+        return this.getReceitasByImovel(imovelId)
+            .filter(r => r.status !== 'cancelada' && r.dataCheckIn && r.dataCheckOut)
+            .reduce((sum, r) => {
+                const inicio = r.dataCheckIn > startDate ? r.dataCheckIn : startDate;
+                const fim = r.dataCheckOut < fimExclusivo ? r.dataCheckOut : fimExclusivo;
+                return inicio < fim ? sum + Utils.daysBetween(inicio, fim) : sum;
+            }, 0);
+    },
+
+    /**
+     * Get the weight of each imóvel under every allocation key for a period
+     * @param {string} startDate - Period start (YYYY-MM-DD)
+     * @param {string} endDate - Period end (YYYY-MM-DD)
+     * @param {Array} receitas - Receitas of the period
+     * @returns {Object} {receita, quartos, noites}, each {imovelId: weight}
+     */
+    getRateioBases(startDate, endDate, receitas) {
+        const bases = { receita: {}, quartos: {}, noites: {} };
+
+        this.getImoveis().forEach(imovel => {
+            bases.receita[imovel.id] = receitas
+                .filter(r => r.imovelId === imovel.id)
+                .reduce((sum, r) => sum + (r.valorBruto || 0), 0);
+            bases.quartos[imovel.id] = imovel.numQuartos || 0;
+            bases.noites[imovel.id] = this.getOccupiedNights(imovel.id, startDate, endDate);
+        });
+
+        return bases;
+    },
+
+    /**
+     * Get how a despesa splits across imóveis. Despesas tied to an imóvel
+     * belong to it entirely; portfolio-wide ones follow their rateio key
+     * (revenue share by default), falling back to an equal split when the
+     * key has no weight in the period.
+     * @param {Object} despesa - Despesa record
+     * @param {Object} bases - getRateioBases result
+     * @returns {Object} {imovelId: share} (0.25 = 25%)
+     */
+    getRateioDespesa(despesa, bases) {
+        if (despesa.imovelId) return { [despesa.imovelId]: 1 };
+
+        const ids = Object.keys(bases.receita);
+        const pesos = despesa.rateio === 'percentual'
+            ? despesa.rateioPercentuais || {}
+            : bases[despesa.rateio] || bases.receita;
+        const total = ids.reduce((sum, id) => sum + (parseFloat(pesos[id]) || 0), 0);
+
+        return ids.reduce((shares, id) => {
+            shares[id] = total > 0 ? (parseFloat(pesos[id]) || 0) / total : 1 / ids.length;
+            return shares;
+        }, {});
+    },
+
+    /**
+     * Get despesas attributable to an imóvel: its own plus its share of
+     * portfolio-wide despesas (those without imovelId)
+     * @param {Array} despesas - Despesas of the period
+     * @param {string} imovelId - Imóvel ID
+     * @param {Object} bases - getRateioBases result
+     * @returns {Array} Despesas with allocated valor
+     */
+    getDespesasAllocatedToImovel(despesas, imovelId, bases) {
+        return despesas
+            .filter(d => d.imovelId === imovelId || !d.imovelId)
+            .map(d => d.imovelId ? d : {
+                ...d,
+                valor: (d.valor || 0) * (this.getRateioDespesa(d, bases)[imovelId] || 0)
+            });
+    },
+
+    /**
+     * Build the calculateDRE input from stored data for a period
+     * @param {string} startDate - Period start (YYYY-MM-DD)
+     * @param {string} endDate - Period end (YYYY-MM-DD)
+     * @param {string} imovelId - Restrict to one imóvel (default: whole portfolio)
+     * @returns {Object} Data for Calculations.calculateDRE
+     */
+    getDREData(startDate, endDate, imovelId = null) {
+        const { impostos } = this.getConfiguracoes();
+
+        const periodReceitas = this.getReceitasByPeriodo(startDate, endDate)
+            .filter(r => r.status !== 'cancelada');
+        const periodDespesas = this.getDespesasByPeriodo(startDate, endDate);
+
+        const receitas = imovelId
+            ? periodReceitas.filter(r => r.imovelId === imovelId)
+            : periodReceitas;
+        const despesas = imovelId
+            ? this.getDespesasAllocatedToImovel(periodDespesas, imovelId, this.getRateioBases(startDate, endDate, periodReceitas))
+            : periodDespesas;
+
+        const depreciacao = this.getImoveis()
+            .filter(imovel => !imovelId || imovel.id === imovelId)
+            .reduce((sum, imovel) => sum + this.getDepreciationForPeriod(imovel, startDate, endDate), 0);
+
+        const data = this.buildDREData(receitas, despesas, {
+            depreciacao,
+            despesasFinanceiras: this.getFinancialExpenses(startDate, endDate, imovelId)
+        }, impostos);
+
+        // IRPJ/CSLL are levied on the pre-tax result
+        const { lair } = Calculations.calculateDRE(data);
+        const tax = Calculations.calculateCorporateTax(lair, impostos.irpj, impostos.csll);
+        data.ir = tax.ir;
+        data.csll = tax.csll;
+
+        return data;
+    },
+
+    /**
+     * Assemble the calculateDRE input (without IRPJ/CSLL) from the records
+     * of a period
+     * @param {Array} receitas - Non-cancelled receitas of the period
+     * @param {Array} despesas - Despesas of the period
+     * @param {Object} outros - {depreciacao, despesasFinanceiras} of the period
+     * @param {Object} impostos - Tax rates (configurações)
+     * @returns {Object} Data for Calculations.calculateDRE
+     */
+    buildDREData(receitas, despesas, { depreciacao, despesasFinanceiras }, impostos) {
+        const receitaBruta = receitas.reduce((sum, r) => sum + (r.valorBruto || 0), 0);
+        let custosVariaveis = 0;
+        let despesasFixas = 0;
+        despesas.forEach(d => {
+            const categoria = this.CATEGORIAS_DESPESA[d.categoria];
+            if (categoria && categoria.tipo === 'variavel') {
+                custosVariaveis += d.valor || 0;
+            } else {
+                despesasFixas += d.valor || 0;
+            }
+        });
+
+        return {
+            receitaBruta,
+            taxasPlataforma: receitas.reduce((sum, r) => sum + (r.taxas || 0), 0),
+            impostos: Calculations.calculateISS(receitaBruta, impostos.iss),
+            custosVariaveis,
+            despesasFixas,
+            depreciacao,
+            despesasFinanceiras,
+            receitasFinanceiras: 0
+        };
+    },
+
+    /**
+     * Build the calculateDRE input of each calendar month of a period (the
+     * first and last clipped to it), reading receitas, despesas and loan
+     * interest once. IRPJ/CSLL are left out: they depend on how months are
+     * grouped.
+     * @param {string} startDate - Period start (YYYY-MM-DD)
+     * @param {string} endDate - Period end (YYYY-MM-DD)
+     * @returns {Array} [{mes (YYYY-MM), startDate, endDate, data, lair}]
+     */
+    getMonthlyDREData(startDate, endDate) {
+        const { impostos } = this.getConfiguracoes();
+        const inPeriod = date => !!date && date >= startDate && date <= endDate;
+        const bucket = (items, getDate) => {
+            const grupos = {};
+            items.filter(item => inPeriod(getDate(item))).forEach(item => {
+                const mes = getDate(item).slice(0, 7);
+                (grupos[mes] = grupos[mes] || []).push(item);
+            });
+            return grupos;
+        };
+
+        const receitas = bucket(this.getReceitas().filter(r => r.status !== 'cancelada'), r => r.dataCheckIn);
+        const despesas = bucket(this.getDespesas(), d => d.data);
+        const juros = bucket(this.getInterestSchedule(), row => row.data);
+        const imoveis = this.getImoveis();
+
+        const meses = [];
+        let inicio = startDate;
+        while (inicio <= endDate) {
+            const ref = Utils.parseDate(inicio);
+            const fimMes = Utils.formatDateInput(new Date(ref.getFullYear(), ref.getMonth() + 1, 0));
+            const fim = fimMes < endDate ? fimMes : endDate;
+            const mes = inicio.slice(0, 7);
+
+            const data = this.buildDREData(receitas[mes] || [], despesas[mes] || [], {
+                depreciacao: imoveis.reduce((sum, imovel) => sum + this.getDepreciationForPeriod(imovel, inicio, fim), 0),
+                despesasFinanceiras: (juros[mes] || []).reduce((sum, row) => sum + row.interest, 0)
+            }, impostos);
+
+            meses.push({ mes, startDate: inicio, endDate: fim, data, lair: Calculations.calculateDRE(data).lair });
+            inicio = Utils.formatDateInput(Utils.addDays(fim, 1));
+        }
+
+        return meses;
+    },
+
+    /**
+     * Get per-imóvel results for a period, with portfolio-wide despesas
+     * allocated by their rateio key
+     * @param {string} startDate - Period start (YYYY-MM-DD)
+     * @param {string} endDate - Period end (YYYY-MM-DD)
+     * @returns {Array} [{imovel, receitaBruta, despesasDiretas, despesasRateadas, lucroLiquido, noitesOcupadas, noitesDisponiveis, ocupacao, custo, roi}]
+     */
+    getImovelPerformance(startDate, endDate) {
+        const periodReceitas = this.getReceitasByPeriodo(startDate, endDate)
+            .filter(r => r.status !== 'cancelada');
+        const periodDespesas = this.getDespesasByPeriodo(startDate, endDate);
+        const bases = this.getRateioBases(startDate, endDate, periodReceitas);
+
+        return this.getImoveis().map(imovel => {
+            const despesas = this.getDespesasAllocatedToImovel(periodDespesas, imovel.id, bases);
+            const dre = Calculations.calculateDRE(this.getDREData(startDate, endDate, imovel.id));
+            const custo = this.getImovelCostAtDate(imovel, endDate);
+            const ocupacao = this.getImovelOccupancy(imovel, startDate, endDate);
+
+            return {
+                imovel,
+                receitaBruta: dre.receitaBruta,
+                despesasDiretas: despesas.filter(d => d.imovelId).reduce((sum, d) => sum + (d.valor || 0), 0),
+                despesasRateadas: despesas.filter(d => !d.imovelId).reduce((sum, d) => sum + d.valor, 0),
+                lucroLiquido: dre.lucroLiquido,
+                noitesOcupadas: ocupacao.ocupadas,
+                noitesDisponiveis: ocupacao.disponiveis,
+                ocupacao: ocupacao.taxa,
+                custo,
+                roi: custo > 0 ? dre.lucroLiquido / custo : 0
+            };
+        });
+    },
+
+    /**
+     * Get the cost of an imóvel at a date: purchase price plus the reformas
+     * concluded up to that date (zero before acquisition)
+     * @param {Object} imovel - Imóvel record
+     * @param {string} date - Reference date (YYYY-MM-DD)
+     * @returns {number} Historical cost
+     */
+    getImovelCostAtDate(imovel, date) {
+        if (!imovel.dataAquisicao || imovel.dataAquisicao > date) return 0;
+
+        const reformas = this.getReformasByImovel(imovel.id)
+            .filter(r => r.status === 'concluida' && (r.dataConclusao || imovel.dataAquisicao) <= date)
+            .reduce((sum, r) => sum + this.getReformaTotals(r).realizado, 0);
+
+        return (imovel.valorCompra || 0) + reformas;
+    },
+
+    /**
+     * Get the cash paid on acquisition of an imóvel: purchase price net of
+     * financiamentos and contemplated consórcio credit (negative when the
+     * credit exceeds the price)
+     * @param {Object} imovel - Imóvel record
+     * @returns {number} Down payment
+     */
+    getImovelDownPayment(imovel) {
+        const financiado = this.getFinanciamentosByImovel(imovel.id)
+            .reduce((sum, f) => sum + (f.valorFinanciado || 0), 0);
+        const credito = this.getConsorcios()
+            .filter(c => c.imovelId === imovel.id && this.isConsorcioContemplado(c))
+            .reduce((sum, c) => sum + (c.valorCredito || 0), 0);
+
+        return (imovel.valorCompra || 0) - financiado - credito;
+    },
+
+    /**
+     * Get outstanding principal of a financiamento at a date, split into the
+     * amortization due in the following 12 months and the remainder
+     * @param {Object} financiamento - Financiamento record
+     * @param {string} date - Reference date (YYYY-MM-DD)
+     * @returns {Object} {saldo, curtoPrazo, longoPrazo}
+     */
+    getFinanciamentoBalanceAtDate(financiamento, date) {
+        const limit = Utils.formatDateInput(Utils.addMonths(Utils.parseDate(date), 12));
+        let saldo = financiamento.valorFinanciado || 0;
+        let curtoPrazo = 0;
+
+        this.getAmortizationTable(financiamento).forEach(row => {
+            const rowDate = Utils.formatDateInput(row.date);
+            if (rowDate <= date) {
+                saldo = row.balance;
+            } else if (rowDate <= limit) {
+                curtoPrazo += row.amortization;
+            }
+        });
+
+        curtoPrazo = Math.min(curtoPrazo, saldo);
+        return { saldo, curtoPrazo, longoPrazo: saldo - curtoPrazo };
+    },
+
+    /**
+     * Check whether a consórcio has been contemplated
+     * @param {Object} consorcio - Consórcio record
+     * @returns {boolean}
+     */
+    isConsorcioContemplado(consorcio) {
+        return consorcio.contemplado === true || consorcio.contemplado === 'true';
+    },
+
+    /**
+     * Get consórcio payments (parcelas and lances/prêmios) made in a period
+     * @param {Object} consorcio - Consórcio record
+     * @param {string} startDate - Period start (YYYY-MM-DD)
+     * @param {string} endDate - Period end (YYYY-MM-DD)
+     * @returns {Object} {parcelas, lances, numParcelas}
+     */
+    getConsorcioPayments(consorcio, startDate, endDate) {
+        const inPeriod = item => item.data >= startDate && item.data <= endDate;
+        const parcelas = (consorcio.historicoParcelas || []).filter(inPeriod);
+        const lances = (consorcio.historicoPremios || []).filter(inPeriod);
+
+        return {
+            parcelas: parcelas.reduce((sum, p) => sum + (p.valor || 0), 0),
+            lances: lances.reduce((sum, p) => sum + (p.valor || 0), 0),
+            numParcelas: parcelas.length
+        };
+    },
+
+    /**
+     * Get remaining consórcio obligation at a date (parcelas still to pay),
+     * split into the next 12 months and the remainder
+     * @param {Object} consorcio - Consórcio record
+     * @param {string} date - Reference date (YYYY-MM-DD)
+     * @returns {Object} {total, curtoPrazo, longoPrazo}
+     */
+    getConsorcioObligationAtDate(consorcio, date) {
+        const pagas = consorcio.historicoParcelas && consorcio.historicoParcelas.length > 0
+            ? this.getConsorcioPayments(consorcio, this.LEDGER_START, date).numParcelas
+            : (consorcio.parcelasPagas || 0);
+        const restantes = Math.max(0, (consorcio.prazoTotal || 0) - pagas);
+        const valorParcela = consorcio.valorParcela || 0;
+
+        const curtoPrazo = Math.min(restantes, 12) * valorParcela;
+        const total = restantes * valorParcela;
+        return { total, curtoPrazo, longoPrazo: total - curtoPrazo };
+    },
+
+    /**
+     * Get the date a receita payout reaches the account (defaults to check-in)
+     * @param {Object} receita - Receita record
+     * @returns {string} Payout date (YYYY-MM-DD)
+     */
+    getReceitaPayoutDate(receita) {
+        return receita.dataRepasse || receita.dataCheckIn;
+    },
+
+    /**
+     * Get the timing differences between revenue recognition (check-in) and
+     * payout at a date
+     * @param {string} date - Reference date (YYYY-MM-DD)
+     * @returns {Object} {contasReceber, receitasAntecipadas}
+     */
+    getReceivablesAtDate(date) {
+        let contasReceber = 0;
+        let receitasAntecipadas = 0;
+
+        this.getReceitas()
+            .filter(r => r.status !== 'cancelada')
+            .forEach(r => {
+                const recognized = r.dataCheckIn <= date;
+                const paid = this.getReceitaPayoutDate(r) <= date;
+                if (recognized && !paid) contasReceber += r.valorLiquido || 0;
+                if (paid && !recognized) receitasAntecipadas += r.valorLiquido || 0;
+            });
+
+        return { contasReceber, receitasAntecipadas };
+    },
+
+    /**
+     * Get ISS, IRPJ and CSLL accumulated from the start of the ledger to a date
+     * @param {string} date - Reference date (YYYY-MM-DD)
+     * @returns {number} Accumulated taxes
+     */
+    getAccumulatedTaxes(date) {
+        if (date < this.LEDGER_START) return 0;
+        const data = this.getDREData(this.LEDGER_START, date);
+        return data.impostos + data.ir + data.csll;
+    },
+
+    /**
+     * Get ISS, IRPJ and CSLL accumulated from the start of the ledger to the
+     * end of each month of a period, building on one ledger pass up to the
+     * day before the period
+     * @param {string} startDate - Period start (YYYY-MM-DD)
+     * @param {string} endDate - Period end (YYYY-MM-DD)
+     * @returns {Array} [{startDate, endDate, anterior, acumulado}] per month
+     *                  (anterior: accumulated up to the day before the month)
+     */
+    getAccumulatedTaxesByMonth(startDate, endDate) {
+        const { impostos } = this.getConfiguracoes();
+        const previousDate = Utils.formatDateInput(Utils.addDays(startDate, -1));
+
+        let iss = 0;
+        let lair = 0;
+        if (previousDate >= this.LEDGER_START) {
+            const abertura = this.getDREData(this.LEDGER_START, previousDate);
+            iss = abertura.impostos;
+            lair = Calculations.calculateDRE(abertura).lair;
+        }
+
+        let anterior = iss + Calculations.calculateCorporateTax(lair, impostos.irpj, impostos.csll).total;
+        return this.getMonthlyDREData(startDate, endDate).map(mes => {
+            iss += mes.data.impostos;
+            lair += mes.lair;
+            const acumulado = iss + Calculations.calculateCorporateTax(lair, impostos.irpj, impostos.csll).total;
+            const resultado = { startDate: mes.startDate, endDate: mes.endDate, anterior, acumulado };
+            anterior = acumulado;
+            return resultado;
+        });
+    },
+
+    /**
+     * Get cash movements of a period: the getLedgerEntries of every conta
+     * summed by tipo, grouped as Calculations.calculateCashFlow expects. Taxes
+     * are the change in accumulated taxes, so earlier losses offset later
+     * IRPJ/CSLL.
+     * @param {string} startDate - Period start (YYYY-MM-DD)
+     * @param {string} endDate - Period end (YYYY-MM-DD)
+     * @returns {Object} Data for Calculations.calculateCashFlow
+     */
+    getCashMovements(startDate, endDate) {
+        const totais = {};
+        this.getLedgerEntries(startDate, endDate).forEach(e => {
+            totais[e.tipo] = (totais[e.tipo] || 0) + e.valor;
+        });
+        const entradas = (...tipos) => tipos.reduce((sum, tipo) => sum + (totais[tipo] || 0), 0);
+        const saidas = (...tipos) => tipos.reduce((sum, tipo) => sum - (totais[tipo] || 0), 0);
+
+        const previousDate = Utils.formatDateInput(Utils.addDays(startDate, -1));
+        const pagamentosImpostos = this.getAccumulatedTaxes(endDate) - this.getAccumulatedTaxes(previousDate);
+
+        // Transfers between contas net to zero and are left out
+        return {
+            recebimentos: entradas('receita'),
+            pagamentosOperacionais: saidas('despesa'),
+            pagamentosImpostos,
+            aquisicoesAtivos: saidas('aquisicao', 'reforma'),
+            vendasAtivos: 0,
+            aportesCapital: entradas('aporte', 'saldo-inicial'),
+            pagamentosFinanciamentos: saidas('financiamento', 'consorcio'),
+            distribuicaoLucros: saidas('distribuicao')
+        };
+    },
+
+    /**
+     * Get the cash balance at the end of a date (running ledger of every
+     * movement up to it)
+     * @param {string} date - Reference date (YYYY-MM-DD)
+     * @returns {number} Cash balance
+     */
+    getCashBalanceAtDate(date) {
+        return Calculations.calculateCashFlow(this.getCashMovements(this.LEDGER_START, date)).saldoFinal;
+    },
+
+    /**
+     * Forecast month-end cash from today: scheduled receita payouts in,
+     * despesas (including materialized series occurrences), unpaid
+     * financiamento and consórcio parcelas and estimated taxes out
+     * @param {number} meses - Months to forecast
+     * @returns {Array} Months {mes, startDate, endDate, saldoInicial, entradas,
+     *                  despesas, dividas, impostos, saldoFinal}
+     */
+    getCashForecast(meses = 12) {
+        const hoje = Utils.getCurrentDate();
+        let saldo = this.getCashBalanceAtDate(hoje);
+        let inicio = Utils.formatDateInput(Utils.addDays(hoje, 1));
+        const previsao = [];
+
+        // Records and obligations are read once for the whole horizon
+        const primeiro = Utils.parseDate(inicio);
+        const horizonte = Utils.formatDateInput(new Date(primeiro.getFullYear(), primeiro.getMonth() + meses, 0));
+        const receitas = this.getReceitas().filter(r => r.status !== 'cancelada');
+        const registradas = this.getDespesas();
+
+        // Recorded despesas are counted from the records themselves
+        const pendentes = this.getObrigacoes(inicio, horizonte)
+            .filter(o => o.status !== 'pago' && !o.despesaId);
+
+        for (let i = 0; i < meses; i++) {
+            const ref = Utils.parseDate(inicio);
+            const fim = Utils.formatDateInput(new Date(ref.getFullYear(), ref.getMonth() + 1, 0));
+            const inPeriod = date => !!date && date >= inicio && date <= fim;
+
+            const entradas = receitas
+                .filter(r => inPeriod(this.getReceitaPayoutDate(r)))
+                .reduce((sum, r) => sum + (r.valorLiquido || 0), 0);
+
+            const obrigacoes = pendentes.filter(o => inPeriod(o.data));
+            const somar = tipos => obrigacoes
+                .filter(o => tipos.includes(o.tipo))
+                .reduce((sum, o) => sum + (o.valor || 0), 0);
+
+            const despesas = registradas
+                .filter(d => inPeriod(d.data))
+                .reduce((sum, d) => sum + (d.valor || 0), 0) + somar(['despesa']);
+            const dividas = somar(['financiamento', 'consorcio']);
+            const impostos = somar(['imposto']);
+            const saldoFinal = saldo + entradas - despesas - dividas - impostos;
+
+            previsao.push({
+                mes: fim.slice(0, 7),
+                startDate: inicio,
+                endDate: fim,
+                saldoInicial: saldo,
+                entradas,
+                despesas,
+                dividas,
+                impostos,
+                saldoFinal
+            });
+
+            saldo = saldoFinal;
+            inicio = Utils.formatDateInput(Utils.addDays(fim, 1));
+        }
+
+        return previsao;
+    },
+
+    /**
+     * Get the cash movements of a period one by one, each assigned to an
+     * account. Lançamentos without a valid contaId go to the principal account.
+     * Taxes are not itemized here: they accrue continuously and are charged to
+     * the principal account by getContaBalanceAtDate and getContaExtrato.
+     * @param {string} startDate - Period start (YYYY-MM-DD)
+     * @param {string} endDate - Period end (YYYY-MM-DD)
+     * @returns {Array} Entries {data, tipo, descricao, valor, contaId, ref},
+     *                  valor negative for outflows, sorted by date
+     */
+    getLedgerEntries(startDate, endDate) {
+        const inPeriod = date => !!date && date >= startDate && date <= endDate;
+        const contas = new Set(this.getContas().map(c => c.id));
+        const principal = this.getContaPrincipal();
+        const conta = contaId => contas.has(contaId) ? contaId : (principal ? principal.id : '');
+        const entries = [];
+        const add = (entry, contaId) => entries.push({ ref: null, ...entry, contaId: conta(contaId) });
+
+        this.getContas()
+            .filter(c => inPeriod(c.dataSaldoInicial || this.LEDGER_START) && c.saldoInicial)
+            .forEach(c => add({ data: c.dataSaldoInicial || this.LEDGER_START, tipo: 'saldo-inicial', descricao: 'Saldo inicial', valor: c.saldoInicial }, c.id));
+
+        this.getReceitas()
+            .filter(r => r.status !== 'cancelada' && inPeriod(this.getReceitaPayoutDate(r)))
+            .forEach(r => add({
+                data: this.getReceitaPayoutDate(r),
+                tipo: 'receita',
+                descricao: `Repasse ${r.hospede || ''}`.trim(),
+                valor: r.valorLiquido || 0,
+                ref: r.id
+            }, r.contaId));
+
+        this.getDespesasByPeriodo(startDate, endDate).forEach(d => add({
+            data: d.data,
+            tipo: 'despesa',
+            descricao: d.descricao || 'Despesa',
+            valor: -(d.valor || 0),
+            ref: d.id
+        }, d.contaId));
+
+        this.getImoveis()
+            .filter(imovel => inPeriod(imovel.dataAquisicao))
+            .forEach(imovel => add({
+                data: imovel.dataAquisicao,
+                tipo: 'aquisicao',
+                descricao: `Entrada na compra - ${imovel.nome}`,
+                valor: -this.getImovelDownPayment(imovel),
+                ref: imovel.id
+            }));
+
+        this.getReformas()
+            .filter(r => r.status === 'concluida' && inPeriod(r.dataConclusao))
+            .forEach(r => add({
+                data: r.dataConclusao,
+                tipo: 'reforma',
+                descricao: `Reforma - ${r.descricao || ''}`.trim(),
+                valor: -this.getReformaTotals(r).realizado,
+                ref: r.id
+            }));
+
+        this.getFinanciamentos().forEach(fin => {
+            this.getAmortizationTable(fin)
+                .filter(row => inPeriod(Utils.formatDateInput(row.date)))
+                .forEach(row => add({
+                    data: Utils.formatDateInput(row.date),
+                    tipo: 'financiamento',
+                    descricao: `Parcela ${row.number}/${fin.prazoTotal} - ${fin.banco || 'Financiamento'}`,
+                    valor: -row.payment,
+                    ref: fin.id
+                }, fin.contaId));
+        });
+
+        this.getConsorcios().forEach(c => {
+            [...(c.historicoParcelas || []), ...(c.historicoPremios || [])]
+                .filter(p => inPeriod(p.data))
+                .forEach(p => add({
+                    data: p.data,
+                    tipo: 'consorcio',
+                    descricao: `${p.tipo || 'Parcela'} - ${c.administradora || 'Consórcio'}`,
+                    valor: -(p.valor || 0),
+                    ref: c.id
+                }, c.contaId));
+        });
+
+        this.getAportesByPeriodo(startDate, endDate).forEach(a => add({
+            data: a.data,
+            tipo: a.tipo === 'distribuicao' ? 'distribuicao' : 'aporte',
+            descricao: a.descricao || (a.tipo === 'distribuicao' ? 'Distribuição de lucros' : 'Aporte de capital'),
+            valor: a.tipo === 'distribuicao' ? -(a.valor || 0) : (a.valor || 0),
+            ref: a.id
+        }, a.contaId));
+
+        this.getTransferencias()
+            .filter(t => inPeriod(t.data))
+            .forEach(t => {
+                const descricao = t.descricao || 'Transferência entre contas';
+                add({ data: t.data, tipo: 'transferencia', descricao, valor: -(t.valor || 0), ref: t.id }, t.contaOrigemId);
+                add({ data: t.data, tipo: 'transferencia', descricao, valor: t.valor || 0, ref: t.id }, t.contaDestinoId);
+            });
+
+        return entries.sort((a, b) => a.data.localeCompare(b.data));
+    },
+
+    /**
+     * Get an account balance at the end of a date
+     * @param {string} contaId - Account ID
+     * @param {string} date - Reference date (YYYY-MM-DD)
+     * @returns {number} Balance
+     */
+    getContaBalanceAtDate(contaId, date) {
+        const principal = this.getContaPrincipal();
+        const saldo = this.getLedgerEntries(this.LEDGER_START, date)
+            .filter(e => e.contaId === contaId)
+            .reduce((sum, e) => sum + e.valor, 0);
+
+        return principal && principal.id === contaId ? saldo - this.getAccumulatedTaxes(date) : saldo;
+    },
+
+    /**
+     * Build an account statement with running balance. Taxes of the
+     * principal account appear as one entry per calendar month (or part of
+     * it) on its last day.
+     * @param {string} contaId - Account ID
+     * @param {string} startDate - Period start (YYYY-MM-DD)
+     * @param {string} endDate - Period end (YYYY-MM-DD)
+     * @returns {Object} {saldoInicial, lancamentos: [{...entry, saldo}], saldoFinal}
+     */
+    getContaExtrato(contaId, startDate, endDate) {
+        const previousDate = Utils.formatDateInput(Utils.addDays(startDate, -1));
+        const saldoInicial = this.getContaBalanceAtDate(contaId, previousDate);
+        const entries = this.getLedgerEntries(startDate, endDate).filter(e => e.contaId === contaId);
+
+        const principal = this.getContaPrincipal();
+        if (principal && principal.id === contaId) {
+            this.getAccumulatedTaxesByMonth(startDate, endDate).forEach(({ endDate: fim, anterior, acumulado }) => {
+                const impostos = acumulado - anterior;
+                if (Math.abs(impostos) >= 0.01) {
+                    entries.push({ data: fim, tipo: 'impostos', descricao: 'Impostos (ISS, IRPJ, CSLL)', valor: -impostos, contaId, ref: null });
+                }
+            });
+            entries.sort((a, b) => a.data.localeCompare(b.data));
+        }
+
+        let saldo = saldoInicial;
+        const lancamentos = entries.map(e => {
+            saldo += e.valor;
+            return { ...e, saldo };
+        });
+
+        return { saldoInicial, lancamentos, saldoFinal: saldo };
+    },
+
+    /**
+     * Build the cash flow statement of a period in both presentations: direct
+     * (movements by nature) and indirect (lucro líquido adjusted for non-cash
+     * items, interest classified as financing, tax offsets and working capital
+     * changes)
+     * @param {string} startDate - Period start (YYYY-MM-DD)
+     * @param {string} endDate - Period end (YYYY-MM-DD)
+     * @returns {Object} {direto, indireto}
+     */
+    getCashFlowStatement(startDate, endDate) {
+        const previousDate = Utils.formatDateInput(Utils.addDays(startDate, -1));
+
+        const direto = Calculations.calculateCashFlow({
+            ...this.getCashMovements(startDate, endDate),
+            saldoInicial: this.getCashBalanceAtDate(previousDate)
+        });
+
+        const dreData = this.getDREData(startDate, endDate);
+        const dre = Calculations.calculateDRE(dreData);
+        const opening = this.getReceivablesAtDate(previousDate);
+        const closing = this.getReceivablesAtDate(endDate);
+        const variacaoContasReceber = closing.contasReceber - opening.contasReceber;
+        const variacaoReceitasAntecipadas = closing.receitasAntecipadas - opening.receitasAntecipadas;
+
+        // Taxes of the period's own DRE versus the accumulated taxes paid
+        const ajusteImpostos = dreData.impostos + dre.ir + dre.csll - direto.operacional.pagamentosImpostos;
+
+        const indireto = {
+            lucroLiquido: dre.lucroLiquido,
+            depreciacao: dre.depreciacao,
+            despesasFinanceiras: dre.despesasFinanceiras,
+            ajusteImpostos,
+            variacaoContasReceber,
+            variacaoReceitasAntecipadas,
+            total: dre.lucroLiquido + dre.depreciacao + dre.despesasFinanceiras + ajusteImpostos -
+                variacaoContasReceber + variacaoReceitasAntecipadas
+        };
+
+        return { direto, indireto };
+    },
+
+    /**
+     * Build the calculateBalanceSheet input at a date. Cash is the running
+     * ledger of every movement up to the date (the sum of the contas balances),
+     * capital includes the contas opening balances and retained earnings are
+     * the accumulated DRE result net of distributions.
+     * @param {string} date - Reference date (YYYY-MM-DD)
+     * @returns {Object} {data, receitasAntecipadas, consorcioDifference}; data
+     *                   feeds Calculations.calculateBalanceSheet, receitasAntecipadas
+     *                   is the payout-before-check-in part of outrosPassivosCirculantes
+     *                   and consorcioDifference the part of the gap explained by
+     *                   consórcio fees
+     */
+    getBalanceSheetData(date) {
+        const origem = this.LEDGER_START;
+        const movements = this.getCashMovements(origem, date);
+        const dre = Calculations.calculateDRE(this.getDREData(origem, date));
+
+        const imoveisAdquiridos = this.getImoveis()
+            .filter(imovel => imovel.dataAquisicao && imovel.dataAquisicao <= date);
+        const adquirido = imovelId => imoveisAdquiridos.some(imovel => imovel.id === imovelId);
+
+        const imoveis = imoveisAdquiridos
+            .reduce((sum, imovel) => sum + this.getImovelCostAtDate(imovel, date), 0);
+        const depreciacaoAcumulada = imoveisAdquiridos
+            .reduce((sum, imovel) => sum + this.getDepreciationForPeriod(imovel, origem, date), 0);
+
+        let financiamentosCurtoPrazo = 0;
+        let financiamentosLongoPrazo = 0;
+        this.getFinanciamentos()
+            .filter(fin => adquirido(fin.imovelId))
+            .forEach(fin => {
+                const { curtoPrazo, longoPrazo } = this.getFinanciamentoBalanceAtDate(fin, date);
+                financiamentosCurtoPrazo += curtoPrazo;
+                financiamentosLongoPrazo += longoPrazo;
+            });
+
+        // Contemplated consórcios are a liability (parcelas still due); the
+        // others are a right built up by the amounts already paid
+        let consorciosAContemplar = 0;
+        let consorciosCurtoPrazo = 0;
+        let consorciosLongoPrazo = 0;
+        let consorcioDifference = 0;
+        this.getConsorcios().forEach(c => {
+            const { parcelas, lances } = this.getConsorcioPayments(c, origem, date);
+            if (!this.isConsorcioContemplado(c) || !adquirido(c.imovelId)) {
+                consorciosAContemplar += parcelas + lances;
+                return;
+            }
+            const obligation = this.getConsorcioObligationAtDate(c, date);
+            consorciosCurtoPrazo += obligation.curtoPrazo;
+            consorciosLongoPrazo += obligation.longoPrazo;
+            consorcioDifference += (c.valorCredito || 0) - parcelas - lances - obligation.total;
+        });
+
+        const distribuicoes = movements.distribuicaoLucros;
+        const capitalSocial = movements.aportesCapital;
+        const { contasReceber, receitasAntecipadas } = this.getReceivablesAtDate(date);
+
+        return {
+            data: {
+                caixaEquivalentes: Calculations.calculateCashFlow(movements).saldoFinal,
+                contasReceber,
+                imoveis,
+                depreciacaoAcumulada,
+                outrosAtivosNaoCirculantes: consorciosAContemplar,
+                financiamentosCurtoPrazo,
+                outrosPassivosCirculantes: consorciosCurtoPrazo + receitasAntecipadas,
+                financiamentosLongoPrazo,
+                outrosPassivosNaoCirculantes: consorciosLongoPrazo,
+                capitalSocial,
+                lucrosAcumulados: dre.lucroLiquido - distribuicoes
+            },
+            receitasAntecipadas,
+            consorcioDifference
+        };
+    },
+
+    // ========================================
+    // Calendário de Obrigações
+    // ========================================
+
+    /**
+     * Get IDs of obligations confirmed as paid by hand (taxes, documents)
+     * @returns {Set} Obligation IDs
+     */
+    getObrigacoesPagas() {
+        return new Set(this.getAll(this.STORAGE_KEYS.OBRIGACOES).map(o => o.id));
+    },
+
+    /**
+     * Mark or unmark an obligation as paid
+     * @param {string} obrigacaoId - Obligation ID (see getObrigacoes)
+     * @param {boolean} pago - Paid flag
+     */
+    setObrigacaoPaga(obrigacaoId, pago) {
+        if (pago) {
+            this.save(this.STORAGE_KEYS.OBRIGACOES, { id: obrigacaoId, dataPagamento: Utils.getCurrentDate() });
+        } else {
+            this.delete(this.STORAGE_KEYS.OBRIGACOES, obrigacaoId);
+        }
+    },
+
+    /**
+     * Get every obligation due within a period: financiamento installments,
+     * consórcio parcelas, recurring despesas, taxes and document expirations.
+     * IDs are stable across calls so they can key payments and exports.
+     * @param {string} startDate - Period start (YYYY-MM-DD)
+     * @param {string} endDate - Period end (YYYY-MM-DD)
+     * @returns {Array} Obligations {id, data, tipo, descricao, imovelId, valor,
+     *                  status ('pago'|'atrasado'|'pendente'), manual}, by date
+     */
+    getObrigacoes(startDate, endDate) {
+        const inPeriod = date => date >= startDate && date <= endDate;
+        const today = Utils.getCurrentDate();
+        const pagas = this.getObrigacoesPagas();
+        const obrigacoes = [];
+
+        const add = (obrigacao, pago) => {
+            const status = pago ? 'pago' : (obrigacao.data < today ? 'atrasado' : 'pendente');
+            obrigacoes.push({ imovelId: null, manual: false, ...obrigacao, status });
+        };
+
+        this.getFinanciamentos().forEach(fin => {
+            this.getAmortizationTable(fin).forEach(row => {
+                const data = Utils.formatDateInput(row.date);
+                if (!inPeriod(data)) return;
+                add({
+                    id: `fin-${fin.id}-${row.number}`,
+                    data,
+                    tipo: 'financiamento',
+                    descricao: `Parcela ${row.number}/${fin.prazoTotal} - ${fin.banco || 'Financiamento'}`,
+                    imovelId: fin.imovelId,
+                    valor: row.payment
+                }, row.number <= (fin.parcelasPagas || 0));
+            });
+        });
+
+        this.getConsorcios()
+            .filter(c => c.dataInicio && c.status !== 'encerrado')
+            .forEach(c => {
+                const parcelasPagas = (c.historicoParcelas || []).length || (c.parcelasPagas || 0);
+                for (let n = 1; n <= (c.prazoTotal || 0); n++) {
+                    const data = Utils.formatDateInput(Utils.addMonths(Utils.parseDate(c.dataInicio), n - 1));
+                    if (data > endDate) break;
+                    if (!inPeriod(data)) continue;
+                    add({
+                        id: `cons-${c.id}-${n}`,
+                        data,
+                        tipo: 'consorcio',
+                        descricao: `Parcela ${n}/${c.prazoTotal} - ${c.administradora || 'Consórcio'}`,
+                        imovelId: c.imovelId,
+                        valor: c.valorParcela || 0
+                    }, n <= parcelasPagas);
+                }
+            });
+
+        // Materialized series occurrences count as paid once marked by hand or
+        // reconciled with a bank transaction
+        const conciliadas = new Set(this.getTransacoesBancarias()
+            .filter(t => t.lancamento && t.lancamento.tipo === 'despesa')
+            .map(t => t.lancamento.id));
+        const despesas = this.getDespesas();
+        despesas
+            .filter(d => d.serieId && inPeriod(d.data))
+            .forEach(d => {
+                const serie = this.getSerieDespesaById(d.serieId) || {};
+                const id = `desp-${d.id}`;
+                add({
+                    id,
+                    data: d.data,
+                    tipo: 'despesa',
+                    descricao: `${d.descricao || 'Despesa'} (${d.ocorrencia}${serie.termino === 'ocorrencias' ? `/${serie.numOcorrencias}` : ''})`,
+                    imovelId: d.imovelId || null,
+                    valor: d.valor || 0,
+                    despesaId: d.id,
+                    manual: true
+                }, pagas.has(id) || conciliadas.has(d.id));
+            });
+
+        // Despesas flagged recurring before series existed: a later occurrence
+        // counts as paid when a despesa of the same series (categoria, imóvel,
+        // descrição) is recorded in its month
+        despesas
+            .filter(d => !d.serieId && this.RECORRENCIA_MESES[d.recorrencia] && d.data)
+            .forEach(d => {
+                // Malformed dates (e.g. from a restored backup) are skipped
+                const inicio = Utils.parseDate(d.data);
+                if (!inicio || isNaN(inicio.getTime())) return;
+
+                const step = this.RECORRENCIA_MESES[d.recorrencia];
+                const meses = Utils.monthsBetween(inicio, Utils.parseDate(endDate));
+                for (let i = 0; i <= meses; i += step) {
+                    const data = Utils.formatDateInput(Utils.addMonths(inicio, i));
+                    if (data > endDate) break;
+                    if (!inPeriod(data)) continue;
+                    const month = data.slice(0, 7);
+                    const pago = i === 0 || despesas.some(other =>
+                        other.id !== d.id &&
+                        other.categoria === d.categoria &&
+                        (other.imovelId || '') === (d.imovelId || '') &&
+                        other.descricao === d.descricao &&
+                        (other.data || '').startsWith(month)
+                    );
+                    add({
+                        id: `desp-${d.id}-${month}`,
+                        data,
+                        tipo: 'despesa',
+                        descricao: d.descricao || (this.CATEGORIAS_DESPESA[d.categoria] || {}).label || 'Despesa',
+                        imovelId: d.imovelId || null,
+                        valor: d.valor || 0
+                    }, pago);
+                }
+            });
+
+        this.getTaxObligations(startDate, endDate).forEach(tax => {
+            add({ ...tax, tipo: 'imposto', manual: true }, pagas.has(tax.id));
+        });
+
+        this.getDocumentos()
+            .filter(doc => doc.dataValidade && inPeriod(doc.dataValidade))
+            .forEach(doc => {
+                const id = `doc-${doc.id}`;
+                add({
+                    id,
+                    data: doc.dataValidade,
+                    tipo: 'documento',
+                    descricao: `Vencimento: ${doc.nome || doc.tipo || 'Documento'}`,
+                    imovelId: doc.imovelId || null,
+                    valor: 0,
+                    manual: true
+                }, pagas.has(id));
+            });
+
+        return obrigacoes.sort((a, b) => a.data.localeCompare(b.data));
+    },
+
+    /**
+     * Get calendar events (obligations and receita check-ins/check-outs) for
+     * an .ics export. UIDs derive from record IDs so re-imports update events.
+     * @param {string} startDate - Period start (YYYY-MM-DD)
+     * @param {string} endDate - Period end (YYYY-MM-DD)
+     * @param {Object} filters - {imovelId, tipos}; tipos are obligation types
+     *                           plus 'checkin' and 'checkout'
+     * @returns {Array} Events for Utils.toICS
+     */
+    getCalendarEvents(startDate, endDate, { imovelId = null, tipos = [] } = {}) {
+        const uid = id => `${id}@str-financeiro`;
+        const nomeImovel = id => (this.getImovelById(id) || {}).nome || '';
+        const events = [];
+
+        this.getObrigacoes(startDate, endDate)
+            .filter(o => tipos.includes(o.tipo) && (!imovelId || o.imovelId === imovelId))
+            .forEach(o => {
+                const imovel = nomeImovel(o.imovelId);
+                events.push({
+                    uid: uid(o.id),
+                    date: o.data,
+                    summary: o.valor ? `${o.descricao} - ${Utils.formatCurrency(o.valor)}` : o.descricao,
+                    description: [imovel && `Imóvel: ${imovel}`, `Status: ${o.status}`].filter(Boolean).join('\n')
+                });
+            });
+
+        [['checkin', 'dataCheckIn', 'Check-in'], ['checkout', 'dataCheckOut', 'Check-out']]
+            .filter(([tipo]) => tipos.includes(tipo))
+            .forEach(([tipo, field, label]) => {
+                this.getReceitas()
+                    .filter(r => r[field] && r[field] >= startDate && r[field] <= endDate)
+                    .filter(r => !imovelId || r.imovelId === imovelId)
+                    .forEach(r => {
+                        const imovel = nomeImovel(r.imovelId);
+                        events.push({
+                            uid: uid(`receita-${r.id}-${tipo}`),
+                            date: r[field],
+                            summary: `${label}: ${r.hospede || 'Hóspede'}${imovel ? ` (${imovel})` : ''}`,
+                            description: `${r.numeroDiarias || 0} diárias - ${Utils.formatCurrency(r.valorBruto)}`,
+                            cancelled: r.status === 'cancelada'
+                        });
+                    });
+            });
+
+        return events.sort((a, b) => a.date.localeCompare(b.date));
+    },
+
+    /**
+     * Get tax payments due within a period: ISS of each month (due on the
+     * 10th of the next month) and IRPJ/CSLL DARFs of each quarter (due on
+     * the last day of the following month)
+     * @param {string} startDate - Period start (YYYY-MM-DD)
+     * @param {string} endDate - Period end (YYYY-MM-DD)
+     * @returns {Array} {id, data, descricao, valor}
+     */
+    getTaxObligations(startDate, endDate) {
+        const { impostos } = this.getConfiguracoes();
+        const taxes = [];
+        let cursor = Utils.parseDate(`${startDate.slice(0, 7)}-01`);
+
+        // Competências reach back to the quarter before the first month
+        const meses = {};
+        this.getMonthlyDREData(Utils.formatDateInput(Utils.addMonths(cursor, -3)), endDate)
+            .forEach(m => { meses[m.mes] = m; });
+        const competenciaDe = range => meses[range.startDate.slice(0, 7)];
+
+        while (Utils.formatDateInput(cursor) <= endDate) {
+            const year = cursor.getFullYear();
+            const month = cursor.getMonth();
+            const competencia = Utils.getPeriodRange('mes', new Date(year, month - 1, 1));
+
+            const issDate = Utils.formatDateInput(new Date(year, month, 10));
+            const iss = competenciaDe(competencia) ? competenciaDe(competencia).data.impostos : 0;
+            if (iss > 0 && issDate >= startDate && issDate <= endDate) {
+                taxes.push({
+                    id: `iss-${competencia.startDate.slice(0, 7)}`,
+                    data: issDate,
+                    descricao: `ISS - competência ${Utils.getShortMonthName(Utils.parseDate(competencia.startDate).getMonth())}/${competencia.startDate.slice(0, 4)}`,
+                    valor: iss
+                });
+            }
+
+            // January, April, July and October settle the previous quarter
+            if (month % 3 === 0) {
+                const trimestre = Utils.getPeriodRange('trimestre', new Date(year, month - 1, 1));
+                const quarter = Math.floor(Utils.parseDate(trimestre.startDate).getMonth() / 3) + 1;
+                const quarterYear = trimestre.startDate.slice(0, 4);
+                const darfDate = Utils.formatDateInput(new Date(year, month + 1, 0));
+                const lair = [0, 1, 2]
+                    .map(i => meses[Utils.formatDateInput(Utils.addMonths(Utils.parseDate(trimestre.startDate), i)).slice(0, 7)])
+                    .reduce((sum, m) => sum + (m ? m.lair : 0), 0);
+                const { ir, csll } = Calculations.calculateCorporateTax(lair, impostos.irpj, impostos.csll);
+
+                if (darfDate >= startDate && darfDate <= endDate) {
+                    [['irpj', 'IRPJ', ir], ['csll', 'CSLL', csll]]
+                        .filter(([, , valor]) => valor > 0)
+                        .forEach(([key, label, valor]) => taxes.push({
+                            id: `${key}-${quarterYear}-T${quarter}`,
+                            data: darfDate,
+                            descricao: `DARF ${label} - ${quarter}º trimestre/${quarterYear}`,
+                            valor
+                        }));
+                }
+            }
+
+            cursor = Utils.addMonths(cursor, 1);
+        }
+
+        return taxes;
+    },
+
+    // ========================================
+    // Projections
+    // ========================================
+
+    /**
+     * Get trailing-12-month actuals used as the projection base (the 12
+     * complete months before the reference date)
+     * @param {Date|string} referenceDate - Reference date (default: today)
+     * @returns {Object} TTM figures and ratios
+     */
+    getTrailingTwelveMonths(referenceDate = new Date()) {
+        const lastMonth = Utils.addMonths(typeof referenceDate === 'string' ? Utils.parseDate(referenceDate) : referenceDate, -1);
+        const endDate = Utils.getPeriodRange('mes', lastMonth).endDate;
+        const startDate = Utils.getPeriodRange('mes', Utils.addMonths(lastMonth, -11)).startDate;
+
+        const data = this.getDREData(startDate, endDate);
+        const dre = Calculations.calculateDRE(data);
+        const unidades = this.getImoveisAtivos().length;
+        const diariasVendidas = this.getReceitasByPeriodo(startDate, endDate)
+            .filter(r => r.status !== 'cancelada')
+            .reduce((sum, r) => sum + (r.numeroDiarias || 0), 0);
+        const ratio = value => data.receitaBruta > 0 ? value / data.receitaBruta : 0;
+
+        return {
+            startDate,
+            endDate,
+            unidades,
+            diariasVendidas,
+            ocupacao: this.getPortfolioOccupancy(startDate, endDate).taxa,
+            diariaMedia: diariasVendidas > 0 ? data.receitaBruta / diariasVendidas : 0,
+            receitaBruta: data.receitaBruta,
+            despesas: data.taxasPlataforma + data.impostos + data.custosVariaveis + data.despesasFixas,
+            ebitda: dre.ebitda,
+            lucroLiquido: dre.lucroLiquido,
+            taxasPercent: ratio(data.taxasPlataforma),
+            custosVariaveisPercent: ratio(data.custosVariaveis),
+            despesasFixasPorUnidade: unidades > 0 ? data.despesasFixas / unidades : 0
+        };
+    },
+
+    /**
+     * Get debt service (payments, interest) and year-end debt of the existing
+     * financiamentos and contemplated consórcios for a future period
+     * @param {string} startDate - Period start (YYYY-MM-DD)
+     * @param {string} endDate - Period end (YYYY-MM-DD)
+     * @param {number} mesesDecorridos - Months elapsed since today at period end
+     * @returns {Object} {servicoDivida, juros, saldoDevedor}
+     */
+    getProjectedDebt(startDate, endDate, mesesDecorridos) {
+        let servicoDivida = 0;
+        let juros = 0;
+        let saldoDevedor = 0;
+
+        this.getFinanciamentos().forEach(fin => {
+            this.getAmortizationTable(fin).forEach(row => {
+                const date = Utils.formatDateInput(row.date);
+                if (date >= startDate && date <= endDate) {
+                    servicoDivida += row.payment;
+                    juros += row.interest;
+                }
+            });
+            saldoDevedor += this.getFinanciamentoBalanceAtDate(fin, endDate).saldo;
+        });
+
+        // Consórcio parcelas are not scheduled; assume one per month from today
+        const today = Utils.getCurrentDate();
+        this.getConsorcios()
+            .filter(c => this.isConsorcioContemplado(c))
+            .forEach(c => {
+                const valorParcela = c.valorParcela || 0;
+                const restantes = valorParcela > 0 ? this.getConsorcioObligationAtDate(c, today).total / valorParcela : 0;
+                const pagasAntes = Math.min(restantes, Math.max(0, mesesDecorridos - 12));
+                const pagasNoPeriodo = Math.min(restantes - pagasAntes, 12);
+                servicoDivida += pagasNoPeriodo * valorParcela;
+                saldoDevedor += (restantes - pagasAntes - pagasNoPeriodo) * valorParcela;
+            });
+
+        return { servicoDivida, juros, saldoDevedor };
+    },
+
+    /**
+     * Build the 5-year projection from TTM actuals and configuracoes.projecao.
+     * Revenue = units x 365 x occupancy x ADR; platform fees and variable costs
+     * keep their TTM share of revenue and fixed costs per unit follow inflation.
+     * New units are bought with equity at investimentoPorImovel.
+     * @param {Object} premissas - Projection assumptions (default: saved ones)
+     * @param {Object} ajustes - Sensitivity shocks: fatorDiaria scales the TTM ADR
+     * @returns {Object} {base, anos}
+     */
+    getProjectionData(premissas = this.getConfiguracoes().projecao, { fatorDiaria = 1 } = {}) {
+        const { impostos, depreciacao } = this.getConfiguracoes();
+        const base = this.getTrailingTwelveMonths();
+
+        const diarias = Calculations.projectRevenue(base.diariaMedia * fatorDiaria, premissas.crescimentoDiaria);
+        const fixasPorUnidade = Calculations.projectExpenses(base.despesasFixasPorUnidade, premissas.inflacaoCustos);
+
+        const depreciacaoAtual = this.getImoveisAtivos().reduce((sum, imovel) => {
+            const custo = (imovel.valorCompra || 0) + (imovel.valorReforma || 0);
+            return sum + Calculations.calculateDepreciation(custo, depreciacao.vidaUtilImoveis).annualDepreciation;
+        }, 0);
+
+        let unidades = base.unidades;
+        let valorImoveis = this.getTotalPropertyValue();
+        let investimentoAcumulado = 0;
+        const inicio = Utils.addDays(base.endDate, 1);
+
+        const anos = premissas.taxaOcupacao.map((ocupacao, i) => {
+            const novos = premissas.novosImoveis[i] || 0;
+            const capex = novos * premissas.investimentoPorImovel;
+            unidades += novos;
+            investimentoAcumulado += capex;
+            valorImoveis = valorImoveis * (1 + premissas.valorizacaoImobiliaria[i]) + capex;
+
+            const receita = unidades * 365 * ocupacao * diarias[i];
+            const deducoes = receita * (base.taxasPercent + impostos.iss);
+            const custosVariaveis = receita * base.custosVariaveisPercent;
+            const despesasFixas = unidades * fixasPorUnidade[i];
+            const despesas = deducoes + custosVariaveis + despesasFixas;
+            const ebitda = receita - despesas;
+
+            const startDate = Utils.formatDateInput(Utils.addMonths(inicio, i * 12));
+            const endDate = Utils.formatDateInput(Utils.addDays(Utils.addMonths(inicio, (i + 1) * 12), -1));
+            const divida = this.getProjectedDebt(startDate, endDate, (i + 1) * 12);
+
+            const depreciacaoAno = depreciacaoAtual + investimentoAcumulado / depreciacao.vidaUtilImoveis;
+            const ebit = ebitda - depreciacaoAno;
+            const impostosEbit = Calculations.calculateCorporateTax(ebit, impostos.irpj, impostos.csll).total;
+            const impostosLair = Calculations.calculateCorporateTax(ebit - divida.juros, impostos.irpj, impostos.csll).total;
+
+            return {
+                ano: i + 1,
+                startDate,
+                endDate,
+                unidades,
+                ocupacao,
+                diariaMedia: diarias[i],
+                receita,
+                despesas,
+                ebitda,
+                lucroLiquido: ebit - divida.juros - impostosLair,
+                servicoDivida: divida.servicoDivida,
+                // Unlevered (before debt) and equity (after debt service) free cash flow
+                fcff: ebitda - impostosEbit - capex,
+                fcl: ebitda - impostosLair - capex - divida.servicoDivida,
+                investimento: capex,
+                valorImoveis,
+                saldoDevedor: divida.saldoDevedor,
+                patrimonio: valorImoveis - divida.saldoDevedor
+            };
+        });
+
+        return { base, anos };
+    },
+
+    // ========================================
+    // Import/Export
+    // ========================================
+
+    /**
+     * Export all data
+     */
+    exportAll() {
+        const data = {};
+        Object.entries(this.STORAGE_KEYS).forEach(([key, storageKey]) => {
+            const value = localStorage.getItem(storageKey);
+            data[key] = value ? JSON.parse(value) : null;
+        });
+
+        data.exportDate = new Date().toISOString();
+        data.version = '1.0.0';
+
+        return data;
+    },
+
+    /**
+     * Import data
+     */
+    importAll(data) {
+        try {
+            // Validate data structure
+            if (!data || typeof data !== 'object') {
+                throw new Error('Invalid data format');
+            }
+
+            // Import each collection
+            Object.entries(this.STORAGE_KEYS).forEach(([key, storageKey]) => {
+                if (data[key]) {
+                    localStorage.setItem(storageKey, JSON.stringify(data[key]));
+                }
+            });
+
+            // Backups from before reformas were recorded
+            this.migrateValorReforma();
 
             return true;
         } catch (error) {
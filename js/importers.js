@@ -0,0 +1,691 @@
+/**
+ * File Importers for Financial Control Application
+ * Parses platform exports (Airbnb, Booking.com) into receitas, reconciles
+ * iCal availability feeds against them, reads bank statements (OFX, CSV)
+ * and monthly price index series (CSV)
+ */
+
+const Importers = {
+    // Column aliases per platform (normalized: lowercase, no accents)
+    AIRBNB_COLUMNS: {
+        data: ['date', 'data'],
+        tipo: ['type', 'tipo'],
+        codigo: ['confirmation code', 'codigo de confirmacao'],
+        inicio: ['start date', 'data de inicio'],
+        noites: ['nights', 'noites'],
+        hospede: ['guest', 'hospede'],
+        anuncio: ['listing', 'anuncio'],
+        valor: ['amount', 'valor'],
+        taxaServico: ['service fee', 'taxa de servico'],
+        ganhosBrutos: ['gross earnings', 'ganhos brutos']
+    },
+
+    BOOKING_COLUMNS: {
+        codigo: ['book number', 'reservation number', 'numero da reserva'],
+        hospede: ['guest name(s)', 'guest name', 'nome do(s) hospede(s)', 'nome do hospede'],
+        reservadoPor: ['booked by', 'reservado por'],
+        checkIn: ['check-in', 'chegada'],
+        checkOut: ['check-out', 'saida'],
+        status: ['status', 'situacao'],
+        preco: ['price', 'preco'],
+        comissao: ['commission amount', 'valor da comissao'],
+        noites: ['duration (nights)', 'duracao (noites)'],
+        propriedade: ['property name', 'nome da propriedade', 'unit type', 'tipo de unidade']
+    },
+
+    BANK_COLUMNS: {
+        data: ['data', 'date', 'data lancamento', 'data do lancamento', 'data movimento'],
+        descricao: ['descricao', 'historico', 'lancamento', 'description', 'memo'],
+        valor: ['valor', 'valor (r$)', 'amount', 'quantia'],
+        credito: ['credito', 'entrada', 'credit'],
+        debito: ['debito', 'saida', 'debit'],
+        documento: ['documento', 'id', 'identificador', 'fitid']
+    },
+
+    INDEX_COLUMNS: {
+        mes: ['mes', 'mes/ano', 'data', 'competencia', 'periodo', 'referencia', 'month', 'date'],
+        variacao: ['variacao', 'variacao (%)', 'variacao mensal', 'variacao mensal (%)', 'var. mensal (%)', 'var %', 'no mes', 'no mes (%)', 'monthly change (%)'],
+        numero: ['numero indice', 'numero-indice', 'numero do indice', 'indice (numero)', 'index'],
+        indice: ['indice', 'serie'],
+        cidade: ['cidade', 'municipio', 'city']
+    },
+
+    // ========================================
+    // CSV Parsing
+    // ========================================
+
+    /**
+     * Parse CSV text into rows, honoring quoted fields. The delimiter
+     * (comma, semicolon or tab) is detected from the header line.
+     * @param {string} text - CSV content
+     * @returns {Array} Rows as arrays of strings
+     */
+    parseCSV(text) {
+        const content = text.replace(/^\uFEFF/, '');
+        const header = content.split(/\r?\n/, 1)[0];
+        const delimiter = [',', ';', '\t']
+            .map(d => ({ d, count: header.split(d).length }))
+            .sort((a, b) => b.count - a.count)[0].d;
+
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < content.length; i++) {
+            const char = content[i];
+
+            if (inQuotes) {
+                if (char === '"' && content[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === delimiter) {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && content[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        return rows.filter(r => r.some(value => value.trim() !== ''));
+    },
+
+    /**
+     * Normalize a header for alias lookup
+     * @param {string} header - Column header
+     * @returns {string} Lowercase header without accents
+     */
+    normalizeHeader(header) {
+        return header.trim().toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+    },
+
+    /**
+     * Map rows to objects keyed by column alias
+     * @param {Array} rows - Parsed CSV rows (first row is the header)
+     * @param {Object} columns - Alias map {key: [normalized headers]}
+     * @returns {Array} Records {key: value}
+     */
+    mapColumns(rows, columns) {
+        const headers = rows[0].map(h => this.normalizeHeader(h));
+        const indexes = {};
+        Object.entries(columns).forEach(([key, aliases]) => {
+            indexes[key] = headers.findIndex(h => aliases.includes(h));
+        });
+
+        return rows.slice(1).map(row => {
+            const record = {};
+            Object.entries(indexes).forEach(([key, index]) => {
+                record[key] = index >= 0 ? (row[index] || '').trim() : '';
+            });
+            return record;
+        });
+    },
+
+    /**
+     * Parse a monetary value in Brazilian or US notation ("R$ 1.234,56",
+     * "1,234.56", "1234.56 BRL")
+     * @param {string} value - Raw value
+     * @returns {number} Parsed number (0 when empty)
+     */
+    parseAmount(value) {
+        let clean = String(value || '').replace(/[^\d,.-]/g, '');
+        if (!clean) return 0;
+
+        const lastComma = clean.lastIndexOf(',');
+        const lastDot = clean.lastIndexOf('.');
+        if (lastComma > lastDot) {
+            clean = clean.replace(/\./g, '').replace(',', '.');
+        } else {
+            clean = clean.replace(/,/g, '');
+        }
+
+        return parseFloat(clean) || 0;
+    },
+
+    /**
+     * Round a monetary value to cents
+     * @param {number} value - Value
+     * @returns {number} Rounded value
+     */
+    roundCents(value) {
+        return Math.round(value * 100) / 100;
+    },
+
+    /**
+     * Parse a date to YYYY-MM-DD
+     * @param {string} value - Raw date (YYYY-MM-DD, DD/MM/YYYY or MM/DD/YYYY)
+     * @param {boolean} dayFirst - Whether slashed dates are DD/MM
+     * @returns {string} Date or '' when not recognized
+     */
+    parseDateValue(value, dayFirst) {
+        const text = String(value || '').trim();
+
+        const iso = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+        if (iso) return `${iso[1]}-${iso[2]}-${iso[3]}`;
+
+        const slashed = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})/);
+        if (!slashed) return '';
+
+        const [day, month] = dayFirst ? [slashed[1], slashed[2]] : [slashed[2], slashed[1]];
+        return `${slashed[3]}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+    },
+
+    // ========================================
+    // Price Index Series
+    // ========================================
+
+    /**
+     * Parse a monthly price index CSV. Each row needs a month and either the
+     * monthly variation (%) or the index number (the variation is then taken
+     * from the previous month). Optional columns name the index and city.
+     * @param {string} text - CSV content
+     * @param {Object} indices - Index catalog {key: {label, porCidade}}
+     * @param {string} indicePadrao - Index of rows without an index column
+     * @param {string} cidadePadrao - City of rows without a city column
+     * @returns {Array} Records {indice, cidade, mes (YYYY-MM), variacao}
+     * @throws {Error} When no month can be read
+     */
+    parseIndexSeries(text, indices, indicePadrao, cidadePadrao = '') {
+        const rows = this.parseCSV(text);
+        const registros = rows.length < 2 ? [] : this.mapColumns(rows, this.INDEX_COLUMNS);
+
+        // Index column values may be the key or the label ("IGP-M", "igpm")
+        const chaves = {};
+        Object.entries(indices).forEach(([key, indice]) => {
+            [key, indice.label, indice.label.split(' ')[0]].forEach(nome => {
+                chaves[this.normalizeHeader(nome).replace(/[^a-z]/g, '')] = key;
+            });
+        });
+        const resolveIndice = value => chaves[this.normalizeHeader(value).replace(/[^a-z]/g, '')] || indicePadrao;
+
+        const series = {};
+        registros.forEach(r => {
+            const mes = this.parseMonthValue(r.mes);
+            if (!mes || (!r.variacao && !r.numero)) return;
+
+            const indice = resolveIndice(r.indice);
+            const cidade = indices[indice] && indices[indice].porCidade ? r.cidade || cidadePadrao : '';
+            const chave = `${indice}|${this.normalizeHeader(cidade)}`;
+            (series[chave] = series[chave] || []).push({
+                indice,
+                cidade,
+                mes,
+                variacao: r.variacao ? this.parseAmount(r.variacao) / 100 : null,
+                numero: r.numero ? this.parseAmount(r.numero) : null
+            });
+        });
+
+        const resultado = Object.values(series).flatMap(serie => {
+            serie.sort((a, b) => a.mes.localeCompare(b.mes));
+            return serie.map((r, i) => {
+                let variacao = r.variacao;
+                if (variacao === null) {
+                    const anterior = serie[i - 1];
+                    variacao = anterior && anterior.numero
+                        ? Math.round((r.numero / anterior.numero - 1) * 1e8) / 1e8
+                        : null;
+                }
+                return { indice: r.indice, cidade: r.cidade, mes: r.mes, variacao };
+            }).filter(r => r.variacao !== null);
+        });
+
+        if (resultado.length === 0) {
+            throw new Error('Nenhum mês encontrado. Use um CSV com colunas de mês e variação mensal (%) ou número-índice');
+        }
+
+        return resultado;
+    },
+
+    /**
+     * Parse a month to YYYY-MM
+     * @param {string} value - Raw month (YYYY-MM, YYYY-MM-DD, MM/YYYY or DD/MM/YYYY)
+     * @returns {string} Month or '' when not recognized
+     */
+    parseMonthValue(value) {
+        const text = String(value || '').trim();
+
+        const iso = text.match(/^(\d{4})-(\d{1,2})/);
+        if (iso) return `${iso[1]}-${iso[2].padStart(2, '0')}`;
+
+        const slashed = text.match(/^(?:\d{1,2}\/)?(\d{1,2})\/(\d{4})/);
+        if (slashed) return `${slashed[2]}-${slashed[1].padStart(2, '0')}`;
+
+        return '';
+    },
+
+    // ========================================
+    // Platform Reservations
+    // ========================================
+
+    /**
+     * Parse an Airbnb transaction history or Booking.com reservations CSV
+     * @param {string} text - CSV content
+     * @returns {Object} {plataforma, reservas}
+     * @throws {Error} When the file is not a recognized export
+     */
+    parseReservations(text) {
+        const rows = this.parseCSV(text);
+        if (rows.length < 2) {
+            throw new Error('Arquivo vazio ou sem reservas');
+        }
+
+        const headers = rows[0].map(h => this.normalizeHeader(h));
+        const has = aliases => headers.some(h => aliases.includes(h));
+
+        if (has(this.AIRBNB_COLUMNS.codigo) && has(this.AIRBNB_COLUMNS.inicio)) {
+            // Portuguese exports use DD/MM dates, English ones MM/DD
+            const dayFirst = headers.includes('codigo de confirmacao');
+            return { plataforma: 'airbnb', reservas: this.parseAirbnb(rows, dayFirst) };
+        }
+        if (has(this.BOOKING_COLUMNS.codigo) && has(this.BOOKING_COLUMNS.checkIn)) {
+            return { plataforma: 'booking', reservas: this.parseBooking(rows) };
+        }
+
+        throw new Error('Formato não reconhecido. Use o histórico de transações do Airbnb ou a exportação de reservas do Booking.com');
+    },
+
+    /**
+     * Parse Airbnb transaction history rows. Only reservation lines carry a
+     * booking; their date is the payout date.
+     * @param {Array} rows - Parsed CSV rows
+     * @param {boolean} dayFirst - Whether dates are DD/MM/YYYY
+     * @returns {Array} Reservations
+     */
+    parseAirbnb(rows, dayFirst) {
+        const seen = new Set();
+
+        return this.mapColumns(rows, this.AIRBNB_COLUMNS)
+            .filter(r => r.codigo && ['reservation', 'reserva'].includes(this.normalizeHeader(r.tipo)))
+            .filter(r => {
+                if (seen.has(r.codigo)) return false;
+                seen.add(r.codigo);
+                return true;
+            })
+            .map(r => {
+                const dataCheckIn = this.parseDateValue(r.inicio, dayFirst);
+                const numeroDiarias = parseInt(r.noites) || 0;
+                const valorLiquido = this.parseAmount(r.valor);
+                const valorBruto = this.parseAmount(r.ganhosBrutos) || valorLiquido + this.parseAmount(r.taxaServico);
+
+                return {
+                    plataforma: 'airbnb',
+                    codigoConfirmacao: r.codigo,
+                    anuncio: r.anuncio || 'Airbnb',
+                    hospede: r.hospede,
+                    dataCheckIn,
+                    dataCheckOut: dataCheckIn ? Utils.formatDateInput(Utils.addDays(dataCheckIn, numeroDiarias)) : '',
+                    numeroDiarias,
+                    valorBruto,
+                    taxas: this.roundCents(valorBruto - valorLiquido),
+                    valorLiquido,
+                    dataRepasse: this.parseDateValue(r.data, dayFirst),
+                    status: 'confirmada'
+                };
+            });
+    },
+
+    /**
+     * Parse Booking.com reservation export rows
+     * @param {Array} rows - Parsed CSV rows
+     * @returns {Array} Reservations
+     */
+    parseBooking(rows) {
+        return this.mapColumns(rows, this.BOOKING_COLUMNS)
+            .filter(r => r.codigo)
+            .map(r => {
+                const dataCheckIn = this.parseDateValue(r.checkIn, true);
+                const dataCheckOut = this.parseDateValue(r.checkOut, true);
+                const valorBruto = this.parseAmount(r.preco);
+                const taxas = this.parseAmount(r.comissao);
+
+                return {
+                    plataforma: 'booking',
+                    codigoConfirmacao: r.codigo,
+                    anuncio: r.propriedade || 'Booking.com',
+                    hospede: r.hospede || r.reservadoPor,
+                    dataCheckIn,
+                    dataCheckOut,
+                    numeroDiarias: parseInt(r.noites) || (dataCheckIn && dataCheckOut ? Utils.daysBetween(dataCheckIn, dataCheckOut) : 0),
+                    valorBruto,
+                    taxas,
+                    valorLiquido: this.roundCents(valorBruto - taxas),
+                    status: this.normalizeHeader(r.status).includes('cancel') ? 'cancelada' : 'confirmada'
+                };
+            });
+    },
+
+    /**
+     * Compare parsed reservations with stored receitas. Reservations already
+     * imported (same platform and confirmation code) update the stored receita
+     * only when a field differs; a receita marked concluída keeps its status
+     * unless the platform reports a cancellation.
+     * @param {Array} reservas - Parsed reservations
+     * @param {Object} mapping - Listing to imóvel map {"plataforma:anuncio": imovelId}
+     * @param {Array} receitas - Stored receitas
+     * @returns {Array} Preview items {reserva, acao, receita, alteracoes}; acao is
+     *                  'novo', 'atualizar', 'duplicado' or 'sem-imovel' and
+     *                  receita is the record to save
+     */
+    diffReservations(reservas, mapping, receitas) {
+        const campos = ['imovelId', 'hospede', 'dataCheckIn', 'dataCheckOut', 'numeroDiarias',
+            'valorBruto', 'taxas', 'valorLiquido', 'dataRepasse', 'status'];
+
+        return reservas.map(reserva => {
+            const imovelId = mapping[this.getListingKey(reserva)] || '';
+            const { anuncio, ...dados } = reserva;
+
+            if (!imovelId) {
+                return { reserva, acao: 'sem-imovel', receita: null, alteracoes: [] };
+            }
+
+            const existente = receitas.find(r =>
+                r.codigoConfirmacao === reserva.codigoConfirmacao && r.plataforma === reserva.plataforma
+            );
+            if (!existente) {
+                return { reserva, acao: 'novo', receita: { ...dados, imovelId }, alteracoes: [] };
+            }
+
+            // Blank imported fields never overwrite stored ones
+            const preenchidos = Object.fromEntries(Object.entries(dados).filter(([, value]) => value !== ''));
+            const receita = {
+                ...existente,
+                ...preenchidos,
+                imovelId,
+                status: reserva.status === 'cancelada' ? 'cancelada' : (existente.status || reserva.status)
+            };
+            const alteracoes = campos
+                .filter(campo => typeof receita[campo] === 'number'
+                    ? Math.abs(receita[campo] - (existente[campo] || 0)) >= 0.01
+                    : receita[campo] !== existente[campo])
+                .map(campo => ({ campo, de: existente[campo], para: receita[campo] }));
+
+            return { reserva, acao: alteracoes.length > 0 ? 'atualizar' : 'duplicado', receita, alteracoes };
+        });
+    },
+
+    // ========================================
+    // iCal Availability Feeds
+    // ========================================
+
+    /**
+     * Parse the VEVENT blocks of an iCalendar (RFC 5545) file
+     * @param {string} text - .ics content
+     * @returns {Array} Events {uid, resumo, descricao, inicio, fim} with
+     *                  dates as YYYY-MM-DD (fim is exclusive, like DTEND)
+     * @throws {Error} When the content is not an iCalendar file
+     */
+    parseICS(text) {
+        if (!/BEGIN:VCALENDAR/i.test(text)) {
+            throw new Error('Arquivo não é um calendário iCal (.ics)');
+        }
+
+        // Unfold continuation lines (CRLF followed by a space or tab)
+        const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+        const unescape = value => value
+            .replace(/\\n/gi, '\n')
+            .replace(/\\([,;\\])/g, '$1');
+
+        const eventos = [];
+        let atual = null;
+
+        lines.forEach(line => {
+            if (/^BEGIN:VEVENT$/i.test(line.trim())) {
+                atual = { uid: '', resumo: '', descricao: '', inicio: '', fim: '' };
+                return;
+            }
+            if (/^END:VEVENT$/i.test(line.trim())) {
+                if (atual && atual.inicio) {
+                    // A single-day event without DTEND blocks one night
+                    if (!atual.fim || atual.fim <= atual.inicio) {
+                        atual.fim = Utils.formatDateInput(Utils.addDays(atual.inicio, 1));
+                    }
+                    eventos.push(atual);
+                }
+                atual = null;
+                return;
+            }
+            if (!atual) return;
+
+            const separator = line.indexOf(':');
+            if (separator < 0) return;
+            const name = line.slice(0, separator).split(';')[0].toUpperCase();
+            const value = line.slice(separator + 1);
+
+            if (name === 'UID') atual.uid = value.trim();
+            if (name === 'SUMMARY') atual.resumo = unescape(value.trim());
+            if (name === 'DESCRIPTION') atual.descricao = unescape(value.trim());
+            if (name === 'DTSTART') atual.inicio = this.parseICSDate(value);
+            if (name === 'DTEND') atual.fim = this.parseICSDate(value);
+        });
+
+        return eventos;
+    },
+
+    /**
+     * Parse an iCalendar DATE or DATE-TIME value to YYYY-MM-DD
+     * @param {string} value - e.g. 20240301 or 20240301T140000Z
+     * @returns {string} Date or '' when not recognized
+     */
+    parseICSDate(value) {
+        const match = value.trim().match(/^(\d{4})(\d{2})(\d{2})/);
+        return match ? `${match[1]}-${match[2]}-${match[3]}` : '';
+    },
+
+    /**
+     * List the nights covered by a stay
+     * @param {string} inicio - First night (YYYY-MM-DD)
+     * @param {string} fim - Departure day, exclusive (YYYY-MM-DD)
+     * @returns {Array} Nights as YYYY-MM-DD
+     */
+    getNights(inicio, fim) {
+        const nights = [];
+        let date = Utils.parseDate(inicio);
+        const end = Utils.parseDate(fim);
+
+        while (date && end && date < end) {
+            nights.push(Utils.formatDateInput(date));
+            date = Utils.addDays(date, 1);
+        }
+
+        return nights;
+    },
+
+    /**
+     * Reconcile availability feed events against receitas night by night.
+     * Only receitas inside the window covered by the feed are checked, since
+     * platforms drop past events from their exports.
+     * @param {Array} eventos - Parsed feed events
+     * @param {Array} receitas - Receitas of the same imóvel
+     * @returns {Object} {bloqueiosSemReceita: [{evento, noites}],
+     *                    receitasSemBloqueio: [{receita, noites}], inicio, fim}
+     */
+    reconcileCalendar(eventos, receitas) {
+        if (eventos.length === 0) {
+            return { bloqueiosSemReceita: [], receitasSemBloqueio: [], inicio: '', fim: '' };
+        }
+
+        const inicio = eventos.reduce((min, e) => e.inicio < min ? e.inicio : min, eventos[0].inicio);
+        const fim = eventos.reduce((max, e) => e.fim > max ? e.fim : max, eventos[0].fim);
+
+        const ativas = receitas.filter(r =>
+            r.status !== 'cancelada' && r.dataCheckIn && r.dataCheckOut &&
+            r.dataCheckIn < fim && r.dataCheckOut > inicio
+        );
+
+        const noitesBloqueadas = new Set();
+        eventos.forEach(e => this.getNights(e.inicio, e.fim).forEach(n => noitesBloqueadas.add(n)));
+
+        const noitesReservadas = new Set();
+        ativas.forEach(r => this.getNights(r.dataCheckIn, r.dataCheckOut).forEach(n => noitesReservadas.add(n)));
+
+        const bloqueiosSemReceita = eventos
+            .map(evento => ({
+                evento,
+                noites: this.getNights(evento.inicio, evento.fim).filter(n => !noitesReservadas.has(n))
+            }))
+            .filter(item => item.noites.length > 0);
+
+        const receitasSemBloqueio = ativas
+            .map(receita => ({
+                receita,
+                noites: this.getNights(receita.dataCheckIn, receita.dataCheckOut)
+                    .filter(n => n >= inicio && n < fim && !noitesBloqueadas.has(n))
+            }))
+            .filter(item => item.noites.length > 0);
+
+        return { bloqueiosSemReceita, receitasSemBloqueio, inicio, fim };
+    },
+
+    // ========================================
+    // Bank Statements
+    // ========================================
+
+    /**
+     * Parse a bank statement in OFX or CSV format
+     * @param {string} text - File content
+     * @returns {Array} Transactions {fitid, data, valor, descricao}; valor is
+     *                  negative for debits
+     * @throws {Error} When no transaction can be read
+     */
+    parseBankStatement(text) {
+        const transacoes = /<OFX>|OFXHEADER/i.test(text) ? this.parseOFX(text) : this.parseBankCSV(text);
+
+        if (transacoes.length === 0) {
+            throw new Error('Nenhuma transação encontrada. Use um extrato OFX ou CSV com colunas de data, descrição e valor');
+        }
+
+        return transacoes;
+    },
+
+    /**
+     * Parse the STMTTRN blocks of an OFX file (SGML or XML flavor)
+     * @param {string} text - OFX content
+     * @returns {Array} Transactions
+     */
+    parseOFX(text) {
+        const blocks = text.match(/<STMTTRN>[\s\S]*?(?=<\/STMTTRN>|<STMTTRN>|<\/BANKTRANLIST>)/gi) || [];
+        const tag = (block, name) => {
+            const match = block.match(new RegExp(`<${name}>([^<\\r\\n]*)`, 'i'));
+            return match ? match[1].trim() : '';
+        };
+
+        return blocks.map(block => {
+            const data = tag(block, 'DTPOSTED').match(/^(\d{4})(\d{2})(\d{2})/);
+            const memo = tag(block, 'MEMO');
+            const name = tag(block, 'NAME');
+
+            return {
+                fitid: tag(block, 'FITID'),
+                data: data ? `${data[1]}-${data[2]}-${data[3]}` : '',
+                valor: this.roundCents(parseFloat(tag(block, 'TRNAMT').replace(',', '.')) || 0),
+                descricao: [name, memo].filter((value, i, all) => value && all.indexOf(value) === i).join(' - ')
+            };
+        }).filter(t => t.data && t.valor !== 0);
+    },
+
+    /**
+     * Parse a bank CSV export with either a signed amount column or separate
+     * credit and debit columns
+     * @param {string} text - CSV content
+     * @returns {Array} Transactions
+     */
+    parseBankCSV(text) {
+        const rows = this.parseCSV(text);
+        if (rows.length < 2) return [];
+
+        return this.mapColumns(rows, this.BANK_COLUMNS)
+            .map(r => {
+                const valor = r.valor
+                    ? this.parseAmount(r.valor)
+                    : this.parseAmount(r.credito) - Math.abs(this.parseAmount(r.debito));
+                const data = this.parseDateValue(r.data, true);
+
+                return {
+                    // Statements without an identifier are deduplicated by content
+                    fitid: r.documento || `${data}|${valor.toFixed(2)}|${r.descricao}`,
+                    data,
+                    valor: this.roundCents(valor),
+                    descricao: r.descricao
+                };
+            })
+            .filter(t => t.data && t.valor !== 0);
+    },
+
+    /**
+     * Score how likely a bank transaction is the payment of a lançamento.
+     * The amount must match (to the cent, or within 1% for platform rounding);
+     * date proximity and shared description words add confidence.
+     * @param {Object} transacao - Bank transaction {data, valor, descricao}
+     * @param {Object} lancamento - System entry {data, valor, descricao}, signed
+     *                              like the transaction
+     * @returns {number} Confidence between 0 and 1 (0 means no match)
+     */
+    scoreMatch(transacao, lancamento) {
+        if (Math.sign(transacao.valor) !== Math.sign(lancamento.valor) || !lancamento.data) return 0;
+
+        const diferenca = Math.abs(transacao.valor - lancamento.valor);
+        let score;
+        if (diferenca < 0.01) {
+            score = 0.6;
+        } else if (diferenca <= Math.abs(lancamento.valor) * 0.01) {
+            score = 0.4;
+        } else {
+            return 0;
+        }
+
+        const dias = Utils.daysBetween(transacao.data, lancamento.data);
+        if (dias > 10) return 0;
+        score += dias === 0 ? 0.3 : dias <= 3 ? 0.2 : dias <= 7 ? 0.1 : 0;
+
+        const palavras = value => new Set(this.normalizeHeader(value || '').split(/[^a-z0-9]+/).filter(w => w.length > 2));
+        const doLancamento = palavras(lancamento.descricao);
+        if ([...palavras(transacao.descricao)].some(w => doLancamento.has(w))) {
+            score += 0.1;
+        }
+
+        return this.roundCents(score);
+    },
+
+    /**
+     * Find the first category rule whose pattern appears in a description
+     * @param {string} descricao - Transaction description
+     * @param {Array} regras - Rules {padrao, categoria, imovelId}
+     * @returns {Object|null} Matching rule
+     */
+    findCategoryRule(descricao, regras) {
+        const texto = this.normalizeHeader(descricao || '');
+        return regras.find(r => r.padrao && texto.includes(this.normalizeHeader(r.padrao))) || null;
+    },
+
+    /**
+     * Get the key under which a listing mapping is remembered
+     * @param {Object} reserva - Parsed reservation
+     * @returns {string} Key
+     */
+    getListingKey(reserva) {
+        return `${reserva.plataforma}:${reserva.anuncio}`;
+    }
+};
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Importers;
+}
@@ -80,7 +80,7 @@ const Utils = {
      */
     formatDate(date) {
         if (!date) return '';
-        const d = new Date(date);
+        const d = typeof date === 'string' ? this.parseDate(date) : new Date(date);
         if (isNaN(d.getTime())) return '';
 
         const day = String(d.getDate()).padStart(2, '0');
@@ -90,6 +90,29 @@ const Utils = {
         return `${day}/${month}/${year}`;
     },
 
+    /**
+     * Format a timestamp relative to now ("Há 5 minutos", "Há 2 dias"),
+     * falling back to the date after a week
+     * @param {Date|string} date - Timestamp (ISO string or Date)
+     * @returns {string} Relative time
+     */
+    formatRelativeTime(date) {
+        const d = new Date(date);
+        if (isNaN(d.getTime())) return '';
+
+        const minutes = Math.floor((Date.now() - d.getTime()) / 60000);
+        if (minutes < 1) return 'Agora';
+        if (minutes < 60) return `Há ${minutes} minuto${minutes > 1 ? 's' : ''}`;
+
+        const hours = Math.floor(minutes / 60);
+        if (hours < 24) return `Há ${hours} hora${hours > 1 ? 's' : ''}`;
+
+        const days = Math.floor(hours / 24);
+        if (days < 7) return `Há ${days} dia${days > 1 ? 's' : ''}`;
+
+        return this.formatDate(d);
+    },
+
     /**
      * Parse date string (DD/MM/YYYY or YYYY-MM-DD) to Date object
      * @param {string} dateStr - Date string
@@ -104,7 +127,13 @@ const Utils = {
             return new Date(year, month - 1, day);
         }
 
-        // Try YYYY-MM-DD format (ISO)
+        // Plain YYYY-MM-DD is parsed as local midnight (new Date() would use UTC)
+        if (/^\d{4}-\d{2}-\d{2}$/.test(dateStr)) {
+            const [year, month, day] = dateStr.split('-');
+            return new Date(year, month - 1, day);
+        }
+
+        // Try full ISO format
         return new Date(dateStr);
     },
 
@@ -115,7 +144,7 @@ const Utils = {
      */
     formatDateInput(date) {
         if (!date) return '';
-        const d = new Date(date);
+        const d = typeof date === 'string' ? this.parseDate(date) : new Date(date);
         if (isNaN(d.getTime())) return '';
 
         const year = d.getFullYear();
@@ -170,6 +199,93 @@ const Utils = {
         return d;
     },
 
+    /**
+     * Add days to a date
+     * @param {Date|string} date - Starting date
+     * @param {number} days - Number of days to add
+     * @returns {Date} New date
+     */
+    addDays(date, days) {
+        const d = typeof date === 'string' ? this.parseDate(date) : new Date(date);
+        d.setDate(d.getDate() + days);
+        return d;
+    },
+
+    /**
+     * Get start and end dates of a reporting period
+     * @param {string} periodo - 'mes', 'trimestre', 'ano', 'ytd' (year to the
+     *   reference date) or '12m' (12 months ending with the reference month)
+     * @param {Date|string} referenceDate - Any date inside the period
+     * @returns {Object} {startDate, endDate} as YYYY-MM-DD strings
+     */
+    getPeriodRange(periodo, referenceDate = new Date()) {
+        const ref = typeof referenceDate === 'string' ? this.parseDate(referenceDate) : new Date(referenceDate);
+        const year = ref.getFullYear();
+        const month = ref.getMonth();
+
+        let start;
+        let end;
+        if (periodo === 'ano') {
+            start = new Date(year, 0, 1);
+            end = new Date(year, 11, 31);
+        } else if (periodo === 'trimestre') {
+            const firstMonth = Math.floor(month / 3) * 3;
+            start = new Date(year, firstMonth, 1);
+            end = new Date(year, firstMonth + 3, 0);
+        } else if (periodo === 'ytd') {
+            start = new Date(year, 0, 1);
+            end = ref;
+        } else if (periodo === '12m') {
+            start = new Date(year, month - 11, 1);
+            end = new Date(year, month + 1, 0);
+        } else {
+            start = new Date(year, month, 1);
+            end = new Date(year, month + 1, 0);
+        }
+
+        return {
+            startDate: this.formatDateInput(start),
+            endDate: this.formatDateInput(end)
+        };
+    },
+
+    /**
+     * Get the periods a reporting period is compared against: the one right
+     * before it (same calendar unit, or the same number of days for 'ytd' and
+     * custom ranges) and the same period one year earlier
+     * @param {string} periodo - Period type (see getPeriodRange), or 'personalizado'
+     * @param {Object} range - {startDate, endDate}
+     * @returns {Object} {anterior, anoAnterior}, each {startDate, endDate}
+     */
+    getComparisonRanges(periodo, range) {
+        const start = this.parseDate(range.startDate);
+        const end = this.parseDate(range.endDate);
+        const meses = { mes: 1, trimestre: 3, ano: 12, '12m': 12 }[periodo];
+        // First day of the last month: a safe reference for month shifts
+        const ultimoMes = new Date(end.getFullYear(), end.getMonth(), 1);
+
+        let anterior;
+        if (meses) {
+            anterior = this.getPeriodRange(periodo, this.addMonths(ultimoMes, -meses));
+        } else {
+            const dias = this.daysBetween(start, end) + 1;
+            anterior = {
+                startDate: this.formatDateInput(this.addDays(start, -dias)),
+                endDate: this.formatDateInput(this.addDays(start, -1))
+            };
+        }
+
+        // Month-aligned periods stay aligned (e.g. February ends on the 28th)
+        const anoAnterior = meses
+            ? this.getPeriodRange(periodo, this.addMonths(ultimoMes, -12))
+            : {
+                startDate: this.formatDateInput(new Date(start.getFullYear() - 1, start.getMonth(), start.getDate())),
+                endDate: this.formatDateInput(new Date(end.getFullYear() - 1, end.getMonth(), end.getDate()))
+            };
+
+        return { anterior, anoAnterior };
+    },
+
     /**
      * Generate unique ID
      * @returns {string} Unique ID
@@ -390,6 +506,32 @@ const Utils = {
         return closeModal;
     },
 
+    /**
+     * Close the currently open modal
+     */
+    closeModal() {
+        const container = document.getElementById('modal-container');
+        if (!container) return;
+
+        container.classList.add('hidden');
+        container.innerHTML = '';
+    },
+
+    /**
+     * Escape HTML special characters
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text safe for innerHTML
+     */
+    escapeHtml(text) {
+        if (text === null || text === undefined) return '';
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    },
+
     /**
      * Debounce function
      * @param {Function} func - Function to debounce
@@ -523,19 +665,90 @@ const Utils = {
             csv.push(rowData.join(','));
         });
 
-        const csvContent = csv.join('\n');
-        const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
+        this.downloadFile(csv.join('\n'), `${filename}.csv`, 'text/csv;charset=utf-8;');
+    },
+
+    /**
+     * Download text content as a file
+     * @param {string} content - File content
+     * @param {string} filename - File name with extension
+     * @param {string} mimeType - MIME type
+     */
+    downloadFile(content, filename, mimeType) {
+        const blob = new Blob([content], { type: mimeType });
         const url = URL.createObjectURL(blob);
 
         const a = document.createElement('a');
         a.href = url;
-        a.download = `${filename}.csv`;
+        a.download = filename;
         document.body.appendChild(a);
         a.click();
         document.body.removeChild(a);
         URL.revokeObjectURL(url);
     },
 
+    /**
+     * Build an iCalendar (RFC 5545) document of all-day events
+     * @param {Array} events - Events {uid, date (YYYY-MM-DD), summary, description, cancelled}
+     * @param {string} calendarName - Calendar display name
+     * @returns {string} .ics content (CRLF line endings, folded at 75 octets)
+     */
+    toICS(events, calendarName) {
+        const escape = text => String(text || '')
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+
+        // Fold long lines without splitting multi-byte characters
+        const encoder = new TextEncoder();
+        const fold = line => {
+            const parts = [];
+            let current = '';
+            let size = 0;
+            for (const char of line) {
+                const bytes = encoder.encode(char).length;
+                if (size + bytes > (parts.length === 0 ? 75 : 74)) {
+                    parts.push(current);
+                    current = '';
+                    size = 0;
+                }
+                current += char;
+                size += bytes;
+            }
+            parts.push(current);
+            return parts.join('\r\n ');
+        };
+
+        const toDate = date => date.replace(/-/g, '');
+        const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//STR Financeiro//Calendario de Obrigacoes//PT-BR',
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            `X-WR-CALNAME:${escape(calendarName)}`
+        ];
+
+        events.forEach(event => {
+            lines.push(
+                'BEGIN:VEVENT',
+                `UID:${event.uid}`,
+                `DTSTAMP:${stamp}`,
+                `DTSTART;VALUE=DATE:${toDate(event.date)}`,
+                `DTEND;VALUE=DATE:${toDate(this.formatDateInput(this.addDays(event.date, 1)))}`,
+                `SUMMARY:${escape(event.summary)}`
+            );
+            if (event.description) lines.push(`DESCRIPTION:${escape(event.description)}`);
+            lines.push(`STATUS:${event.cancelled ? 'CANCELLED' : 'CONFIRMED'}`, 'TRANSP:TRANSPARENT', 'END:VEVENT');
+        });
+
+        lines.push('END:VCALENDAR');
+        return lines.map(fold).join('\r\n') + '\r\n';
+    },
+
     /**
      * Get month name in Portuguese
      * @param {number} monthIndex - Month index (0-11)